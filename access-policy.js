@@ -0,0 +1,260 @@
+/**
+ * Access control for Slack-Claude Bridge
+ * Decides who may drive the agent, in which channels, and with which permission mode and tools
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_POLICY_PATH = path.join(__dirname, 'access-policy.json');
+
+// Agent permission modes, least to most privileged
+const PERMISSION_MODES = ['plan', 'default', 'acceptEdits', 'bypassPermissions'];
+
+const USERGROUP_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+let policy = null; // null = no policy file, legacy open access
+const teamPolicies = new Map(); // team ID -> policy from the team's own policy file (see teams.js)
+const usergroupCache = new Map(); // usergroupId -> { users: Set, fetchedAt: number }
+
+/**
+ * Rank of a permission mode (higher = more privileged)
+ * @param {string} mode - Permission mode
+ * @returns {number} Rank, -1 if unknown
+ */
+function modeRank(mode) {
+  return PERMISSION_MODES.indexOf(mode);
+}
+
+/**
+ * Policy that applies to a team (its own file if it has one, else the global policy)
+ * @param {string|null} teamId - Slack team ID
+ * @returns {Object|null}
+ */
+function policyFor(teamId) {
+  return teamId && teamPolicies.has(teamId) ? teamPolicies.get(teamId) : policy;
+}
+
+/**
+ * Load the access policy from disk
+ * Without a policy file every user is allowed with bypassPermissions (pre-policy behaviour).
+ * @param {string} [filePath] - Policy location (defaults to ACCESS_POLICY or access-policy.json)
+ * @param {string|null} [teamId] - Load it as this Slack team's policy instead of the global one
+ * @returns {Object|null} Loaded policy, or null when running without one
+ */
+function loadAccessPolicy(filePath = process.env.ACCESS_POLICY || DEFAULT_POLICY_PATH, teamId = null) {
+  usergroupCache.clear();
+
+  if (teamId && !fs.existsSync(filePath)) {
+    throw new Error(`Access policy ${filePath} for team ${teamId} does not exist`);
+  }
+
+  if (!fs.existsSync(filePath)) {
+    console.warn(`[ACCESS] No policy at ${filePath} - every user may run the agent with bypassPermissions`);
+    policy = null;
+    return policy;
+  }
+
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const roles = raw.roles || {};
+
+  for (const [name, role] of Object.entries(roles)) {
+    if (modeRank(role.permissionMode) === -1) {
+      throw new Error(`Role "${name}" has invalid permissionMode "${role.permissionMode}" (expected one of ${PERMISSION_MODES.join(', ')})`);
+    }
+  }
+
+  const referenced = [
+    raw.defaultRole,
+    ...Object.values(raw.users || {}),
+    ...Object.values(raw.usergroups || {})
+  ].filter(Boolean);
+
+  for (const name of referenced) {
+    if (!roles[name]) {
+      throw new Error(`Policy references unknown role "${name}"`);
+    }
+  }
+
+  for (const [channel, mode] of Object.entries(raw.channels?.maxPermissionMode || {})) {
+    if (modeRank(mode) === -1) {
+      throw new Error(`Channel ${channel} has invalid maxPermissionMode "${mode}"`);
+    }
+  }
+
+  const loaded = {
+    defaultRole: raw.defaultRole || null,
+    roles,
+    users: raw.users || {},
+    usergroups: raw.usergroups || {},
+    allowedChannels: raw.channels?.allow ? new Set(raw.channels.allow) : null,
+    maxPermissionMode: raw.channels?.maxPermissionMode || {}
+  };
+
+  if (teamId) {
+    teamPolicies.set(teamId, loaded);
+  } else {
+    policy = loaded;
+  }
+
+  console.log(`[ACCESS] Loaded policy${teamId ? ` for team ${teamId}` : ''}: ${Object.keys(roles).length} role(s), ${Object.keys(loaded.users).length} user(s), ${Object.keys(loaded.usergroups).length} user group(s)`);
+  return loaded;
+}
+
+/**
+ * Members of a Slack user group (cached)
+ * @param {Object} client - Slack WebClient
+ * @param {string} usergroup - User group ID
+ * @param {string} [token] - Bot token of the user group's team
+ * @returns {Promise<Set<string>>} Member user IDs
+ */
+async function getUsergroupMembers(client, usergroup, token) {
+  const cached = usergroupCache.get(usergroup);
+  if (cached && Date.now() - cached.fetchedAt < USERGROUP_CACHE_TTL) {
+    return cached.users;
+  }
+
+  try {
+    const result = await client.usergroups.users.list({ usergroup, ...(token && { token }) });
+    const users = new Set(result.users || []);
+    usergroupCache.set(usergroup, { users, fetchedAt: Date.now() });
+    return users;
+  } catch (error) {
+    console.error(`[ACCESS] Failed to list members of ${usergroup}:`, error.message);
+    return cached ? cached.users : new Set();
+  }
+}
+
+/**
+ * Find the role that applies to a user
+ * An explicit user mapping wins; otherwise the most privileged matching user group, then the default role.
+ * @param {Object} rules - Policy to apply
+ * @param {string} userId - Slack user ID
+ * @param {Object} client - Slack WebClient
+ * @param {string} [token] - Bot token for user group lookups
+ * @returns {Promise<string|null>} Role name, or null if none applies
+ */
+async function resolveRole(rules, userId, client, token) {
+  if (rules.users[userId]) {
+    return rules.users[userId];
+  }
+
+  let best = null;
+  for (const [usergroup, roleName] of Object.entries(rules.usergroups)) {
+    const members = await getUsergroupMembers(client, usergroup, token);
+    if (!members.has(userId)) continue;
+
+    if (!best || modeRank(rules.roles[roleName].permissionMode) > modeRank(rules.roles[best].permissionMode)) {
+      best = roleName;
+    }
+  }
+
+  return best || rules.defaultRole;
+}
+
+/**
+ * Decide whether a user may drive the agent in a channel, and how
+ * @param {string} userId - Slack user ID
+ * @param {string} channel - Slack channel ID
+ * @param {Object} client - Slack WebClient (for user group lookups)
+ * @param {Object} [options] - { teamId, token }: the channel's team, whose policy and bot token apply
+ * @returns {Promise<Object>} { allowed, reason, role, permissionMode, allowedTools, admin }
+ */
+async function authorize(userId, channel, client, { teamId = null, token } = {}) {
+  const rules = policyFor(teamId);
+
+  if (!rules) {
+    return { allowed: true, role: null, permissionMode: 'bypassPermissions', allowedTools: [], admin: true };
+  }
+
+  if (!userId) {
+    return { allowed: false, reason: 'message has no user' };
+  }
+
+  if (rules.allowedChannels && !rules.allowedChannels.has(channel)) {
+    return { allowed: false, reason: 'the agent is not enabled in this channel' };
+  }
+
+  const roleName = await resolveRole(rules, userId, client, token);
+  if (!roleName) {
+    return { allowed: false, reason: 'you have no role in the access policy' };
+  }
+
+  const role = rules.roles[roleName];
+  let permissionMode = role.permissionMode;
+
+  // Channel cap, e.g. public channels limited to plan mode
+  const channelMax = rules.maxPermissionMode[channel];
+  if (channelMax && modeRank(permissionMode) > modeRank(channelMax)) {
+    permissionMode = channelMax;
+  }
+
+  return {
+    allowed: true,
+    role: roleName,
+    permissionMode,
+    allowedTools: role.allowedTools || [],
+    admin: Boolean(role.admin)
+  };
+}
+
+/**
+ * Whether a user has an admin role, in any channel (e.g. for the App Home)
+ * Without a policy everyone is an admin, as in authorize().
+ * @param {string} userId - Slack user ID
+ * @param {Object} client - Slack WebClient (for user group lookups)
+ * @param {Object} [options] - { teamId, token }
+ * @returns {Promise<boolean>}
+ */
+async function isAdmin(userId, client, { teamId = null, token } = {}) {
+  const rules = policyFor(teamId);
+  if (!rules) return true;
+
+  const roleName = userId ? await resolveRole(rules, userId, client, token) : null;
+  return Boolean(roleName && rules.roles[roleName].admin);
+}
+
+/**
+ * Summary of the loaded policy (for /ai config)
+ * @param {string|null} [teamId] - Slack team whose policy to describe
+ * @returns {Object} { enabled, roles, users, usergroups, allowedChannels, defaultRole }
+ */
+function getAccessPolicySummary(teamId = null) {
+  const rules = policyFor(teamId);
+
+  if (!rules) {
+    return { enabled: false };
+  }
+
+  return {
+    enabled: true,
+    roles: Object.entries(rules.roles).map(([name, role]) => ({ name, permissionMode: role.permissionMode, admin: Boolean(role.admin) })),
+    users: Object.keys(rules.users).length,
+    usergroups: Object.keys(rules.usergroups).length,
+    allowedChannels: rules.allowedChannels ? [...rules.allowedChannels] : null,
+    defaultRole: rules.defaultRole
+  };
+}
+
+/**
+ * Combine role and workspace tool allowlists (an empty list means "no restriction")
+ * @param {Array<string>} roleTools - Tools allowed by the user's role
+ * @param {Array<string>} workspaceTools - Tools allowed by the workspace
+ * @returns {Array<string>|null} Effective allowlist, or null when the two share no tools (nothing is allowed)
+ */
+function mergeAllowedTools(roleTools = [], workspaceTools = []) {
+  if (roleTools.length === 0) return workspaceTools;
+  if (workspaceTools.length === 0) return roleTools;
+
+  const merged = roleTools.filter(tool => workspaceTools.includes(tool));
+  return merged.length > 0 ? merged : null;
+}
+
+module.exports = {
+  PERMISSION_MODES,
+  loadAccessPolicy,
+  authorize,
+  isAdmin,
+  getAccessPolicySummary,
+  mergeAllowedTools
+};
@@ -0,0 +1,181 @@
+/**
+ * Test suite for the access policy
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  loadAccessPolicy,
+  authorize,
+  isAdmin,
+  mergeAllowedTools
+} = require('./access-policy');
+
+describe('Access Policy', () => {
+  let tmpDir;
+  let client;
+
+  function writePolicy(policy) {
+    const file = path.join(tmpDir, 'access-policy.json');
+    fs.writeFileSync(file, JSON.stringify(policy));
+    return file;
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'access-policy-'));
+    client = {
+      usergroups: {
+        users: {
+          list: jest.fn(async ({ usergroup }) => ({
+            users: usergroup === 'S-DEV' ? ['U-DEV'] : ['U-DEV', 'U-OPS']
+          }))
+        }
+      }
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('without a policy file', () => {
+    test('should allow everyone with bypassPermissions', async () => {
+      loadAccessPolicy(path.join(tmpDir, 'missing.json'));
+
+      const access = await authorize('U-ANY', 'C1', client);
+
+      expect(access.allowed).toBe(true);
+      expect(access.permissionMode).toBe('bypassPermissions');
+    });
+  });
+
+  describe('with a policy file', () => {
+    beforeEach(() => {
+      loadAccessPolicy(writePolicy({
+        roles: {
+          viewer: { permissionMode: 'plan', allowedTools: ['Read'] },
+          developer: { permissionMode: 'acceptEdits' },
+          lead: { permissionMode: 'bypassPermissions', admin: true }
+        },
+        users: { 'U-LEAD': 'lead', 'U-DEV': 'viewer' },
+        usergroups: { 'S-DEV': 'developer', 'S-ALL': 'viewer' },
+        channels: {
+          allow: ['C1', 'C2'],
+          maxPermissionMode: { C2: 'plan' }
+        }
+      }));
+    });
+
+    test('should map explicit users to their role', async () => {
+      const access = await authorize('U-LEAD', 'C1', client);
+
+      expect(access).toMatchObject({ allowed: true, role: 'lead', permissionMode: 'bypassPermissions', admin: true });
+    });
+
+    test('should not grant admin unless the role says so', async () => {
+      const access = await authorize('U-DEV', 'C1', client);
+
+      expect(access.admin).toBe(false);
+    });
+
+    test('should prefer explicit user mappings over user groups', async () => {
+      const access = await authorize('U-DEV', 'C1', client);
+
+      expect(access.role).toBe('viewer');
+      expect(access.allowedTools).toEqual(['Read']);
+    });
+
+    test('should pick the most privileged matching user group', async () => {
+      loadAccessPolicy(writePolicy({
+        roles: {
+          viewer: { permissionMode: 'plan' },
+          developer: { permissionMode: 'acceptEdits' }
+        },
+        usergroups: { 'S-ALL': 'viewer', 'S-DEV': 'developer' }
+      }));
+
+      const access = await authorize('U-DEV', 'C1', client);
+
+      expect(access.role).toBe('developer');
+    });
+
+    test('should refuse users without a role', async () => {
+      const access = await authorize('U-STRANGER', 'C1', client);
+
+      expect(access.allowed).toBe(false);
+      expect(access.reason).toContain('no role');
+    });
+
+    test('should refuse channels outside the allowlist', async () => {
+      const access = await authorize('U-LEAD', 'C-OTHER', client);
+
+      expect(access.allowed).toBe(false);
+      expect(access.reason).toContain('not enabled in this channel');
+    });
+
+    test('should tell admins apart regardless of channel', async () => {
+      await expect(isAdmin('U-LEAD', client)).resolves.toBe(true);
+      await expect(isAdmin('U-DEV', client)).resolves.toBe(false);
+      await expect(isAdmin('U-STRANGER', client)).resolves.toBe(false);
+    });
+
+    test('should cap the permission mode per channel', async () => {
+      const access = await authorize('U-LEAD', 'C2', client);
+
+      expect(access.permissionMode).toBe('plan');
+    });
+
+    test('should cache user group membership', async () => {
+      await authorize('U-OPS', 'C1', client);
+      await authorize('U-OPS', 'C1', client);
+
+      expect(client.usergroups.users.list).toHaveBeenCalledTimes(2); // once per group
+    });
+
+    test('should apply a team\'s own policy, looking up its groups with its token', async () => {
+      const teamFile = path.join(tmpDir, 'access-policy.acme.json');
+      fs.writeFileSync(teamFile, JSON.stringify({
+        roles: { developer: { permissionMode: 'acceptEdits' } },
+        usergroups: { 'S-DEV': 'developer' }
+      }));
+      loadAccessPolicy(teamFile, 'T-ACME');
+
+      const access = await authorize('U-DEV', 'C-ACME', client, { teamId: 'T-ACME', token: 'xoxb-acme' });
+
+      expect(access).toMatchObject({ allowed: true, role: 'developer' });
+      expect(client.usergroups.users.list).toHaveBeenCalledWith({ usergroup: 'S-DEV', token: 'xoxb-acme' });
+      expect((await authorize('U-DEV', 'C-ACME', client, { teamId: 'T-OTHER' })).allowed).toBe(false);
+    });
+  });
+
+  describe('validation', () => {
+    test('should reject unknown permission modes', () => {
+      const file = writePolicy({ roles: { admin: { permissionMode: 'yolo' } } });
+
+      expect(() => loadAccessPolicy(file)).toThrow('invalid permissionMode');
+    });
+
+    test('should reject references to unknown roles', () => {
+      const file = writePolicy({ roles: {}, users: { U1: 'ghost' } });
+
+      expect(() => loadAccessPolicy(file)).toThrow('unknown role "ghost"');
+    });
+  });
+
+  describe('mergeAllowedTools', () => {
+    test('should treat empty lists as unrestricted', () => {
+      expect(mergeAllowedTools([], ['Read'])).toEqual(['Read']);
+      expect(mergeAllowedTools(['Read'], [])).toEqual(['Read']);
+    });
+
+    test('should intersect two allowlists', () => {
+      expect(mergeAllowedTools(['Read', 'Edit'], ['Read', 'Bash'])).toEqual(['Read']);
+    });
+
+    test('should allow nothing when the allowlists share no tools', () => {
+      expect(mergeAllowedTools(['Read'], ['Bash'])).toBeNull();
+    });
+  });
+});
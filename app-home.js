@@ -0,0 +1,186 @@
+/**
+ * App Home tab for Slack-Claude Bridge
+ * Shows each user their running, queued and recent runs with Stop and Open thread buttons.
+ * Admins also see the bridge's load and their team's queued work.
+ */
+
+const { formatDuration, threadUrl, threadLink } = require('./slack-format');
+
+const HOME_STOP_ACTION = 'home_stop_run';
+const HOME_OPEN_ACTION = 'home_open_thread';
+const MAX_RUNS = 15;
+const MAX_QUEUE_LINES = 20;
+
+const STATE_ORDER = { running: 0, queued: 1 };
+
+/**
+ * A user's runs, from thread sessions and the run queue
+ * @param {string} userId - Slack user ID
+ * @param {Object} sources - { sessions, queued, statusOf, limit }
+ *   sessions: entries of threadSessions; queued: waiting jobs from RunQueue.snapshot();
+ *   statusOf(threadTs): last stored status of a thread (completed, failed, ...)
+ * @returns {Array<Object>} { threadTs, channel, state, type, startTime, lastActivity, sessionId, workspace, position, queuedAt },
+ *   running first, then queued, then the most recently active
+ */
+function collectUserRuns(userId, { sessions = [], queued = [], statusOf = () => null, limit = MAX_RUNS } = {}) {
+  const runs = new Map();
+
+  for (const [threadTs, session] of sessions) {
+    if (session.userId !== userId) continue;
+    runs.set(threadTs, {
+      threadTs,
+      channel: session.channel,
+      state: session.run ? 'running' : (statusOf(threadTs) || 'idle'),
+      type: session.type,
+      startTime: session.startTime,
+      lastActivity: session.lastActivity,
+      sessionId: session.sessionId || null,
+      workspace: session.workspace || null
+    });
+  }
+
+  queued.forEach((job, index) => {
+    if (job.userId !== userId) return;
+    const run = runs.get(job.id);
+    if (run && ['running', 'queued'].includes(run.state)) return; // follow-up behind the thread's current run
+
+    runs.set(job.id, {
+      threadTs: job.id,
+      channel: job.channel,
+      sessionId: null,
+      workspace: null,
+      ...run,
+      state: 'queued',
+      position: index + 1,
+      queuedAt: job.queuedAt,
+      lastActivity: job.queuedAt
+    });
+  });
+
+  return [...runs.values()]
+    .sort((a, b) => ((STATE_ORDER[a.state] ?? 2) - (STATE_ORDER[b.state] ?? 2)) || (b.lastActivity - a.lastActivity))
+    .slice(0, limit);
+}
+
+/**
+ * One-line state of a run
+ * @param {Object} run - From collectUserRuns()
+ * @param {number} now - Current time (ms)
+ * @returns {string}
+ */
+function describeRunState(run, now) {
+  switch (run.state) {
+    case 'running': return `🟢 Running (${run.type}) for ${formatDuration(now - run.startTime)}`;
+    case 'queued': return `⏳ Queued #${run.position}, waiting ${formatDuration(now - run.queuedAt)}`;
+    case 'completed': return `✅ Completed ${formatDuration(now - run.lastActivity)} ago`;
+    case 'failed': return `❌ Failed ${formatDuration(now - run.lastActivity)} ago`;
+    case 'interrupted': return `⚠️ Interrupted by a restart ${formatDuration(now - run.lastActivity)} ago`;
+    default: return `⚪ Idle for ${formatDuration(now - run.lastActivity)}`;
+  }
+}
+
+function runBlocks(run, { teamUrl, now }) {
+  const details = [
+    describeRunState(run, now),
+    run.workspace ? `🗂️ ${run.workspace}` : null,
+    `🆔 ${run.sessionId ? `\`${run.sessionId}\`` : '_no session yet_'}`
+  ].filter(Boolean).join(' · ');
+
+  const buttons = [];
+  const url = threadUrl(teamUrl, run.channel, run.threadTs);
+  if (url) {
+    buttons.push({ type: 'button', action_id: HOME_OPEN_ACTION, text: { type: 'plain_text', text: 'Open thread' }, url });
+  }
+  if (run.state === 'running' || run.state === 'queued') {
+    buttons.push({
+      type: 'button',
+      action_id: HOME_STOP_ACTION,
+      style: 'danger',
+      value: run.threadTs,
+      text: { type: 'plain_text', text: 'Stop' },
+      confirm: {
+        title: { type: 'plain_text', text: 'Stop this run?' },
+        text: { type: 'mrkdwn', text: 'The run is stopped and queued follow-ups are dropped. The session is kept, so you can continue in the thread.' },
+        confirm: { type: 'plain_text', text: 'Stop' },
+        deny: { type: 'plain_text', text: 'Cancel' }
+      }
+    });
+  }
+
+  return [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `${run.channel ? `<#${run.channel}>` : '_unknown channel_'} · ${threadLink(teamUrl, run.channel, run.threadTs)}\n${details}` }
+    },
+    ...(buttons.length > 0 ? [{ type: 'actions', block_id: `home_run_${run.threadTs}`, elements: buttons }] : [])
+  ];
+}
+
+function loadBlocks(load, { teamUrl, now }) {
+  const field = (label, value) => ({ type: 'mrkdwn', text: `*${label}*\n${value}` });
+  const queueLines = load.queued.slice(0, MAX_QUEUE_LINES).map((job, index) =>
+    `${index + 1}. <#${job.channel}> · ${threadLink(teamUrl, job.channel, job.id)}${job.userId ? ` · <@${job.userId}>` : ''} · waiting ${formatDuration(now - job.queuedAt)}`
+  );
+  if (load.queued.length > MAX_QUEUE_LINES) {
+    queueLines.push(`_…and ${load.queued.length - MAX_QUEUE_LINES} more_`);
+  }
+
+  return [
+    { type: 'divider' },
+    { type: 'header', text: { type: 'plain_text', text: '📊 Bridge load' } },
+    {
+      type: 'section',
+      fields: [
+        field('Running', `${load.running.length} / ${load.maxConcurrent || '∞'}`),
+        field('Queued', String(load.queued.length)),
+        field('Thread sessions', String(load.sessions)),
+        field('Slack messages waiting', String(load.slackQueue))
+      ]
+    },
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: queueLines.length > 0 ? `*⏳ Queued work*\n${queueLines.join('\n')}` : '*⏳ Queued work*\nNothing waiting.' }
+    }
+  ];
+}
+
+/**
+ * Home tab view for a user
+ * @param {Object} options - { runs, teamUrl, now, notice, load }
+ *   runs: from collectUserRuns(); notice: mrkdwn shown above the runs (e.g. a refused Stop);
+ *   load (admins only): { running, queued, maxConcurrent, sessions, slackQueue }
+ * @returns {Object} View for views.publish
+ */
+function buildHomeView({ runs, teamUrl = null, now = Date.now(), notice = null, load = null }) {
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: '🧠 Your agent runs' } },
+    {
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `<!date^${Math.floor(now / 1000)}^Updated {time}|Updated> · reopen this tab to refresh` }]
+    }
+  ];
+
+  if (notice) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: notice } });
+  }
+
+  if (runs.length === 0) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: 'No runs yet. Mention the bot in a channel or send it a DM to start one.' } });
+  }
+  for (const run of runs) {
+    blocks.push(...runBlocks(run, { teamUrl, now }));
+  }
+
+  if (load) {
+    blocks.push(...loadBlocks(load, { teamUrl, now }));
+  }
+
+  return { type: 'home', blocks };
+}
+
+module.exports = {
+  HOME_STOP_ACTION,
+  HOME_OPEN_ACTION,
+  collectUserRuns,
+  buildHomeView
+};
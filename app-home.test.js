@@ -0,0 +1,98 @@
+/**
+ * Test suite for the App Home tab
+ */
+
+const { HOME_STOP_ACTION, HOME_OPEN_ACTION, collectUserRuns, buildHomeView } = require('./app-home');
+
+describe('App Home', () => {
+  const now = 1700000600000;
+  const teamUrl = 'https://team.slack.com/';
+
+  const sessions = [
+    ['1700000000.000100', { userId: 'U1', channel: 'C1', run: null, type: 'interactive', sessionId: 'sess-old', startTime: now - 500000, lastActivity: now - 400000, workspace: 'backend' }],
+    ['1700000000.000200', { userId: 'U1', channel: 'C2', run: {}, type: 'background', sessionId: 'sess-running', startTime: now - 192000, lastActivity: now - 1000 }],
+    ['1700000000.000300', { userId: 'U2', channel: 'C1', run: {}, type: 'interactive', sessionId: 'sess-other', startTime: now - 1000, lastActivity: now }]
+  ];
+  const queued = [
+    { id: '1700000000.000300', userId: 'U2', channel: 'C1', queuedAt: now - 5000 },
+    { id: '1700000000.000400', userId: 'U1', channel: 'C3', queuedAt: now - 30000 }
+  ];
+
+  describe('collectUserRuns', () => {
+    test('should list the user\'s running, queued and recent runs in that order', () => {
+      const runs = collectUserRuns('U1', { sessions, queued, statusOf: (ts) => (ts === '1700000000.000100' ? 'completed' : null) });
+
+      expect(runs.map(run => [run.threadTs, run.state])).toEqual([
+        ['1700000000.000200', 'running'],
+        ['1700000000.000400', 'queued'],
+        ['1700000000.000100', 'completed']
+      ]);
+      expect(runs[1]).toMatchObject({ channel: 'C3', position: 2, sessionId: null });
+    });
+
+    test('should keep a running thread running when a follow-up is queued behind it', () => {
+      const runs = collectUserRuns('U2', { sessions, queued });
+
+      expect(runs).toHaveLength(1);
+      expect(runs[0].state).toBe('running');
+    });
+
+    test('should cap the number of runs', () => {
+      expect(collectUserRuns('U1', { sessions, queued, limit: 2 })).toHaveLength(2);
+    });
+  });
+
+  describe('buildHomeView', () => {
+    const runs = collectUserRuns('U1', { sessions, queued, statusOf: () => 'completed' });
+
+    test('should show each run with its state, session and buttons', () => {
+      const view = buildHomeView({ runs, teamUrl, now });
+      const text = JSON.stringify(view);
+
+      expect(view.type).toBe('home');
+      expect(text).toContain('🟢 Running (background) for 3m 12s');
+      expect(text).toContain('⏳ Queued #2, waiting 30s');
+      expect(text).toContain('✅ Completed 6m 40s ago');
+      expect(text).toContain('`sess-running`');
+
+      const actions = view.blocks.filter(block => block.type === 'actions');
+      expect(actions).toHaveLength(3);
+      expect(actions[0].elements.map(button => button.action_id)).toEqual([HOME_OPEN_ACTION, HOME_STOP_ACTION]);
+      expect(actions[0].elements[0].url).toBe('https://team.slack.com/archives/C2/p1700000000000200');
+      expect(actions[0].elements[1].value).toBe('1700000000.000200');
+      expect(actions[2].elements.map(button => button.action_id)).toEqual([HOME_OPEN_ACTION]); // finished: nothing to stop
+    });
+
+    test('should invite users without runs to start one', () => {
+      const view = buildHomeView({ runs: [], now });
+
+      expect(JSON.stringify(view)).toContain('No runs yet');
+      expect(view.blocks.some(block => block.type === 'actions')).toBe(false);
+    });
+
+    test('should add load and queued work for admins', () => {
+      const view = buildHomeView({
+        runs,
+        teamUrl,
+        now,
+        load: { running: [{}, {}], queued, maxConcurrent: 3, sessions: 3, slackQueue: 4 }
+      });
+      const text = JSON.stringify(view);
+
+      expect(text).toContain('📊 Bridge load');
+      expect(text).toContain('*Running*\\n2 / 3');
+      expect(text).toContain('*Slack messages waiting*\\n4');
+      expect(text).toContain('2. <#C3> · <https://team.slack.com/archives/C3/p1700000000000400|1700000000.000400> · <@U1> · waiting 30s');
+    });
+
+    test('should show a notice above the runs', () => {
+      const view = buildHomeView({ runs, now, notice: '🚫 Only admins or the user who started a run can stop it.' });
+
+      expect(view.blocks[2].text.text).toBe('🚫 Only admins or the user who started a run can stop it.');
+    });
+
+    test('should leave load out for everyone else', () => {
+      expect(JSON.stringify(buildHomeView({ runs, now }))).not.toContain('Bridge load');
+    });
+  });
+});
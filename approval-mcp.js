@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/**
+ * MCP permission-prompt server for Slack-Claude Bridge
+ *
+ * Started by the CLI via --mcp-config and used as --permission-prompt-tool. Each
+ * approval_prompt call is forwarded to the bridge's local approval endpoint, which
+ * asks in the Slack thread and answers once someone clicks (or the timeout denies).
+ *
+ * Speaks newline-delimited JSON-RPC 2.0 on stdin/stdout. Environment:
+ *   BRIDGE_APPROVAL_URL    - bridge endpoint (http://127.0.0.1:<port>/approvals)
+ *   BRIDGE_APPROVAL_TOKEN  - bearer token for the endpoint
+ *   BRIDGE_THREAD_TS       - Slack thread the run belongs to
+ */
+
+const http = require('http');
+const readline = require('readline');
+
+const TOOL = {
+  name: 'approval_prompt',
+  description: 'Ask the Slack thread for permission to run a tool',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tool_name: { type: 'string', description: 'Tool requesting permission' },
+      input: { type: 'object', description: 'Tool input' },
+      tool_use_id: { type: 'string', description: 'Tool use ID' }
+    },
+    required: ['tool_name', 'input']
+  }
+};
+
+function send(message) {
+  process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+}
+
+function askBridge(toolName, input) {
+  const body = JSON.stringify({
+    threadTs: process.env.BRIDGE_THREAD_TS,
+    toolName,
+    input
+  });
+
+  return new Promise((resolve) => {
+    const req = http.request(process.env.BRIDGE_APPROVAL_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        Authorization: `Bearer ${process.env.BRIDGE_APPROVAL_TOKEN}`
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        try {
+          resolve(res.statusCode === 200 ? JSON.parse(data) : { behavior: 'deny', message: `Bridge returned ${res.statusCode}` });
+        } catch (e) {
+          resolve({ behavior: 'deny', message: 'Invalid response from bridge' });
+        }
+      });
+    });
+
+    // Fail closed: anything that goes wrong is a denial
+    req.on('error', err => resolve({ behavior: 'deny', message: `Bridge unreachable: ${err.message}` }));
+    req.end(body);
+  });
+}
+
+async function handle(request) {
+  const { id, method, params = {} } = request;
+
+  switch (method) {
+    case 'initialize':
+      send({
+        id,
+        result: {
+          protocolVersion: params.protocolVersion || '2024-11-05',
+          capabilities: { tools: {} },
+          serverInfo: { name: 'bridge-approvals', version: '1.0.0' }
+        }
+      });
+      break;
+
+    case 'ping':
+      send({ id, result: {} });
+      break;
+
+    case 'tools/list':
+      send({ id, result: { tools: [TOOL] } });
+      break;
+
+    case 'tools/call': {
+      if (params.name !== TOOL.name) {
+        send({ id, error: { code: -32602, message: `Unknown tool: ${params.name}` } });
+        break;
+      }
+      const args = params.arguments || {};
+      const decision = await askBridge(args.tool_name, args.input || {});
+      send({ id, result: { content: [{ type: 'text', text: JSON.stringify(decision) }] } });
+      break;
+    }
+
+    default:
+      // Notifications (no id) need no reply
+      if (id !== undefined) {
+        send({ id, error: { code: -32601, message: `Method not found: ${method}` } });
+      }
+  }
+}
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  if (!line.trim()) return;
+
+  let request;
+  try {
+    request = JSON.parse(line);
+  } catch (e) {
+    send({ id: null, error: { code: -32700, message: 'Parse error' } });
+    return;
+  }
+
+  handle(request).catch(err => send({ id: request.id, error: { code: -32603, message: err.message } }));
+});
@@ -0,0 +1,288 @@
+/**
+ * Interactive tool approvals for Slack-Claude Bridge
+ *
+ * The CLI is started with --permission-prompt-tool pointing at approval-mcp.js, a tiny MCP
+ * server that forwards each permission request to a local HTTP endpoint served here.
+ * Risky calls are posted to the thread with Approve / Deny / Always-allow buttons and the
+ * request is held until a permitted user clicks, or denied when the timeout expires.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const path = require('path');
+
+const APPROVAL_TIMEOUT = (parseInt(process.env.APPROVAL_TIMEOUT_SECONDS, 10) || 300) * 1000;
+const MCP_SERVER_NAME = 'bridge-approvals';
+const PERMISSION_PROMPT_TOOL = `mcp__${MCP_SERVER_NAME}__approval_prompt`;
+
+const FILE_TOOLS = ['Write', 'Edit', 'MultiEdit', 'NotebookEdit'];
+const NETWORK_TOOLS = ['WebFetch', 'WebSearch'];
+const NETWORK_MCP_PATTERN = /puppeteer|playwright|browser|fetch|http/i;
+const EXTRA_RISKY_TOOLS = (process.env.APPROVAL_RISKY_TOOLS || '').split(',').map(t => t.trim()).filter(t => t);
+
+const pendingApprovals = new Map(); // approvalId -> { id, threadTs, channel, requesterId, toolName, input, resolve, timer, messageTs }
+const threadContexts = new Map(); // threadTs -> { channel, cwd, userId }
+const alwaysAllowed = new Map(); // threadTs -> Set<toolName>
+
+let server = null;
+let serverUrl = null;
+const serverToken = crypto.randomBytes(24).toString('hex');
+let handlers = { onRequest: async () => {}, onResolved: async () => {} };
+
+/**
+ * Whether tool approvals are enabled (TOOL_APPROVALS=true)
+ * @returns {boolean}
+ */
+function approvalsEnabled() {
+  return process.env.TOOL_APPROVALS === 'true';
+}
+
+/**
+ * Decide whether a tool call needs a human in the loop
+ * Bash, network tools and file edits outside the workspace are risky; everything else is allowed.
+ * @param {string} toolName - Tool name as reported by the agent
+ * @param {Object} input - Tool input
+ * @param {string} [cwd] - Workspace directory
+ * @returns {boolean} True if the call needs approval
+ */
+function isRiskyTool(toolName, input = {}, cwd) {
+  if (toolName === 'Bash' || EXTRA_RISKY_TOOLS.includes(toolName)) {
+    return true;
+  }
+
+  if (NETWORK_TOOLS.includes(toolName)) {
+    return true;
+  }
+
+  if (toolName.startsWith('mcp__') && NETWORK_MCP_PATTERN.test(toolName)) {
+    return true;
+  }
+
+  if (FILE_TOOLS.includes(toolName)) {
+    const target = input.file_path || input.notebook_path;
+    if (!target || !cwd) return true;
+
+    const resolved = path.resolve(cwd, target);
+    const root = path.resolve(cwd);
+    return resolved !== root && !resolved.startsWith(root + path.sep);
+  }
+
+  return false;
+}
+
+/**
+ * Remember where a thread's run executes so approvals can be judged and posted
+ * @param {string} threadTs - Slack thread timestamp
+ * @param {Object} context - { channel, cwd, userId }
+ */
+function registerApprovalContext(threadTs, context) {
+  threadContexts.set(threadTs, context);
+}
+
+/**
+ * Ask for approval of a tool call
+ * @param {Object} request - { threadTs, toolName, input }
+ * @returns {Promise<Object>} Permission decision in the CLI's format ({ behavior: 'allow', updatedInput } or { behavior: 'deny', message })
+ */
+async function requestApproval({ threadTs, toolName, input = {} }) {
+  const context = threadContexts.get(threadTs);
+
+  if (!context) {
+    console.warn(`[APPROVAL] No run context for thread ${String(threadTs).slice(-8)}, denying ${toolName}`);
+    return { behavior: 'deny', message: 'No active Slack thread for this run' };
+  }
+
+  if (!isRiskyTool(toolName, input, context.cwd)) {
+    return { behavior: 'allow', updatedInput: input };
+  }
+
+  if (alwaysAllowed.get(threadTs)?.has(toolName)) {
+    console.log(`[APPROVAL] ${toolName} always allowed in thread ${threadTs.slice(-8)}`);
+    return { behavior: 'allow', updatedInput: input };
+  }
+
+  const id = crypto.randomUUID();
+
+  return new Promise((resolve) => {
+    const approval = {
+      id,
+      threadTs,
+      channel: context.channel,
+      requesterId: context.userId,
+      toolName,
+      input,
+      resolve,
+      messageTs: null,
+      timer: setTimeout(() => {
+        console.log(`[APPROVAL] ${toolName} in thread ${threadTs.slice(-8)} timed out - denying`);
+        settleApproval(id, 'timeout', null);
+      }, APPROVAL_TIMEOUT)
+    };
+
+    pendingApprovals.set(id, approval);
+    console.log(`[APPROVAL] Waiting for approval of ${toolName} in thread ${threadTs.slice(-8)} (${id.slice(0, 8)})`);
+
+    Promise.resolve(handlers.onRequest(approval))
+      .then((messageTs) => { approval.messageTs = messageTs || null; })
+      .catch((error) => {
+        console.error(`[APPROVAL] Failed to post approval prompt:`, error.message);
+        settleApproval(id, 'deny', null, 'Could not ask for approval in Slack');
+      });
+  });
+}
+
+/**
+ * Resolve a pending approval and notify the handler
+ * @param {string} id - Approval ID
+ * @param {string} decision - 'approve' | 'deny' | 'always' | 'timeout'
+ * @param {string|null} userId - Deciding Slack user (null for timeouts)
+ * @param {string} [message] - Denial message passed back to the agent
+ * @returns {Object|null} The settled approval, or null if it was no longer pending
+ */
+function settleApproval(id, decision, userId, message) {
+  const approval = pendingApprovals.get(id);
+  if (!approval) return null;
+
+  pendingApprovals.delete(id);
+  clearTimeout(approval.timer);
+
+  if (decision === 'always') {
+    if (!alwaysAllowed.has(approval.threadTs)) alwaysAllowed.set(approval.threadTs, new Set());
+    alwaysAllowed.get(approval.threadTs).add(approval.toolName);
+  }
+
+  if (decision === 'approve' || decision === 'always') {
+    approval.resolve({ behavior: 'allow', updatedInput: approval.input });
+  } else {
+    const reason = message || (decision === 'timeout'
+      ? `No approval within ${APPROVAL_TIMEOUT / 1000}s`
+      : `Denied by Slack user ${userId}`);
+    approval.resolve({ behavior: 'deny', message: reason });
+  }
+
+  console.log(`[APPROVAL] ${approval.toolName} in thread ${approval.threadTs.slice(-8)}: ${decision}${userId ? ` by ${userId}` : ''}`);
+
+  Promise.resolve(handlers.onResolved(approval, decision, userId))
+    .catch(error => console.error(`[APPROVAL] Failed to update approval prompt:`, error.message));
+
+  return approval;
+}
+
+/**
+ * Get a pending approval by ID
+ * @param {string} id - Approval ID
+ * @returns {Object|undefined} Pending approval
+ */
+function getPendingApproval(id) {
+  return pendingApprovals.get(id);
+}
+
+/**
+ * Forget a thread's approvals (denies anything still pending)
+ * @param {string} threadTs - Slack thread timestamp
+ */
+function clearThreadApprovals(threadTs) {
+  for (const approval of [...pendingApprovals.values()]) {
+    if (approval.threadTs === threadTs) {
+      settleApproval(approval.id, 'deny', null, 'Thread session was closed');
+    }
+  }
+  alwaysAllowed.delete(threadTs);
+  threadContexts.delete(threadTs);
+}
+
+/**
+ * Start the local endpoint approval-mcp.js talks to
+ * @param {Object} approvalHandlers - { onRequest(approval) -> messageTs, onResolved(approval, decision, userId) }
+ * @returns {Promise<string>} Endpoint URL
+ */
+function startApprovalServer(approvalHandlers) {
+  handlers = { ...handlers, ...approvalHandlers };
+
+  server = http.createServer((req, res) => {
+    if (req.method !== 'POST' || req.url !== '/approvals' || req.headers.authorization !== `Bearer ${serverToken}`) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      try {
+        const decision = await requestApproval(JSON.parse(body));
+        res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(decision));
+      } catch (error) {
+        console.error(`[APPROVAL] Bad request:`, error.message);
+        res.writeHead(400).end();
+      }
+    });
+  });
+
+  // Requests are long-polls that stay open until someone clicks
+  server.requestTimeout = 0;
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      serverUrl = `http://127.0.0.1:${server.address().port}/approvals`;
+      console.log(`[APPROVAL] Approval endpoint listening on ${serverUrl}`);
+      resolve(serverUrl);
+    });
+  });
+}
+
+/**
+ * Stop the approval endpoint (for testing and shutdown)
+ * @returns {Promise<void>}
+ */
+function stopApprovalServer() {
+  if (!server) return Promise.resolve();
+  return new Promise((resolve) => {
+    server.close(() => resolve());
+    server = null;
+    serverUrl = null;
+  });
+}
+
+/**
+ * Backend options that route a run's permission prompts through Slack
+ * Only used for CLI runs in 'default' or 'acceptEdits' mode - bypassPermissions never asks
+ * and plan mode never edits.
+ * @param {string} threadTs - Slack thread timestamp
+ * @param {string} permissionMode - Run permission mode
+ * @returns {Object} { mcpServers, permissionPromptTool } or {} when approvals do not apply
+ */
+function approvalRunOptions(threadTs, permissionMode) {
+  if (!approvalsEnabled() || !serverUrl || !['default', 'acceptEdits'].includes(permissionMode)) {
+    return {};
+  }
+
+  return {
+    permissionPromptTool: PERMISSION_PROMPT_TOOL,
+    mcpServers: {
+      [MCP_SERVER_NAME]: {
+        command: process.execPath,
+        args: [path.join(__dirname, 'approval-mcp.js')],
+        env: {
+          BRIDGE_APPROVAL_URL: serverUrl,
+          BRIDGE_APPROVAL_TOKEN: serverToken,
+          BRIDGE_THREAD_TS: threadTs
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  APPROVAL_TIMEOUT,
+  approvalsEnabled,
+  isRiskyTool,
+  registerApprovalContext,
+  requestApproval,
+  settleApproval,
+  getPendingApproval,
+  clearThreadApprovals,
+  startApprovalServer,
+  stopApprovalServer,
+  approvalRunOptions
+};
@@ -0,0 +1,187 @@
+/**
+ * Test suite for interactive tool approvals
+ */
+
+const { spawn } = require('child_process');
+const path = require('path');
+
+const {
+  isRiskyTool,
+  registerApprovalContext,
+  requestApproval,
+  settleApproval,
+  clearThreadApprovals,
+  startApprovalServer,
+  stopApprovalServer,
+  approvalRunOptions
+} = require('./approvals');
+
+describe('Tool Approvals', () => {
+  const originalEnv = { ...process.env };
+  let prompts;
+
+  beforeAll(async () => {
+    process.env.TOOL_APPROVALS = 'true';
+    prompts = [];
+    await startApprovalServer({
+      onRequest: async (approval) => {
+        prompts.push(approval);
+        return 'msg-ts';
+      },
+      onResolved: async () => {}
+    });
+  });
+
+  afterAll(async () => {
+    process.env = { ...originalEnv };
+    await stopApprovalServer();
+  });
+
+  beforeEach(() => {
+    prompts.length = 0;
+    clearThreadApprovals('thread-1');
+    registerApprovalContext('thread-1', { channel: 'C1', cwd: '/srv/project', userId: 'U1' });
+  });
+
+  // Wait until the approval prompt has been "posted"
+  async function nextPrompt() {
+    while (prompts.length === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    return prompts.shift();
+  }
+
+  describe('isRiskyTool', () => {
+    test('should flag Bash and network tools', () => {
+      expect(isRiskyTool('Bash', { command: 'ls' }, '/srv/project')).toBe(true);
+      expect(isRiskyTool('WebFetch', { url: 'https://example.com' }, '/srv/project')).toBe(true);
+      expect(isRiskyTool('mcp__puppeteer__navigate', {}, '/srv/project')).toBe(true);
+    });
+
+    test('should allow edits inside the workspace', () => {
+      expect(isRiskyTool('Edit', { file_path: '/srv/project/src/a.js' }, '/srv/project')).toBe(false);
+      expect(isRiskyTool('Write', { file_path: 'src/b.js' }, '/srv/project')).toBe(false);
+    });
+
+    test('should flag edits outside the workspace', () => {
+      expect(isRiskyTool('Edit', { file_path: '/etc/hosts' }, '/srv/project')).toBe(true);
+      expect(isRiskyTool('Write', { file_path: '../other/x.js' }, '/srv/project')).toBe(true);
+      expect(isRiskyTool('Write', { file_path: '/srv/project-evil/x.js' }, '/srv/project')).toBe(true);
+    });
+
+    test('should allow read-only tools', () => {
+      expect(isRiskyTool('Read', { file_path: '/etc/hosts' }, '/srv/project')).toBe(false);
+      expect(isRiskyTool('Grep', { pattern: 'x' }, '/srv/project')).toBe(false);
+    });
+  });
+
+  describe('requestApproval', () => {
+    test('should allow safe tools without asking', async () => {
+      const decision = await requestApproval({ threadTs: 'thread-1', toolName: 'Read', input: { file_path: 'a' } });
+
+      expect(decision).toEqual({ behavior: 'allow', updatedInput: { file_path: 'a' } });
+      expect(prompts).toHaveLength(0);
+    });
+
+    test('should deny runs without a registered thread', async () => {
+      const decision = await requestApproval({ threadTs: 'unknown', toolName: 'Bash', input: {} });
+
+      expect(decision.behavior).toBe('deny');
+    });
+
+    test('should wait for an approve click', async () => {
+      const pending = requestApproval({ threadTs: 'thread-1', toolName: 'Bash', input: { command: 'ls' } });
+      const approval = await nextPrompt();
+
+      expect(approval.channel).toBe('C1');
+      settleApproval(approval.id, 'approve', 'U2');
+
+      expect(await pending).toEqual({ behavior: 'allow', updatedInput: { command: 'ls' } });
+    });
+
+    test('should pass denials back to the agent', async () => {
+      const pending = requestApproval({ threadTs: 'thread-1', toolName: 'Bash', input: { command: 'rm -rf /' } });
+      settleApproval((await nextPrompt()).id, 'deny', 'U2');
+
+      const decision = await pending;
+      expect(decision.behavior).toBe('deny');
+      expect(decision.message).toContain('U2');
+    });
+
+    test('should remember always-allow for the thread', async () => {
+      const first = requestApproval({ threadTs: 'thread-1', toolName: 'Bash', input: { command: 'ls' } });
+      settleApproval((await nextPrompt()).id, 'always', 'U2');
+      await first;
+
+      const second = await requestApproval({ threadTs: 'thread-1', toolName: 'Bash', input: { command: 'pwd' } });
+
+      expect(second.behavior).toBe('allow');
+      expect(prompts).toHaveLength(0);
+    });
+
+    test('should deny pending approvals when the thread is cleaned up', async () => {
+      const pending = requestApproval({ threadTs: 'thread-1', toolName: 'Bash', input: {} });
+      await nextPrompt();
+
+      clearThreadApprovals('thread-1');
+
+      expect((await pending).behavior).toBe('deny');
+    });
+  });
+
+  describe('approvalRunOptions', () => {
+    test('should only apply to modes that ask for permission', () => {
+      expect(approvalRunOptions('thread-1', 'bypassPermissions')).toEqual({});
+      expect(approvalRunOptions('thread-1', 'plan')).toEqual({});
+      expect(approvalRunOptions('thread-1', 'default').permissionPromptTool).toBe('mcp__bridge-approvals__approval_prompt');
+    });
+  });
+
+  describe('approval-mcp.js', () => {
+    test('should forward approval_prompt calls to the bridge', async () => {
+      const { mcpServers } = approvalRunOptions('thread-1', 'acceptEdits');
+      const server = mcpServers['bridge-approvals'];
+
+      const child = spawn(server.command, server.args, {
+        env: { ...process.env, ...server.env },
+        stdio: ['pipe', 'pipe', 'inherit']
+      });
+
+      const responses = [];
+      let buffer = '';
+      child.stdout.on('data', (data) => {
+        buffer += data.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        responses.push(...lines.filter(l => l.trim()).map(l => JSON.parse(l)));
+      });
+
+      const waitFor = async (id) => {
+        while (!responses.find(r => r.id === id)) {
+          await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        return responses.find(r => r.id === id);
+      };
+
+      child.stdin.write(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18' } }) + '\n');
+      child.stdin.write(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }) + '\n');
+      child.stdin.write(JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' }) + '\n');
+      child.stdin.write(JSON.stringify({
+        jsonrpc: '2.0',
+        id: 3,
+        method: 'tools/call',
+        params: { name: 'approval_prompt', arguments: { tool_name: 'Bash', input: { command: 'make' } } }
+      }) + '\n');
+
+      expect((await waitFor(1)).result.protocolVersion).toBe('2025-06-18');
+      expect((await waitFor(2)).result.tools[0].name).toBe('approval_prompt');
+
+      settleApproval((await nextPrompt()).id, 'approve', 'U2');
+
+      const call = await waitFor(3);
+      expect(JSON.parse(call.result.content[0].text)).toEqual({ behavior: 'allow', updatedInput: { command: 'make' } });
+
+      child.kill();
+    });
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Slack file attachments for Slack-Claude Bridge
+ * Files shared with a request are downloaded (with the bot token) into a scratch directory
+ * inside the thread's workspace, so the agent can open them like any other file.
+ *
+ * Layout: <workspace cwd>/.slack-attachments/<thread>/<message>/<file>
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCRATCH_DIR = '.slack-attachments';
+const MAX_BYTES = parseFloat(process.env.ATTACHMENT_MAX_MB || '20') * 1024 * 1024;
+const MAX_FILES = parseInt(process.env.ATTACHMENT_MAX_FILES || '10', 10);
+const DEFAULT_EXTENSIONS = [
+  'png', 'jpg', 'jpeg', 'gif', 'webp',
+  'txt', 'log', 'csv', 'tsv', 'json', 'md', 'yaml', 'yml', 'xml', 'html', 'pdf',
+  'js', 'ts', 'py', 'java', 'kt', 'go', 'rb', 'sql', 'sh', 'diff', 'patch'
+];
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+/**
+ * Allowed file extensions (ATTACHMENT_EXTENSIONS=png,log,csv overrides the defaults)
+ * @returns {string[]}
+ */
+function allowedExtensions() {
+  const configured = (process.env.ATTACHMENT_EXTENSIONS || '').split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+  return configured.length > 0 ? configured : DEFAULT_EXTENSIONS;
+}
+
+/**
+ * File extension of a Slack file (from its name, falling back to Slack's filetype)
+ * @param {Object} file - Slack file object
+ * @returns {string}
+ */
+function fileExtension(file) {
+  const ext = path.extname(file.name || '').slice(1).toLowerCase();
+  return ext || String(file.filetype || '').toLowerCase();
+}
+
+/**
+ * Check a Slack file against the size and type limits
+ * @param {Object} file - Slack file object
+ * @returns {string|null} Reason it is rejected, or null if allowed
+ */
+function rejectReason(file) {
+  if (!file.url_private_download && !file.url_private) {
+    return 'not downloadable';
+  }
+  if (!allowedExtensions().includes(fileExtension(file))) {
+    return `type .${fileExtension(file) || '?'} not allowed`;
+  }
+  if (file.size > MAX_BYTES) {
+    return `larger than ${Math.round(MAX_BYTES / 1024 / 1024)} MB`;
+  }
+  return null;
+}
+
+/**
+ * File name that is safe to write (no path separators, unique in the directory)
+ * @param {string} name - Original file name
+ * @param {Set<string>} taken - Names already used
+ * @returns {string}
+ */
+function safeFileName(name, taken) {
+  const base = path.basename(name || 'file').replace(/[^\w.\-]+/g, '_').replace(/^\.+/, '') || 'file';
+  let candidate = base;
+  let counter = 1;
+  while (taken.has(candidate)) {
+    const ext = path.extname(base);
+    candidate = `${path.basename(base, ext)}-${counter++}${ext}`;
+  }
+  taken.add(candidate);
+  return candidate;
+}
+
+/**
+ * Scratch directory for a thread
+ * @param {string} cwd - Workspace directory
+ * @param {string} threadTs - Thread timestamp
+ * @returns {string}
+ */
+function threadAttachmentDir(cwd, threadTs) {
+  return path.join(cwd, SCRATCH_DIR, threadTs.replace(/[^\d]/g, '-'));
+}
+
+/**
+ * Download a message's files into the thread's scratch directory
+ * @param {Array<Object>} files - event.files
+ * @param {Object} options - { cwd, threadTs, messageTs, token, fetch }
+ * @returns {Promise<Object>} { saved: [{ name, path, relativePath, mimetype, size, image }], skipped: [{ name, reason }] }
+ */
+async function downloadAttachments(files = [], { cwd, threadTs, messageTs, token, fetch = globalThis.fetch }) {
+  const saved = [];
+  const skipped = [];
+  const taken = new Set();
+  const dir = path.join(threadAttachmentDir(cwd, threadTs), messageTs.replace(/[^\d]/g, '-'));
+
+  for (const [index, file] of files.entries()) {
+    const name = file.name || file.title || `file-${index + 1}`;
+
+    if (index >= MAX_FILES) {
+      skipped.push({ name, reason: `only ${MAX_FILES} files per message` });
+      continue;
+    }
+
+    const reason = rejectReason(file);
+    if (reason) {
+      skipped.push({ name, reason });
+      continue;
+    }
+
+    try {
+      const response = await fetch(file.url_private_download || file.url_private, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const data = Buffer.from(await response.arrayBuffer());
+      if (data.length > MAX_BYTES) {
+        skipped.push({ name, reason: `larger than ${Math.round(MAX_BYTES / 1024 / 1024)} MB` });
+        continue;
+      }
+
+      if (saved.length === 0) {
+        fs.mkdirSync(dir, { recursive: true });
+        // Keep scratch files out of the workspace's git status
+        fs.writeFileSync(path.join(cwd, SCRATCH_DIR, '.gitignore'), '*\n');
+      }
+
+      const filePath = path.join(dir, safeFileName(name, taken));
+      fs.writeFileSync(filePath, data);
+
+      const ext = fileExtension(file);
+      saved.push({
+        name,
+        path: filePath,
+        relativePath: path.relative(cwd, filePath),
+        mimetype: IMAGE_TYPES[ext] || file.mimetype || 'application/octet-stream',
+        size: data.length,
+        image: Boolean(IMAGE_TYPES[ext])
+      });
+    } catch (error) {
+      console.error(`[ATTACHMENTS] Failed to download ${name}:`, error.message);
+      skipped.push({ name, reason: 'download failed' });
+    }
+  }
+
+  if (saved.length > 0) {
+    console.log(`[ATTACHMENTS] Saved ${saved.length} file(s) for thread ${threadTs.slice(-8)} in ${dir}`);
+  }
+
+  return { saved, skipped };
+}
+
+/**
+ * Add the downloaded files to the prompt
+ * @param {string} prompt - User request
+ * @param {Array<Object>} saved - Files from downloadAttachments
+ * @returns {string}
+ */
+function buildAttachmentPrompt(prompt, saved) {
+  if (saved.length === 0) return prompt;
+
+  const lines = saved.map(file => `- ${file.relativePath} (${file.mimetype}, ${formatSize(file.size)})`);
+  return `${prompt || 'Please look at the attached files.'}\n\nFiles shared with this message (relative to the working directory):\n${lines.join('\n')}`;
+}
+
+/**
+ * Human-readable file size
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+/**
+ * Delete a thread's scratch directory
+ * @param {string} cwd - Workspace directory
+ * @param {string} threadTs - Thread timestamp
+ * @returns {boolean} True if something was removed
+ */
+function removeThreadAttachments(cwd, threadTs) {
+  const dir = threadAttachmentDir(cwd, threadTs);
+  if (!fs.existsSync(dir)) return false;
+
+  fs.rmSync(dir, { recursive: true, force: true });
+  console.log(`[ATTACHMENTS] Removed ${dir}`);
+  return true;
+}
+
+module.exports = {
+  SCRATCH_DIR,
+  allowedExtensions,
+  rejectReason,
+  threadAttachmentDir,
+  downloadAttachments,
+  buildAttachmentPrompt,
+  removeThreadAttachments
+};
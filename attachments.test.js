@@ -0,0 +1,128 @@
+/**
+ * Test suite for Slack file attachments
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  rejectReason,
+  threadAttachmentDir,
+  downloadAttachments,
+  buildAttachmentPrompt,
+  removeThreadAttachments
+} = require('./attachments');
+
+describe('Attachments', () => {
+  let cwd;
+  let fetch;
+
+  const slackFile = (name, extra = {}) => ({
+    name,
+    size: 100,
+    url_private_download: `https://files.slack.com/files-pri/T1-F1/download/${name}`,
+    ...extra
+  });
+
+  beforeEach(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+    fetch = jest.fn(async (url) => ({
+      ok: true,
+      status: 200,
+      arrayBuffer: async () => Buffer.from(`contents of ${path.basename(url)}`)
+    }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(cwd, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  describe('rejectReason', () => {
+    test('should allow common text and image files', () => {
+      expect(rejectReason(slackFile('build.log'))).toBeNull();
+      expect(rejectReason(slackFile('screenshot.PNG'))).toBeNull();
+    });
+
+    test('should reject disallowed types and oversized files', () => {
+      expect(rejectReason(slackFile('tool.exe'))).toContain('type .exe not allowed');
+      expect(rejectReason(slackFile('huge.csv', { size: 500 * 1024 * 1024 }))).toContain('larger than 20 MB');
+    });
+  });
+
+  describe('downloadAttachments', () => {
+    test('should save files with the bot token under the thread directory', async () => {
+      const { saved, skipped } = await downloadAttachments(
+        [slackFile('error.log'), slackFile('screen.png', { mimetype: 'image/png' })],
+        { cwd, threadTs: '1700000000.000100', messageTs: '1700000000.000200', token: 'xoxb-test', fetch }
+      );
+
+      expect(skipped).toEqual([]);
+      expect(fetch).toHaveBeenCalledWith(expect.stringContaining('error.log'), { headers: { Authorization: 'Bearer xoxb-test' } });
+      expect(saved.map(file => file.relativePath)).toEqual([
+        path.join('.slack-attachments', '1700000000-000100', '1700000000-000200', 'error.log'),
+        path.join('.slack-attachments', '1700000000-000100', '1700000000-000200', 'screen.png')
+      ]);
+      expect(saved[1]).toMatchObject({ image: true, mimetype: 'image/png' });
+      expect(fs.readFileSync(saved[0].path, 'utf8')).toBe('contents of error.log');
+      expect(fs.readFileSync(path.join(cwd, '.slack-attachments', '.gitignore'), 'utf8')).toBe('*\n');
+    });
+
+    test('should sanitise and de-duplicate file names', async () => {
+      const { saved } = await downloadAttachments(
+        [slackFile('../../etc/passwd.txt'), slackFile('passwd.txt')],
+        { cwd, threadTs: '1.2', messageTs: '1.3', token: 'xoxb-test', fetch }
+      );
+
+      expect(saved.map(file => path.basename(file.path))).toEqual(['passwd.txt', 'passwd-1.txt']);
+      expect(saved.every(file => file.path.startsWith(threadAttachmentDir(cwd, '1.2')))).toBe(true);
+    });
+
+    test('should report skipped and failed files', async () => {
+      fetch.mockResolvedValueOnce({ ok: false, status: 403 });
+
+      const { saved, skipped } = await downloadAttachments(
+        [slackFile('a.txt'), slackFile('b.zip')],
+        { cwd, threadTs: '1.2', messageTs: '1.3', token: 'xoxb-test', fetch }
+      );
+
+      expect(saved).toEqual([]);
+      expect(skipped).toEqual([
+        { name: 'a.txt', reason: 'download failed' },
+        { name: 'b.zip', reason: 'type .zip not allowed' }
+      ]);
+      expect(fs.existsSync(path.join(cwd, '.slack-attachments'))).toBe(false);
+    });
+  });
+
+  describe('buildAttachmentPrompt', () => {
+    test('should list saved files after the request', () => {
+      const prompt = buildAttachmentPrompt('why does this fail?', [
+        { relativePath: '.slack-attachments/1/2/error.log', mimetype: 'text/plain', size: 2048 }
+      ]);
+
+      expect(prompt).toBe('why does this fail?\n\nFiles shared with this message (relative to the working directory):\n' +
+        '- .slack-attachments/1/2/error.log (text/plain, 2 KB)');
+    });
+
+    test('should supply a request when only files were shared', () => {
+      expect(buildAttachmentPrompt('', [{ relativePath: 'x.png', mimetype: 'image/png', size: 10 }]))
+        .toMatch(/^Please look at the attached files\./);
+      expect(buildAttachmentPrompt('', [])).toBe('');
+    });
+  });
+
+  describe('removeThreadAttachments', () => {
+    test('should delete only the thread directory', async () => {
+      await downloadAttachments([slackFile('a.txt')], { cwd, threadTs: '1.2', messageTs: '1.3', token: 't', fetch });
+      await downloadAttachments([slackFile('b.txt')], { cwd, threadTs: '9.9', messageTs: '9.9', token: 't', fetch });
+
+      expect(removeThreadAttachments(cwd, '1.2')).toBe(true);
+      expect(removeThreadAttachments(cwd, '1.2')).toBe(false);
+      expect(fs.existsSync(threadAttachmentDir(cwd, '9.9'))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * Query the Slack-Claude Bridge audit log
+ *
+ * Usage: node audit-query.js [--user U123] [--date 2026-03-10] [--since 2026-03-01] [--until 2026-03-10]
+ *                            [--tool Bash] [--event tool_use] [--channel C123] [--thread 1700000000.000100]
+ *                            [--limit 50] [--json] [--file data/audit/audit.jsonl]
+ *
+ * Prints one line per entry (newest last), or raw JSONL with --json.
+ */
+
+const { readAuditLog, filterAuditLog } = require('./audit');
+
+const OPTIONS = ['user', 'date', 'since', 'until', 'tool', 'event', 'channel', 'thread', 'limit', 'file'];
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Options ({ help: true } for --help)
+ */
+function parseArgs(argv) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('--') && OPTIONS.includes(arg.slice(2)) && argv[i + 1] !== undefined) {
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  // --date is shorthand for a single day
+  if (options.date) {
+    options.since = options.date;
+    options.until = options.date;
+  }
+
+  return options;
+}
+
+/**
+ * One readable line for an entry
+ * @param {Object} entry - Audit entry
+ * @returns {string}
+ */
+function formatEntry(entry) {
+  const who = [entry.userId, entry.channel, entry.threadTs].filter(Boolean).join(' ');
+  const details = {
+    request: () => JSON.stringify(entry.prompt),
+    denied: () => entry.reason,
+    tool_use: () => `${entry.tool} ${JSON.stringify(entry.input)}`,
+    tool_result: () => `${entry.tool || entry.toolUseId}${entry.isError ? ' ERROR' : ''} (${entry.outputChars} chars)`,
+    run_end: () => `exit ${entry.exitCode} after ${(entry.durationMs / 1000).toFixed(1)}s`,
+    run_error: () => entry.error,
+    closed: () => entry.reason,
+    branch_push: () => `${entry.branch} -> ${entry.remote}`,
+    branch_discard: () => entry.branch
+  };
+
+  const detail = details[entry.event] ? details[entry.event]() : '';
+  return `${entry.time}  ${entry.event.padEnd(11)}  ${who}  ${detail}`.trimEnd();
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(2);
+  }
+
+  if (options.help) {
+    console.log(require('fs').readFileSync(__filename, 'utf8').split('\n').slice(2, 9).join('\n').replace(/^ \*\/? ?/gm, ''));
+    return;
+  }
+
+  const entries = filterAuditLog(readAuditLog(options.file), options);
+  const limited = options.limit ? entries.slice(-parseInt(options.limit, 10)) : entries;
+
+  for (const entry of limited) {
+    console.log(options.json ? JSON.stringify(entry) : formatEntry(entry));
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { parseArgs, formatEntry };
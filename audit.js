@@ -0,0 +1,176 @@
+/**
+ * Audit log for Slack-Claude Bridge
+ * Append-only JSONL trail of who asked the bot to do what: requests, tool calls and
+ * their results, and how each run ended. One JSON object per line:
+ *   { time, event, userId, channel, threadTs, sessionId, ... }
+ *
+ * Events: request, denied, tool_use, tool_result, run_end, run_error, closed, branch_push, branch_discard
+ * The file rotates by size (audit-<timestamp>.jsonl next to it); see audit-query.js to search it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LOG_PATH = path.join(__dirname, 'data', 'audit', 'audit.jsonl');
+const MAX_BYTES = parseFloat(process.env.AUDIT_MAX_MB || '50') * 1024 * 1024;
+const KEEP_FILES = parseInt(process.env.AUDIT_KEEP_FILES || '20', 10);
+const MAX_RESULT_CHARS = parseInt(process.env.AUDIT_MAX_RESULT_CHARS || '2000', 10);
+
+// tool_use ID -> tool name, so results can be filtered by tool too
+const pendingTools = new Map();
+
+function logPath() {
+  return process.env.AUDIT_LOG_PATH || DEFAULT_LOG_PATH;
+}
+
+function auditEnabled() {
+  return process.env.AUDIT_LOG !== 'false';
+}
+
+/**
+ * Rotated files for the log, oldest first
+ * @param {string} file - Current log path
+ * @returns {string[]}
+ */
+function rotatedFiles(file = logPath()) {
+  const dir = path.dirname(file);
+  const base = path.basename(file, '.jsonl');
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(name => name.startsWith(`${base}-`) && name.endsWith('.jsonl'))
+    .sort()
+    .map(name => path.join(dir, name));
+}
+
+/**
+ * Move the current log aside once it exceeds the size limit, keeping the newest KEEP_FILES
+ * @param {string} file - Current log path
+ */
+function rotateIfNeeded(file) {
+  let size;
+  try {
+    size = fs.statSync(file).size;
+  } catch (error) {
+    return;
+  }
+  if (size < MAX_BYTES) return;
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  fs.renameSync(file, file.replace(/\.jsonl$/, `-${stamp}.jsonl`));
+  console.log(`[AUDIT] Rotated ${file}`);
+
+  const rotated = rotatedFiles(file);
+  for (const old of rotated.slice(0, Math.max(0, rotated.length - KEEP_FILES))) {
+    fs.rmSync(old, { force: true });
+  }
+}
+
+/**
+ * Append an entry to the audit log
+ * @param {string} event - Event name
+ * @param {Object} fields - Event details
+ */
+function audit(event, fields = {}) {
+  if (!auditEnabled()) return;
+
+  const file = logPath();
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    rotateIfNeeded(file);
+    fs.appendFileSync(file, JSON.stringify({ time: new Date().toISOString(), event, ...fields }) + '\n', { mode: 0o600 });
+  } catch (error) {
+    console.error(`[AUDIT] Failed to write ${file}:`, error.message);
+  }
+}
+
+/**
+ * Text of a tool result (string or content blocks), capped for the log
+ * @param {string|Array} content - tool_result content
+ * @returns {{ output: string, outputChars: number }}
+ */
+function resultText(content) {
+  const text = Array.isArray(content)
+    ? content.map(block => (block.type === 'text' ? block.text : `[${block.type}]`)).join('\n')
+    : String(content ?? '');
+
+  return {
+    output: text.length > MAX_RESULT_CHARS ? text.slice(0, MAX_RESULT_CHARS) + '...' : text,
+    outputChars: text.length
+  };
+}
+
+/**
+ * Audit the tool calls and results in a stream-json event
+ * @param {Object} msg - Backend event
+ * @param {Object} context - { userId, channel, threadTs, sessionId }
+ */
+function auditStreamEvent(msg, context) {
+  const items = msg.message?.content;
+  if (!Array.isArray(items)) return;
+
+  for (const item of items) {
+    if (msg.type === 'assistant' && item.type === 'tool_use') {
+      if (pendingTools.size > 1000) pendingTools.clear();
+      pendingTools.set(item.id, item.name);
+      audit('tool_use', { ...context, tool: item.name, toolUseId: item.id, input: item.input });
+    } else if (msg.type === 'user' && item.type === 'tool_result') {
+      const tool = pendingTools.get(item.tool_use_id) || null;
+      pendingTools.delete(item.tool_use_id);
+      audit('tool_result', { ...context, tool, toolUseId: item.tool_use_id, isError: Boolean(item.is_error), ...resultText(item.content) });
+    }
+  }
+}
+
+/**
+ * Read entries from the current and rotated logs
+ * @param {string} [file] - Current log path
+ * @returns {Array<Object>}
+ */
+function readAuditLog(file = logPath()) {
+  const entries = [];
+
+  for (const name of [...rotatedFiles(file), file]) {
+    if (!fs.existsSync(name)) continue;
+    for (const line of fs.readFileSync(name, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // Partial line from a crash mid-write
+      }
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Filter audit entries
+ * @param {Array<Object>} entries - From readAuditLog
+ * @param {Object} filters - { user, channel, thread, tool, event, since, until } - since/until are ISO dates or times
+ * @returns {Array<Object>}
+ */
+function filterAuditLog(entries, { user, channel, thread, tool, event, since, until } = {}) {
+  // A bare date for "until" covers that whole day
+  const untilBound = until && /^\d{4}-\d{2}-\d{2}$/.test(until) ? `${until}T23:59:59.999Z` : until;
+
+  return entries.filter(entry =>
+    (!user || entry.userId === user) &&
+    (!channel || entry.channel === channel) &&
+    (!thread || entry.threadTs === thread) &&
+    (!tool || entry.tool === tool) &&
+    (!event || entry.event === event) &&
+    (!since || entry.time >= since) &&
+    (!untilBound || entry.time <= untilBound)
+  );
+}
+
+module.exports = {
+  audit,
+  auditEnabled,
+  auditStreamEvent,
+  readAuditLog,
+  filterAuditLog,
+  rotatedFiles
+};
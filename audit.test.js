@@ -0,0 +1,115 @@
+/**
+ * Test suite for the audit log
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { audit, auditStreamEvent, readAuditLog, filterAuditLog, rotatedFiles } = require('./audit');
+const { parseArgs, formatEntry } = require('./audit-query');
+
+describe('Audit log', () => {
+  const originalEnv = { ...process.env };
+  let tmpDir;
+  let logFile;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+    logFile = path.join(tmpDir, 'audit.jsonl');
+    process.env.AUDIT_LOG_PATH = logFile;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  describe('audit', () => {
+    test('should append one JSON line per entry', () => {
+      audit('request', { userId: 'U1', channel: 'C1', threadTs: '1.1', prompt: 'run the tests' });
+      audit('run_end', { userId: 'U1', channel: 'C1', threadTs: '1.1', exitCode: 0, durationMs: 1200 });
+
+      const lines = fs.readFileSync(logFile, 'utf8').trim().split('\n');
+      expect(lines).toHaveLength(2);
+      expect(JSON.parse(lines[0])).toMatchObject({ event: 'request', userId: 'U1', prompt: 'run the tests' });
+      expect(JSON.parse(lines[1]).time).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    });
+
+    test('should write nothing when disabled', () => {
+      process.env.AUDIT_LOG = 'false';
+
+      audit('request', { userId: 'U1' });
+
+      expect(fs.existsSync(logFile)).toBe(false);
+    });
+  });
+
+  describe('auditStreamEvent', () => {
+    test('should record tool calls and their results with the run context', () => {
+      const context = { userId: 'U1', channel: 'C1', threadTs: '1.1', sessionId: 'abc' };
+
+      auditStreamEvent({
+        type: 'assistant',
+        message: { content: [{ type: 'text', text: 'Running' }, { type: 'tool_use', id: 'tu1', name: 'Bash', input: { command: 'npm test' } }] }
+      }, context);
+      auditStreamEvent({
+        type: 'user',
+        message: { content: [{ type: 'tool_result', tool_use_id: 'tu1', is_error: true, content: [{ type: 'text', text: 'x'.repeat(3000) }] }] }
+      }, context);
+
+      const [toolUse, toolResult] = readAuditLog();
+      expect(toolUse).toMatchObject({ event: 'tool_use', sessionId: 'abc', tool: 'Bash', toolUseId: 'tu1', input: { command: 'npm test' } });
+      expect(toolResult).toMatchObject({ event: 'tool_result', tool: 'Bash', isError: true, outputChars: 3000 });
+      expect(toolResult.output).toHaveLength(2003);
+    });
+  });
+
+  describe('rotation', () => {
+    test('should move a full log aside and keep reading it', () => {
+      jest.isolateModules(() => {
+        process.env.AUDIT_MAX_MB = '0.0001'; // ~100 bytes
+        const isolated = require('./audit');
+
+        isolated.audit('request', { userId: 'U1', prompt: 'a'.repeat(120) });
+        isolated.audit('request', { userId: 'U2', prompt: 'b' });
+
+        expect(rotatedFiles(logFile)).toHaveLength(1);
+        expect(readAuditLog(logFile).map(entry => entry.userId)).toEqual(['U1', 'U2']);
+      });
+    });
+  });
+
+  describe('filterAuditLog', () => {
+    const entries = [
+      { time: '2026-03-09T23:00:00.000Z', event: 'request', userId: 'U1', channel: 'C1' },
+      { time: '2026-03-10T08:00:00.000Z', event: 'tool_use', userId: 'U1', channel: 'C1', tool: 'Bash' },
+      { time: '2026-03-10T22:00:00.000Z', event: 'tool_use', userId: 'U2', channel: 'C2', tool: 'Edit' },
+      { time: '2026-03-11T01:00:00.000Z', event: 'tool_use', userId: 'U1', channel: 'C1', tool: 'Bash' }
+    ];
+
+    test('should filter by user, tool and a whole day', () => {
+      const result = filterAuditLog(entries, parseArgs(['--user', 'U1', '--date', '2026-03-10', '--tool', 'Bash']));
+
+      expect(result).toEqual([entries[1]]);
+    });
+
+    test('should filter by event and time range', () => {
+      expect(filterAuditLog(entries, { event: 'tool_use', since: '2026-03-10T12:00' })).toEqual([entries[2], entries[3]]);
+    });
+  });
+
+  describe('audit-query', () => {
+    test('should reject unknown arguments', () => {
+      expect(() => parseArgs(['--users', 'U1'])).toThrow('Unknown argument: --users');
+    });
+
+    test('should format entries as readable lines', () => {
+      expect(formatEntry({ time: 'T', event: 'run_end', userId: 'U1', channel: 'C1', threadTs: '1.1', exitCode: 1, durationMs: 4500 }))
+        .toBe('T  run_end      U1 C1 1.1  exit 1 after 4.5s');
+    });
+  });
+});
@@ -0,0 +1,431 @@
+/**
+ * Agent backends for Slack-Claude Bridge
+ *
+ * Every backend starts a run that behaves the same way:
+ *   run.on('message', msg)  - stream-json event ({ type: 'system' | 'assistant' | 'user' | 'result', ... })
+ *   run.on('text', line)    - plain (non-JSON) output line
+ *   run.on('close', code)   - run finished (0 = success)
+ *   run.on('error', err)    - run could not start (terminal, no 'close' follows)
+ *   run.cancel()            - stop the run, resolves once it has exited
+ *
+ * Passing `sessionId` resumes that session instead of starting a new one.
+ * Optional `model` and `allowedTools` come from the channel's workspace (the API backend
+ * maps CLI model aliases like `sonnet` to model IDs), and
+ * `permissionMode` from the access policy (defaults to bypassPermissions).
+ * CLI runs also accept extra `mcpServers` and a `permissionPromptTool` (see approvals.js).
+ * `images` ([{ path, mimetype }]) are sent as image inputs by the API backend; the CLI
+ * opens them itself from the paths listed in the prompt (see attachments.js).
+ */
+
+const { EventEmitter } = require('events');
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CLI_PATH = process.env.CLAUDE_CLI_PATH || '/usr/bin/claude';
+const SDK_MODEL = process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-5';
+const SDK_MAX_TOKENS = parseInt(process.env.ANTHROPIC_MAX_TOKENS, 10) || 8192;
+// CLI model aliases (as used in workspaces.json) → Messages API model IDs
+const SDK_MODEL_ALIASES = {
+  sonnet: 'claude-sonnet-4-5',
+  opus: 'claude-opus-4-1',
+  haiku: 'claude-haiku-4-5'
+};
+const SDK_SESSION_DIR = process.env.SDK_SESSION_DIR || path.join(__dirname, 'data', 'sdk-sessions');
+
+const SDK_SYSTEM_PROMPT = 'You are an AI assistant answering a development team through Slack. ' +
+  'You are running in API mode without tool, shell or filesystem access: say so when a request needs them.';
+
+/**
+ * Run backed by the Claude CLI in stream-json mode
+ */
+class CliRun extends EventEmitter {
+  constructor({ prompt, sessionId, cwd, env, model, allowedTools, permissionMode = 'bypassPermissions', mcpServers, permissionPromptTool }) {
+    super();
+    this.backend = 'cli';
+    this.failed = false;
+    this.exited = false;
+
+    const args = [
+      '-p', prompt,
+      '--output-format', 'stream-json',
+      '--verbose'
+    ];
+
+    // The CLI ignores --allowedTools when skipping permissions, so a tool allowlist
+    // downgrades bypassPermissions to acceptEdits (tools off the list are then refused)
+    if (permissionMode === 'bypassPermissions' && allowedTools && allowedTools.length > 0) {
+      console.warn(`[BACKEND] bypassPermissions ignores allowedTools - running with acceptEdits to enforce ${allowedTools.join(', ')}`);
+      permissionMode = 'acceptEdits';
+    }
+
+    if (permissionMode === 'bypassPermissions') {
+      args.push('--dangerously-skip-permissions');
+    } else {
+      args.push('--permission-mode', permissionMode);
+    }
+
+    if (sessionId) {
+      args.push('--resume', sessionId);
+    }
+
+    if (model) {
+      args.push('--model', model);
+    }
+
+    if (allowedTools && allowedTools.length > 0) {
+      args.push('--allowedTools', allowedTools.join(','));
+    }
+
+    if (mcpServers) {
+      args.push('--mcp-config', JSON.stringify({ mcpServers }));
+    }
+
+    if (permissionPromptTool) {
+      args.push('--permission-prompt-tool', permissionPromptTool);
+    }
+
+    this.child = spawn(CLI_PATH, args, {
+      cwd,
+      env,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    this.pid = this.child.pid;
+
+    const stdoutLines = this.lineReader(line => this.handleLine(line));
+    const stderrLines = this.lineReader(line => this.emit('text', line));
+
+    this.child.stdout.on('data', stdoutLines.push);
+    this.child.stderr.on('data', stderrLines.push);
+
+    this.child.on('error', (err) => {
+      this.failed = true;
+      this.emit('error', err);
+    });
+
+    this.child.on('close', (code) => {
+      this.exited = true;
+      stdoutLines.flush();
+      stderrLines.flush();
+      if (!this.failed) this.emit('close', code);
+    });
+  }
+
+  // Split a byte stream into complete lines
+  lineReader(onLine) {
+    let buffer = '';
+    return {
+      push: (data) => {
+        buffer += data.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          if (line.trim()) onLine(line);
+        }
+      },
+      flush: () => {
+        if (buffer.trim()) onLine(buffer);
+        buffer = '';
+      }
+    };
+  }
+
+  handleLine(line) {
+    let msg;
+    try {
+      msg = JSON.parse(line);
+    } catch (e) {
+      // Not JSON - plain text output
+      this.emit('text', line);
+      return;
+    }
+    this.emit('message', msg);
+  }
+
+  // Graceful shutdown: SIGTERM, then SIGKILL after 5 seconds
+  cancel() {
+    const child = this.child;
+    if (this.exited || this.failed || child.killed) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      const pid = child.pid;
+      console.log(`[CLEANUP] Sending SIGTERM to process ${pid}`);
+
+      const forceKillTimer = setTimeout(() => {
+        if (!this.exited) {
+          console.log(`[CLEANUP] Process ${pid} didn't exit, sending SIGKILL`);
+          try {
+            child.kill('SIGKILL');
+          } catch (e) {
+            console.error(`[CLEANUP] SIGKILL failed:`, e.message);
+          }
+        }
+        resolve();
+      }, 5000);
+
+      child.on('exit', () => {
+        clearTimeout(forceKillTimer);
+        console.log(`[CLEANUP] Process ${pid} exited cleanly`);
+        resolve();
+      });
+
+      child.kill('SIGTERM');
+    });
+  }
+}
+
+/**
+ * Run backed by the Anthropic Messages API
+ * Conversation history is kept per session ID on disk so threads can resume.
+ */
+class SdkRun extends EventEmitter {
+  constructor({ prompt, sessionId, model, images = [] }) {
+    super();
+    this.backend = 'sdk';
+    this.model = SDK_MODEL_ALIASES[model] || model || SDK_MODEL;
+    this.sessionId = sessionId || crypto.randomUUID();
+    this.stream = null;
+    this.cancelled = false;
+    this.done = null;
+
+    // Start on next tick so callers can attach listeners first (matches spawn semantics)
+    process.nextTick(() => {
+      this.done = this.execute(prompt, images).catch((err) => this.emit('error', err));
+    });
+  }
+
+  async execute(prompt, images) {
+    const Anthropic = require('@anthropic-ai/sdk');
+    const client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+
+    const history = loadSdkSession(this.sessionId);
+    const messages = [...history, { role: 'user', content: prompt }];
+
+    // Images go with this turn only; the stored history keeps the text (which lists the files)
+    const content = images.length > 0
+      ? [...images.map(image => ({
+        type: 'image',
+        source: { type: 'base64', media_type: image.mimetype, data: fs.readFileSync(image.path).toString('base64') }
+      })), { type: 'text', text: prompt }]
+      : prompt;
+    const startTime = Date.now();
+
+    this.emit('message', { type: 'system', subtype: 'init', session_id: this.sessionId, model: this.model });
+
+    try {
+      this.stream = client.messages.stream({
+        model: this.model,
+        max_tokens: SDK_MAX_TOKENS,
+        system: SDK_SYSTEM_PROMPT,
+        messages: [...history, { role: 'user', content }]
+      });
+
+      const final = await this.stream.finalMessage();
+      const text = final.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('\n');
+
+      saveSdkSession(this.sessionId, [...messages, { role: 'assistant', content: text }]);
+
+      this.emit('message', { type: 'assistant', message: { content: [{ type: 'text', text }] } });
+      this.emit('message', {
+        type: 'result',
+        subtype: 'success',
+        is_error: false,
+        result: text,
+        session_id: this.sessionId,
+        duration_ms: Date.now() - startTime,
+        usage: final.usage
+      });
+      this.emit('close', 0);
+    } catch (error) {
+      const message = this.cancelled ? 'Cancelled' : error.message;
+      this.emit('message', {
+        type: 'result',
+        subtype: 'error',
+        is_error: true,
+        result: message,
+        session_id: this.sessionId,
+        duration_ms: Date.now() - startTime
+      });
+      this.emit('close', this.cancelled ? 143 : 1);
+    }
+  }
+
+  async cancel() {
+    this.cancelled = true;
+    if (this.stream) this.stream.abort();
+    if (this.done) await this.done;
+  }
+}
+
+function sdkSessionFile(sessionId) {
+  // Session IDs are UUIDs; strip anything else before touching the filesystem
+  return path.join(SDK_SESSION_DIR, `${String(sessionId).replace(/[^a-zA-Z0-9-]/g, '')}.json`);
+}
+
+function loadSdkSession(sessionId) {
+  try {
+    return JSON.parse(fs.readFileSync(sdkSessionFile(sessionId), 'utf8'));
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveSdkSession(sessionId, messages) {
+  try {
+    fs.mkdirSync(SDK_SESSION_DIR, { recursive: true });
+    fs.writeFileSync(sdkSessionFile(sessionId), JSON.stringify(messages));
+  } catch (error) {
+    console.error(`[BACKEND] Failed to save API session ${sessionId.slice(0, 8)}:`, error.message);
+  }
+}
+
+const BACKENDS = {
+  cli: {
+    isAvailable() {
+      try {
+        fs.accessSync(CLI_PATH, fs.constants.X_OK);
+        return true;
+      } catch (e) {
+        return false;
+      }
+    },
+    start: (options) => new CliRun(options)
+  },
+  sdk: {
+    isAvailable: () => Boolean(process.env.ANTHROPIC_API_KEY),
+    start: (options) => new SdkRun(options)
+  }
+};
+
+// Per-channel overrides: AGENT_BACKEND_CHANNELS=C123:sdk,C456:cli
+const channelBackends = new Map(
+  (process.env.AGENT_BACKEND_CHANNELS || '')
+    .split(',')
+    .map(entry => entry.trim().split(':').map(part => part.trim()))
+    .filter(([channel, name]) => channel && BACKENDS[name])
+);
+
+/**
+ * Decide which backend a channel should use
+ * Explicit choices (per channel or AGENT_BACKEND) win; "auto" prefers the CLI
+ * and falls back to the API when the CLI binary is missing.
+ * @param {string} channel - Slack channel ID
+ * @returns {{ name: string, auto: boolean }} Backend name and whether it was chosen automatically
+ */
+function resolveBackend(channel) {
+  const configured = channelBackends.get(channel) || process.env.AGENT_BACKEND || 'auto';
+
+  if (BACKENDS[configured]) {
+    return { name: configured, auto: false };
+  }
+
+  if (!BACKENDS.cli.isAvailable() && BACKENDS.sdk.isAvailable()) {
+    console.log(`[BACKEND] CLI not found at ${CLI_PATH}, using API backend`);
+    return { name: 'sdk', auto: true };
+  }
+
+  return { name: 'cli', auto: true };
+}
+
+/**
+ * CLI run that transparently switches to the API backend if the CLI fails to start
+ * (spawn error, or a non-zero exit before any stream-json event).
+ */
+class FallbackRun extends EventEmitter {
+  constructor(options) {
+    super();
+    this.options = options;
+    this.started = false;
+    this.pendingText = [];
+    this.attach(BACKENDS.cli.start(options));
+  }
+
+  get backend() {
+    return this.inner.backend;
+  }
+
+  attach(run) {
+    this.inner = run;
+
+    run.on('message', (msg) => {
+      if (!this.started) {
+        this.started = true;
+        for (const line of this.pendingText) this.emit('text', line);
+        this.pendingText = [];
+      }
+      this.emit('message', msg);
+    });
+
+    run.on('text', (line) => {
+      if (this.started || run.backend !== 'cli') {
+        this.emit('text', line);
+      } else {
+        this.pendingText.push(line);
+      }
+    });
+
+    run.on('close', (code) => {
+      if (run.backend === 'cli' && !this.started && code !== 0 && !this.cancelled) {
+        this.fallBack(`exited with code ${code} before starting: ${this.pendingText.join(' ').slice(0, 200)}`);
+        return;
+      }
+      for (const line of this.pendingText) this.emit('text', line);
+      this.pendingText = [];
+      this.emit('close', code);
+    });
+
+    run.on('error', (err) => {
+      if (run.backend === 'cli' && !this.cancelled) {
+        this.fallBack(err.message);
+        return;
+      }
+      this.emit('error', err);
+    });
+  }
+
+  fallBack(reason) {
+    console.log(`[BACKEND] CLI failed to start (${reason}), falling back to API backend`);
+    this.pendingText = [];
+    this.started = true;
+    this.attach(BACKENDS.sdk.start(this.options));
+  }
+
+  cancel() {
+    this.cancelled = true;
+    return this.inner.cancel();
+  }
+}
+
+/**
+ * Start an agent run on the backend selected for the channel
+ * @param {Object} options - { prompt, sessionId, channel, cwd, env, model, allowedTools, permissionMode, mcpServers, permissionPromptTool }
+ * @returns {EventEmitter} Run handle (see module docs)
+ */
+function startAgentRun(options) {
+  const { name, auto } = resolveBackend(options.channel);
+
+  if (name === 'cli' && auto && BACKENDS.sdk.isAvailable()) {
+    return new FallbackRun(options);
+  }
+
+  return BACKENDS[name].start(options);
+}
+
+/**
+ * Whether the CLI binary exists and is executable (for health checks)
+ * @returns {boolean}
+ */
+function isCliAvailable() {
+  return BACKENDS.cli.isAvailable();
+}
+
+module.exports = {
+  startAgentRun,
+  resolveBackend,
+  isCliAvailable
+};
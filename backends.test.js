@@ -0,0 +1,198 @@
+/**
+ * Test suite for agent backends
+ * Uses a fake CLI script that prints stream-json so no real agent is spawned
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('Agent Backends', () => {
+  let tmpDir;
+  let fakeCli;
+  const originalEnv = { ...process.env };
+
+  function loadBackends(env) {
+    Object.assign(process.env, env);
+    let backends;
+    jest.isolateModules(() => {
+      backends = require('./backends');
+    });
+    return backends;
+  }
+
+  function collect(run) {
+    const events = { messages: [], text: [] };
+    run.on('message', msg => events.messages.push(msg));
+    run.on('text', line => events.text.push(line));
+    return new Promise((resolve) => {
+      run.on('close', code => resolve({ ...events, code }));
+      run.on('error', err => resolve({ ...events, error: err }));
+    });
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backends-'));
+    fakeCli = path.join(tmpDir, 'claude');
+    fs.writeFileSync(fakeCli, `#!/usr/bin/env node
+const args = process.argv.slice(2);
+const resume = args.includes('--resume') ? args[args.indexOf('--resume') + 1] : null;
+console.log(JSON.stringify({ type: 'system', subtype: 'init', session_id: resume || 'new-session' }));
+console.log('plain text line');
+console.error('stderr line');
+console.log(JSON.stringify({ type: 'result', result: 'done: ' + args[1] }));
+`);
+    fs.chmodSync(fakeCli, 0o755);
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('resolveBackend', () => {
+    test('should honour per-channel overrides', () => {
+      const { resolveBackend } = loadBackends({
+        CLAUDE_CLI_PATH: fakeCli,
+        AGENT_BACKEND: 'cli',
+        AGENT_BACKEND_CHANNELS: 'C1:sdk, C2:cli'
+      });
+
+      expect(resolveBackend('C1')).toEqual({ name: 'sdk', auto: false });
+      expect(resolveBackend('C2')).toEqual({ name: 'cli', auto: false });
+      expect(resolveBackend('C3')).toEqual({ name: 'cli', auto: false });
+    });
+
+    test('should fall back to the API when the CLI is missing', () => {
+      const { resolveBackend } = loadBackends({
+        CLAUDE_CLI_PATH: path.join(tmpDir, 'missing'),
+        AGENT_BACKEND: 'auto',
+        ANTHROPIC_API_KEY: 'sk-ant-test'
+      });
+
+      expect(resolveBackend('C1')).toEqual({ name: 'sdk', auto: true });
+    });
+
+    test('should prefer the CLI when it exists', () => {
+      const { resolveBackend } = loadBackends({
+        CLAUDE_CLI_PATH: fakeCli,
+        AGENT_BACKEND: 'auto',
+        ANTHROPIC_API_KEY: 'sk-ant-test'
+      });
+
+      expect(resolveBackend('C1')).toEqual({ name: 'cli', auto: true });
+    });
+  });
+
+  describe('CLI backend', () => {
+    test('should emit parsed stream-json events and plain text', async () => {
+      const { startAgentRun } = loadBackends({ CLAUDE_CLI_PATH: fakeCli, AGENT_BACKEND: 'cli' });
+
+      const run = startAgentRun({ prompt: 'hello', channel: 'C1', cwd: tmpDir, env: process.env });
+      const result = await collect(run);
+
+      expect(run.backend).toBe('cli');
+      expect(result.code).toBe(0);
+      expect(result.messages[0]).toEqual({ type: 'system', subtype: 'init', session_id: 'new-session' });
+      expect(result.messages[1].result).toBe('done: hello');
+      expect(result.text).toEqual(expect.arrayContaining(['plain text line', 'stderr line']));
+    });
+
+    test('should pass --resume when a session ID is given', async () => {
+      const { startAgentRun } = loadBackends({ CLAUDE_CLI_PATH: fakeCli, AGENT_BACKEND: 'cli' });
+
+      const run = startAgentRun({ prompt: 'again', sessionId: 'abc-123', channel: 'C1', cwd: tmpDir, env: process.env });
+      const result = await collect(run);
+
+      expect(result.messages[0].session_id).toBe('abc-123');
+    });
+
+    test('should enforce a tool allowlist instead of skipping permissions', async () => {
+      const argsCli = path.join(tmpDir, 'claude-args');
+      fs.writeFileSync(argsCli, `#!/usr/bin/env node
+console.log(JSON.stringify({ type: 'result', result: process.argv.slice(2) }));
+`);
+      fs.chmodSync(argsCli, 0o755);
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const { startAgentRun } = loadBackends({ CLAUDE_CLI_PATH: argsCli, AGENT_BACKEND: 'cli' });
+
+      const result = await collect(startAgentRun({ prompt: 'hi', channel: 'C1', cwd: tmpDir, env: process.env, allowedTools: ['Read'], permissionMode: 'bypassPermissions' }));
+      const args = result.messages[0].result;
+
+      expect(args).not.toContain('--dangerously-skip-permissions');
+      expect(args).toEqual(expect.arrayContaining(['--permission-mode', 'acceptEdits', '--allowedTools', 'Read']));
+      console.warn.mockRestore();
+    });
+
+    test('should report a spawn failure as an error', async () => {
+      const { startAgentRun } = loadBackends({
+        CLAUDE_CLI_PATH: path.join(tmpDir, 'missing'),
+        AGENT_BACKEND: 'cli'
+      });
+
+      const result = await collect(startAgentRun({ prompt: 'hello', channel: 'C1', cwd: tmpDir, env: process.env }));
+
+      expect(result.error).toBeDefined();
+      expect(result.error.code).toBe('ENOENT');
+    });
+  });
+
+  describe('API backend', () => {
+    afterEach(() => {
+      jest.dontMock('@anthropic-ai/sdk');
+    });
+
+    test('should send shared images as image inputs', async () => {
+      const stream = jest.fn(() => ({
+        finalMessage: async () => ({ content: [{ type: 'text', text: 'a cat' }], usage: {} }),
+        abort: () => {}
+      }));
+      jest.doMock('@anthropic-ai/sdk', () => jest.fn(() => ({ messages: { stream } })));
+
+      const image = path.join(tmpDir, 'cat.png');
+      fs.writeFileSync(image, 'png-bytes');
+
+      const { startAgentRun } = loadBackends({
+        AGENT_BACKEND: 'sdk',
+        ANTHROPIC_API_KEY: 'sk-ant-test',
+        SDK_SESSION_DIR: path.join(tmpDir, 'sdk-sessions')
+      });
+
+      const result = await collect(startAgentRun({
+        prompt: 'what is this?',
+        channel: 'C1',
+        images: [{ path: image, mimetype: 'image/png' }]
+      }));
+
+      expect(result.code).toBe(0);
+      const { messages } = stream.mock.calls[0][0];
+      expect(messages[0].content).toEqual([
+        { type: 'image', source: { type: 'base64', media_type: 'image/png', data: Buffer.from('png-bytes').toString('base64') } },
+        { type: 'text', text: 'what is this?' }
+      ]);
+    });
+
+    test('should map CLI model aliases to API model IDs', async () => {
+      jest.doMock('@anthropic-ai/sdk', () => jest.fn(() => ({
+        messages: {
+          stream: () => ({
+            finalMessage: async () => ({ content: [{ type: 'text', text: 'ok' }], usage: {} }),
+            abort: () => {}
+          })
+        }
+      })));
+
+      const { startAgentRun } = loadBackends({
+        AGENT_BACKEND: 'sdk',
+        ANTHROPIC_API_KEY: 'sk-ant-test',
+        SDK_SESSION_DIR: path.join(tmpDir, 'sdk-sessions')
+      });
+
+      const alias = await collect(startAgentRun({ prompt: 'hi', channel: 'C1', model: 'opus' }));
+      const full = await collect(startAgentRun({ prompt: 'hi', channel: 'C1', model: 'claude-3-5-haiku-latest' }));
+
+      expect(alias.messages[0].model).toBe('claude-opus-4-1');
+      expect(full.messages[0].model).toBe('claude-3-5-haiku-latest');
+    });
+  });
+});
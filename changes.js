@@ -0,0 +1,195 @@
+/**
+ * Change reports for Slack-Claude Bridge
+ * Snapshots the working tree of a run's cwd before and after the run and reports what changed:
+ * a file list with +/- line counts, plus the unified diff (attached as a snippet by index.js).
+ *
+ * Snapshots are git tree objects written through a temporary index, so tracked, modified and
+ * untracked (non-ignored) files are all captured without touching the real index, HEAD or stash.
+ * Files edited by Write/Edit tool calls are tracked too, so edits outside the checkout (or in a
+ * workspace that isn't a git repository) still show up.
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const GIT_TIMEOUT = 120000;
+const MAX_LISTED_FILES = 25;
+const MAX_DIFF_CHARS = 1000000;
+
+// Tools whose input names a file they write
+const EDIT_TOOLS = ['Write', 'Edit', 'MultiEdit', 'NotebookEdit'];
+
+/**
+ * Run git and resolve with its stdout
+ * @param {string[]} args - git arguments
+ * @param {string} cwd - Working directory
+ * @param {Object} [env] - Extra environment variables
+ * @returns {Promise<string>}
+ */
+function git(args, cwd, env = {}) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, env: { ...process.env, ...env }, timeout: GIT_TIMEOUT, maxBuffer: 50 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`git ${args[0]} failed: ${(stderr || error.message).trim()}`));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+/**
+ * Whether change reports are posted (CHANGE_SUMMARY=false turns them off)
+ * @returns {boolean}
+ */
+function changeSummaryEnabled() {
+  return process.env.CHANGE_SUMMARY !== 'false';
+}
+
+/**
+ * File written by a tool call
+ * @param {string} toolName - Tool name
+ * @param {Object} input - Tool input
+ * @returns {string|null} Path as given to the tool
+ */
+function touchedFile(toolName, input) {
+  if (!EDIT_TOOLS.includes(toolName) || !input) return null;
+  return input.file_path || input.notebook_path || null;
+}
+
+/**
+ * Snapshot the working tree as a git tree object
+ * @param {string} cwd - Directory inside a git checkout
+ * @returns {Promise<string|null>} Tree hash, null if cwd isn't in a git checkout
+ */
+async function snapshotWorkingTree(cwd) {
+  let root;
+  let realIndex;
+  try {
+    root = (await git(['rev-parse', '--show-toplevel'], cwd)).trim();
+    realIndex = path.resolve(root, (await git(['rev-parse', '--git-path', 'index'], root)).trim());
+  } catch (error) {
+    return null;
+  }
+
+  const tmpIndex = path.join(os.tmpdir(), `slack-bridge-index-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  const env = { GIT_INDEX_FILE: tmpIndex };
+
+  try {
+    // Start from a copy of the real index so unchanged files aren't re-hashed
+    if (fs.existsSync(realIndex)) {
+      fs.copyFileSync(realIndex, tmpIndex);
+    } else {
+      await git(['read-tree', '--empty'], root, env);
+    }
+    await git(['add', '--all', '--', '.'], root, env);
+    return (await git(['write-tree'], root, env)).trim();
+  } catch (error) {
+    console.error(`[CHANGES] Snapshot of ${root} failed:`, error.message);
+    return null;
+  } finally {
+    fs.rmSync(tmpIndex, { force: true });
+  }
+}
+
+/**
+ * Parse `git diff --numstat` output
+ * @param {string} text - numstat output
+ * @returns {Array<Object>} [{ path, added, deleted, binary }]
+ */
+function parseNumstat(text) {
+  return text.split('\n').filter(Boolean).map(line => {
+    const [added, deleted, ...rest] = line.split('\t');
+    const binary = added === '-';
+    return {
+      path: rest.join('\t'),
+      added: binary ? 0 : Number(added),
+      deleted: binary ? 0 : Number(deleted),
+      binary
+    };
+  });
+}
+
+/**
+ * Compare two snapshots
+ * @param {string} cwd - Directory inside the checkout
+ * @param {string} before - Tree hash
+ * @param {string} after - Tree hash
+ * @returns {Promise<Object>} { root, files: [{ path, added, deleted, binary }], diff }
+ */
+async function diffSnapshots(cwd, before, after) {
+  const root = (await git(['rev-parse', '--show-toplevel'], cwd)).trim();
+  if (before === after) return { root, files: [], diff: '' };
+
+  const [numstat, diff] = await Promise.all([
+    git(['diff', '--no-renames', '--numstat', before, after], root),
+    git(['diff', '--no-renames', '--no-color', before, after], root)
+  ]);
+
+  return { root, files: parseNumstat(numstat), diff };
+}
+
+/**
+ * Change report of a run
+ * @param {Object} options - { files, touched, root, cwd }
+ *   files: from diffSnapshots (null when the cwd isn't a git checkout)
+ *   touched: paths written by tool calls
+ * @returns {string|null} Slack mrkdwn, null when nothing changed
+ */
+function formatChangeSummary({ files, touched = [], root = null, cwd }) {
+  const relative = (file) => {
+    const absolute = path.resolve(cwd, file);
+    const base = root || cwd;
+    return absolute.startsWith(base + path.sep) ? path.relative(base, absolute) : absolute;
+  };
+
+  const diffed = new Set((files || []).map(file => file.path));
+  // Tool edits the diff doesn't show: outside the checkout, gitignored, or no git at all
+  const extra = [...new Set(touched.map(relative))].filter(file => !diffed.has(file));
+
+  if (diffed.size === 0 && extra.length === 0) return null;
+
+  const lines = [];
+  if (files && files.length > 0) {
+    const added = files.reduce((sum, file) => sum + file.added, 0);
+    const deleted = files.reduce((sum, file) => sum + file.deleted, 0);
+    lines.push(`📝 *Changes:* ${files.length} file${files.length === 1 ? '' : 's'}, +${added} −${deleted}`);
+
+    for (const file of files.slice(0, MAX_LISTED_FILES)) {
+      lines.push(file.binary ? `• \`${file.path}\` (binary)` : `• \`${file.path}\` +${file.added} −${file.deleted}`);
+    }
+    if (files.length > MAX_LISTED_FILES) {
+      lines.push(`_…and ${files.length - MAX_LISTED_FILES} more (see the diff)_`);
+    }
+  }
+
+  if (extra.length > 0) {
+    lines.push(files ? '✏️ *Also edited (not in the git diff):*' : '✏️ *Files edited:*');
+    for (const file of extra.slice(0, MAX_LISTED_FILES)) lines.push(`• \`${file}\``);
+    if (extra.length > MAX_LISTED_FILES) lines.push(`_…and ${extra.length - MAX_LISTED_FILES} more_`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Diff text for the snippet, cut off when huge
+ * @param {string} diff - Unified diff
+ * @returns {string}
+ */
+function diffForSnippet(diff) {
+  if (diff.length <= MAX_DIFF_CHARS) return diff;
+  return `${diff.slice(0, MAX_DIFF_CHARS)}\n\n[diff truncated: ${diff.length.toLocaleString('en-US')} characters in total]\n`;
+}
+
+module.exports = {
+  changeSummaryEnabled,
+  touchedFile,
+  snapshotWorkingTree,
+  parseNumstat,
+  diffSnapshots,
+  formatChangeSummary,
+  diffForSnippet
+};
@@ -0,0 +1,132 @@
+/**
+ * Test suite for run change reports
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  touchedFile,
+  snapshotWorkingTree,
+  parseNumstat,
+  diffSnapshots,
+  formatChangeSummary,
+  diffForSnippet
+} = require('./changes');
+
+describe('Changes', () => {
+  let tmpDir;
+  let repo;
+
+  const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf8', env: process.env }).trim();
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'changes-'));
+    repo = path.join(tmpDir, 'repo');
+    fs.mkdirSync(repo);
+    git(repo, 'init', '-q', '-b', 'main');
+    git(repo, 'config', 'user.name', 'Test');
+    git(repo, 'config', 'user.email', 'test@example.com');
+    fs.writeFileSync(path.join(repo, 'app.js'), 'one\ntwo\nthree\n');
+    fs.writeFileSync(path.join(repo, '.gitignore'), 'build/\n');
+    git(repo, 'add', '.');
+    git(repo, 'commit', '-q', '-m', 'initial');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('should pick the file out of Write and Edit tool calls', () => {
+    expect(touchedFile('Edit', { file_path: '/repo/a.js', old_string: 'a' })).toBe('/repo/a.js');
+    expect(touchedFile('NotebookEdit', { notebook_path: '/repo/n.ipynb' })).toBe('/repo/n.ipynb');
+    expect(touchedFile('Read', { file_path: '/repo/a.js' })).toBeNull();
+    expect(touchedFile('Bash', { command: 'rm -rf build' })).toBeNull();
+  });
+
+  describe('snapshots', () => {
+    test('should report only what changed between snapshots', async () => {
+      // Uncommitted work from before the run is not part of the report
+      fs.writeFileSync(path.join(repo, 'notes.txt'), 'before\n');
+      const before = await snapshotWorkingTree(repo);
+
+      fs.writeFileSync(path.join(repo, 'app.js'), 'one\n2\nthree\nfour\n');
+      fs.writeFileSync(path.join(repo, 'new.js'), 'x\n');
+      fs.mkdirSync(path.join(repo, 'build'));
+      fs.writeFileSync(path.join(repo, 'build', 'out.js'), 'ignored\n');
+      const after = await snapshotWorkingTree(repo);
+
+      const { root, files, diff } = await diffSnapshots(repo, before, after);
+
+      expect(root).toBe(fs.realpathSync(repo));
+      expect(files).toEqual([
+        { path: 'app.js', added: 2, deleted: 1, binary: false },
+        { path: 'new.js', added: 1, deleted: 0, binary: false }
+      ]);
+      expect(diff).toContain('+four');
+      expect(diff).not.toContain('notes.txt');
+    });
+
+    test('should leave the real index alone', async () => {
+      fs.writeFileSync(path.join(repo, 'new.js'), 'x\n');
+
+      await snapshotWorkingTree(repo);
+
+      expect(git(repo, 'status', '--porcelain')).toBe('?? new.js');
+    });
+
+    test('should return null outside a git checkout', async () => {
+      await expect(snapshotWorkingTree(tmpDir)).resolves.toBeNull();
+    });
+
+    test('should report nothing for identical snapshots', async () => {
+      const tree = await snapshotWorkingTree(repo);
+
+      await expect(diffSnapshots(repo, tree, await snapshotWorkingTree(repo))).resolves.toMatchObject({ files: [], diff: '' });
+    });
+  });
+
+  test('should parse binary files in numstat output', () => {
+    expect(parseNumstat('3\t1\tsrc/a.js\n-\t-\tlogo.png\n')).toEqual([
+      { path: 'src/a.js', added: 3, deleted: 1, binary: false },
+      { path: 'logo.png', added: 0, deleted: 0, binary: true }
+    ]);
+  });
+
+  describe('formatChangeSummary', () => {
+    const files = [
+      { path: 'src/a.js', added: 3, deleted: 1, binary: false },
+      { path: 'logo.png', added: 0, deleted: 0, binary: true }
+    ];
+
+    test('should list files with line counts and totals', () => {
+      const text = formatChangeSummary({ files, touched: ['/repo/src/a.js'], root: '/repo', cwd: '/repo' });
+
+      expect(text).toBe('📝 *Changes:* 2 files, +3 −1\n• `src/a.js` +3 −1\n• `logo.png` (binary)');
+    });
+
+    test('should add tool edits the diff does not show', () => {
+      const text = formatChangeSummary({ files, touched: ['/repo/src/a.js', '/etc/hosts'], root: '/repo', cwd: '/repo' });
+
+      expect(text).toContain('✏️ *Also edited (not in the git diff):*\n• `/etc/hosts`');
+    });
+
+    test('should fall back to edited files without git', () => {
+      expect(formatChangeSummary({ files: null, touched: ['/work/a.txt', 'b.txt'], cwd: '/work' }))
+        .toBe('✏️ *Files edited:*\n• `a.txt`\n• `b.txt`');
+    });
+
+    test('should return null when nothing changed', () => {
+      expect(formatChangeSummary({ files: [], touched: [], root: '/repo', cwd: '/repo' })).toBeNull();
+    });
+  });
+
+  test('should cut off huge diffs', () => {
+    expect(diffForSnippet('small')).toBe('small');
+    expect(diffForSnippet('x'.repeat(1000001))).toMatch(/\[diff truncated: 1,000,001 characters in total\]\n$/);
+  });
+});
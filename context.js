@@ -1,13 +1,31 @@
 /**
  * Conversation context memory for Slack-Claude Bridge
- * Stores thread-specific conversation history to maintain context
+ * Stores thread-specific conversation history to maintain context, and rebuilds it from the
+ * Slack thread itself (conversations.replies) when there is no agent session to resume.
+ *
+ * Prompts are token-aware: the newest turns are kept verbatim while they fit CONTEXT_MAX_TOKENS,
+ * older turns are folded into one-line summaries, and anything beyond that is counted, not sent.
  */
 
+const { slackToMarkdown } = require('./slack-format');
+
 // Conversation history storage
 const threadContexts = new Map(); // threadId -> {history: [], lastActivity: number, timeout: NodeJS.Timeout}
 const MAX_HISTORY_ITEMS = 10;
 const CONTEXT_TTL = 30 * 60 * 1000; // 30 minutes
 
+const DEFAULT_MAX_TOKENS = parseInt(process.env.CONTEXT_MAX_TOKENS || '6000', 10);
+const SUMMARY_SHARE = 0.25; // Share of the budget reserved for summaries of older turns
+const SUMMARY_CHARS = 160;
+const MAX_THREAD_MESSAGES = 500;
+const MAX_REPLY_PAGES = 10;
+
+// Progress posts of the bridge itself - not part of the conversation
+const BRIDGE_NOISE = /^(?:📤 \*Output Stream|⚙️ \*Tool:|⏳ |🔄 |📥 |▶️ |🛑 |🌿 |🔐 |📝 \*Changes:|✏️ \*)/u;
+
+// Slack user ID -> display name, cached for the life of the process
+const userNames = new Map();
+
 /**
  * Get or create context for a thread
  * @param {string} threadId - Slack thread ID
@@ -60,45 +78,188 @@ function addToThreadContext(threadId, userMsg, assistantResp) {
   console.log(`[CONTEXT] Thread ${threadId.slice(-8)}: ${context.history.length} exchanges stored`);
 }
 
+/**
+ * Rough token count of a text (about 4 characters per token)
+ * @param {string} text - Text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Stored exchanges as conversation turns
+ * @param {Array<Object>} history - [{ user, assistant }]
+ * @returns {Array<Object>} [{ speaker, text }]
+ */
+function exchangesToTurns(history) {
+  return history.flatMap(exchange => [
+    { speaker: 'User', text: exchange.user },
+    { speaker: 'Assistant', text: exchange.assistant }
+  ]);
+}
+
+/**
+ * One-line gist of a turn: its first sentence, code blocks collapsed
+ * @param {Object} turn - { speaker, text }
+ * @returns {string}
+ */
+function summariseTurn(turn) {
+  const flat = turn.text.replace(/```[\s\S]*?```/g, '[code]').replace(/\s+/g, ' ').trim();
+  const sentence = flat.match(/^.+?[.!?](?=\s|$)/)?.[0] || flat;
+  const gist = sentence.length > SUMMARY_CHARS ? `${sentence.slice(0, SUMMARY_CHARS - 1).trimEnd()}…` : sentence;
+  return `${turn.speaker}: ${gist}`;
+}
+
+function formatTurn(turn, number) {
+  return `[Message ${number}] ${turn.speaker}:\n${turn.text}\n\n`;
+}
+
 /**
  * Build a prompt that includes conversation context
+ * The newest turns are kept verbatim while they fit the token budget; older ones are summarised
+ * in one line each, and turns that don't fit even then are only counted.
  * @param {string} threadId - Slack thread ID
  * @param {string} currentMsg - Current user message
+ * @param {Object} [options] - { history, maxTokens }
+ *   history: [{ speaker, text }] turns to use instead of the stored exchanges (e.g. from fetchThreadHistory)
+ *   maxTokens: context budget (CONTEXT_MAX_TOKENS, default 6000)
  * @returns {string} Prompt with context or just the message if no history
  */
-function buildPromptWithContext(threadId, currentMsg) {
-  const context = getThreadContext(threadId);
-  const history = context.history;
+function buildPromptWithContext(threadId, currentMsg, { history, maxTokens = DEFAULT_MAX_TOKENS } = {}) {
+  const turns = history || exchangesToTurns(getThreadContext(threadId).history);
 
-  if (history.length === 0) {
+  if (turns.length === 0) {
     // No previous context
     return currentMsg;
   }
 
+  // Newest turns verbatim, while they fit
+  let fullBudget = maxTokens - Math.floor(maxTokens * SUMMARY_SHARE);
+  let firstFull = turns.length;
+  while (firstFull > 0) {
+    const cost = estimateTokens(formatTurn(turns[firstFull - 1], firstFull));
+    if (cost > fullBudget) break;
+    fullBudget -= cost;
+    firstFull--;
+  }
+
+  // Older turns as one-line summaries, newest first, with the rest of the budget
+  let summaryBudget = maxTokens - estimateTokens(turns.slice(firstFull).map((turn, i) => formatTurn(turn, firstFull + i + 1)).join(''));
+  const summaries = [];
+  let firstSummarised = firstFull;
+  while (firstSummarised > 0) {
+    const line = `- ${summariseTurn(turns[firstSummarised - 1])}\n`;
+    if (estimateTokens(line) > summaryBudget) break;
+    summaryBudget -= estimateTokens(line);
+    summaries.unshift(line);
+    firstSummarised--;
+  }
+
   // Build context-aware prompt
   let contextPrompt = "Previous conversation in this thread:\n\n";
 
-  for (let i = 0; i < history.length; i++) {
-    const exchange = history[i];
-    contextPrompt += `[Message ${i + 1}]\n`;
-    contextPrompt += `User: ${exchange.user}\n`;
-
-    // Truncate long responses but keep key info
-    const respPreview = exchange.assistant.length > 200
-      ? exchange.assistant.slice(0, 200) + '...'
-      : exchange.assistant;
+  if (firstFull > 0) {
+    contextPrompt += 'Earlier messages (summarised):\n';
+    if (firstSummarised > 0) {
+      contextPrompt += `(${firstSummarised} earlier message${firstSummarised === 1 ? '' : 's'} not shown)\n`;
+    }
+    contextPrompt += summaries.join('') + '\n';
+  }
 
-    contextPrompt += `Assistant: ${respPreview}\n\n`;
+  for (let i = firstFull; i < turns.length; i++) {
+    contextPrompt += formatTurn(turns[i], i + 1);
   }
 
   contextPrompt += `${'='.repeat(50)}\n\n`;
   contextPrompt += `Current question (use the context above if relevant):\n${currentMsg}`;
 
-  console.log(`[CONTEXT] Built prompt with ${history.length} previous exchanges`);
+  console.log(`[CONTEXT] Built prompt with ${turns.length} previous turns (${turns.length - firstFull} verbatim, ${summaries.length} summarised, ${firstSummarised} omitted)`);
 
   return contextPrompt;
 }
 
+/**
+ * Display name of a Slack user (users.info, cached)
+ * @param {Object} client - Slack WebClient
+ * @param {string} userId - Slack user ID
+ * @param {string} [token] - Bot token
+ * @returns {Promise<string>} Name, or the ID if it can't be looked up
+ */
+async function resolveUserName(client, userId, token) {
+  if (!userNames.has(userId)) {
+    const name = await client.users.info({ user: userId, token })
+      .then(({ user }) => user?.profile?.display_name || user?.real_name || user?.name || userId, () => userId);
+    userNames.set(userId, name);
+  }
+  return userNames.get(userId);
+}
+
+/**
+ * Earlier messages of a Slack thread as conversation turns
+ * Messages from the bot itself become "Assistant" turns (its progress posts are skipped),
+ * everyone else is named, and user mentions are replaced with names.
+ * @param {Object} client - Slack WebClient
+ * @param {Object} options - { channel, threadTs, beforeTs, botUserId, token }
+ *   beforeTs: only messages before this one (the message being answered)
+ * @returns {Promise<Array<Object>>} [{ speaker, text, ts }], oldest first
+ */
+async function fetchThreadHistory(client, { channel, threadTs, beforeTs = null, botUserId = null, token }) {
+  const messages = [];
+  let cursor;
+
+  for (let page = 0; page < MAX_REPLY_PAGES; page++) {
+    const result = await client.conversations.replies({
+      channel,
+      ts: threadTs,
+      limit: 200,
+      cursor,
+      ...(beforeTs && { latest: beforeTs, inclusive: false }),
+      token
+    });
+    messages.push(...(result.messages || []));
+    cursor = result.response_metadata?.next_cursor;
+    if (!cursor) break;
+  }
+
+  const turns = [];
+  const earlier = messages
+    .filter(message => !beforeTs || Number(message.ts) < Number(beforeTs))
+    .slice(-MAX_THREAD_MESSAGES);
+
+  for (const message of earlier) {
+    if (message.subtype && !['bot_message', 'thread_broadcast', 'file_share'].includes(message.subtype)) continue;
+
+    const own = botUserId && message.user === botUserId;
+    if (own && BRIDGE_NOISE.test(message.text || '')) continue;
+
+    let text = message.text || '';
+    for (const userId of new Set([...text.matchAll(/<@([A-Z0-9]+)(?:\|[^>]*)?>/g)].map(match => match[1]))) {
+      const name = await resolveUserName(client, userId, token);
+      text = text.replace(new RegExp(`<@${userId}(?:\\|[^>]*)?>`, 'g'), `@${name}`);
+    }
+    text = slackToMarkdown(text).trim();
+
+    const files = (message.files || []).map(file => file.name).filter(Boolean);
+    if (files.length > 0) text += `${text ? '\n' : ''}[shared files: ${files.join(', ')}]`;
+    if (!text) continue;
+
+    let speaker;
+    if (own) {
+      speaker = 'Assistant';
+    } else if (message.bot_id) {
+      speaker = message.bot_profile?.name || message.username || 'Bot';
+    } else {
+      speaker = await resolveUserName(client, message.user, token);
+    }
+
+    turns.push({ speaker, text, ts: message.ts });
+  }
+
+  console.log(`[CONTEXT] Read ${turns.length} earlier message(s) from thread ${threadTs.slice(-8)}`);
+  return turns;
+}
+
 /**
  * Clear all thread contexts (for testing)
  */
@@ -108,6 +269,7 @@ function clearThreadContext() {
     clearTimeout(context.timeout);
   }
   threadContexts.clear();
+  userNames.clear();
 }
 
 /**
@@ -122,6 +284,9 @@ module.exports = {
   getThreadContext,
   addToThreadContext,
   buildPromptWithContext,
+  estimateTokens,
+  summariseTurn,
+  fetchThreadHistory,
   clearThreadContext,
   getAllThreadContexts
 };
@@ -7,6 +7,9 @@ const {
   getThreadContext,
   addToThreadContext,
   buildPromptWithContext,
+  estimateTokens,
+  summariseTurn,
+  fetchThreadHistory,
   clearThreadContext
 } = require('./context');
 
@@ -122,7 +125,7 @@ describe('Context Memory Functions', () => {
       expect(prompt).toContain('What is my name?');
     });
 
-    test('should truncate long assistant responses', () => {
+    test('should keep long responses whole when they fit the token budget', () => {
       const threadId = 'test-thread-1';
       const longResponse = 'A'.repeat(300);
 
@@ -130,11 +133,45 @@ describe('Context Memory Functions', () => {
 
       const prompt = buildPromptWithContext(threadId, 'What did you say?');
 
-      // Should truncate to ~200 chars (the prompt includes headers and separators)
-      // Long response (300) gets truncated to 200+... = 203
-      // Plus context headers and current message
-      expect(prompt.length).toBeLessThan(500); // Reasonable upper bound
-      expect(prompt).toContain('...');
+      expect(prompt).toContain(longResponse);
+      expect(prompt).not.toContain('summarised');
+    });
+
+    test('should summarise older turns that do not fit the token budget', () => {
+      const threadId = 'test-thread-1';
+
+      addToThreadContext(threadId, 'Why is the build red? It broke after the merge.', 'B'.repeat(2000));
+      addToThreadContext(threadId, 'Can you fix it?', 'Fixed the import in app.js.');
+
+      const prompt = buildPromptWithContext(threadId, 'Thanks!', { maxTokens: 200 });
+
+      expect(prompt).toContain('Earlier messages (summarised):\n- User: Why is the build red?\n- Assistant: ' + 'B'.repeat(159) + '…\n');
+      expect(prompt).toContain('[Message 3] User:\nCan you fix it?');
+      expect(prompt).toContain('[Message 4] Assistant:\nFixed the import in app.js.');
+      expect(prompt).not.toContain('B'.repeat(200));
+    });
+
+    test('should count turns that do not fit even as summaries', () => {
+      const history = Array.from({ length: 40 }, (_, i) => ({ speaker: 'Alice', text: `Point number ${i + 1} about the outage. More detail follows here.` }));
+
+      const prompt = buildPromptWithContext('test-thread-1', 'Summarise', { history, maxTokens: 150 });
+
+      expect(prompt).toMatch(/\((\d+) earlier messages not shown\)/);
+      expect(prompt).toContain('[Message 40] Alice:');
+      expect(prompt).not.toContain('Point number 1 about');
+      expect(estimateTokens(prompt)).toBeLessThan(150 + 60); // headers and the question come on top
+    });
+
+    test('should use thread history instead of stored exchanges when given', () => {
+      addToThreadContext('test-thread-1', 'Stored message', 'Stored response');
+
+      const prompt = buildPromptWithContext('test-thread-1', 'What now?', {
+        history: [{ speaker: 'Bob', text: 'Deploy failed on staging' }, { speaker: 'Carol', text: 'Looks like a config issue' }]
+      });
+
+      expect(prompt).toContain('[Message 1] Bob:\nDeploy failed on staging');
+      expect(prompt).toContain('[Message 2] Carol:\nLooks like a config issue');
+      expect(prompt).not.toContain('Stored message');
     });
 
     test('should format context with separators', () => {
@@ -152,6 +189,68 @@ describe('Context Memory Functions', () => {
     });
   });
 
+  describe('summariseTurn', () => {
+    test('should keep the first sentence and collapse code', () => {
+      expect(summariseTurn({ speaker: 'Bob', text: 'Run this:\n```\nnpm test\n```\nthen tell me. Second sentence.' }))
+        .toBe('Bob: Run this: [code] then tell me.');
+      expect(summariseTurn({ speaker: 'Bob', text: 'no punctuation here' })).toBe('Bob: no punctuation here');
+    });
+  });
+
+  describe('fetchThreadHistory', () => {
+    const client = (pages) => ({
+      conversations: { replies: jest.fn(async ({ cursor }) => pages[cursor || 'first']) },
+      users: {
+        info: jest.fn(async ({ user }) => {
+          if (user === 'U404') throw new Error('user_not_found');
+          return { user: { profile: { display_name: { U1: 'alice', U2: '' }[user] }, real_name: 'Bob Smith' } };
+        })
+      }
+    });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should name speakers, resolve mentions and skip bridge progress posts', async () => {
+      const slack = client({
+        first: {
+          messages: [
+            { ts: '1.0', user: 'U1', text: 'The nightly job fails, <@U2> any idea?' },
+            { ts: '1.1', user: 'U2', text: 'See <https://ci.example.com/123|the log>', files: [{ name: 'build.log' }] },
+            { ts: '1.2', user: 'UBOT', text: '⚙️ *Tool:* Bash' },
+            { ts: '1.3', user: 'UBOT', bot_id: 'B1', text: 'The job runs out of memory.' },
+            { ts: '1.4', subtype: 'channel_join', user: 'U3', text: 'joined' }
+          ],
+          response_metadata: { next_cursor: 'second' }
+        },
+        second: {
+          messages: [
+            { ts: '1.5', bot_id: 'B2', bot_profile: { name: 'CI Bot' }, text: 'Build #124 failed' },
+            { ts: '1.6', user: 'U404', text: 'hmm' },
+            { ts: '1.7', user: 'U1', text: '<@UBOT> can you fix it?' }
+          ]
+        }
+      });
+
+      const turns = await fetchThreadHistory(slack, { channel: 'C1', threadTs: '1.0', beforeTs: '1.7', botUserId: 'UBOT', token: 'xoxb' });
+
+      expect(turns.map(({ speaker, text }) => ({ speaker, text }))).toEqual([
+        { speaker: 'alice', text: 'The nightly job fails, @Bob Smith any idea?' },
+        { speaker: 'Bob Smith', text: 'See [the log](https://ci.example.com/123)\n[shared files: build.log]' },
+        { speaker: 'Assistant', text: 'The job runs out of memory.' },
+        { speaker: 'CI Bot', text: 'Build #124 failed' },
+        { speaker: 'U404', text: 'hmm' }
+      ]);
+      expect(slack.conversations.replies).toHaveBeenCalledWith(expect.objectContaining({ ts: '1.0', latest: '1.7', inclusive: false }));
+      expect(slack.users.info).toHaveBeenCalledTimes(3); // names are cached
+    });
+  });
+
   describe('Thread isolation', () => {
     test('should keep different thread contexts separate', () => {
       const thread1 = 'thread-1';
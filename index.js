@@ -1,125 +1,425 @@
 require('dotenv').config();
 const { App } = require("@slack/bolt");
-const { spawn } = require("child_process");
-
+const { WebClient } = require('@slack/web-api');
+const { startAgentRun, resolveBackend, isCliAvailable } = require('./backends');
+const { RunQueue } = require('./run-queue');
+const { PRIORITY, SlackRateLimiter } = require('./rate-limiter');
+const { resolveProgressMode, RunProgress } = require('./progress');
+const { needsSnippet, previewText, attachedNote, snippetFilename, uploadSnippet } = require('./snippets');
+const { markdownToMrkdwn, renderMarkdownMessages, slackToMarkdown } = require('./slack-format');
+const { buildPromptWithContext, fetchThreadHistory } = require('./context');
+const { downloadAttachments, buildAttachmentPrompt, removeThreadAttachments } = require('./attachments');
+const { loadUsageStore, extractUsage, recordUsage, usageReport, getBudgets, checkBudget, formatUsage } = require('./usage');
+const { audit, auditStreamEvent } = require('./audit');
+const {
+  changeSummaryEnabled,
+  touchedFile,
+  snapshotWorkingTree,
+  diffSnapshots,
+  formatChangeSummary,
+  diffForSnippet
+} = require('./changes');
+const {
+  worktreesEnabled,
+  threadBranch,
+  threadWorktreePath,
+  ensureThreadWorktree,
+  describeThreadWorktree,
+  pushThreadBranch,
+  removeThreadWorktree
+} = require('./worktrees');
+const { loadRedactionRules, redactPayload, protectClient } = require('./redaction');
+const { incCounter, observeRunDuration, registerGauge, startMetricsServer } = require('./metrics');
+const { updateTask, deliverCallback, startTaskApiServer } = require('./task-api');
+const {
+  loadSchedules,
+  addSchedule,
+  listSchedules,
+  getSchedule,
+  setSchedulePaused,
+  deleteSchedule,
+  recordScheduleThread,
+  startScheduler
+} = require('./scheduler');
+const {
+  loadWorkspaces,
+  getWorkspace,
+  resolveWorkspace,
+  buildWorkspacePrompt,
+  buildWorkspaceEnv,
+  listWorkspaces
+} = require('./workspaces');
+const { loadAccessPolicy, authorize, isAdmin, getAccessPolicySummary, mergeAllowedTools } = require('./access-policy');
+const { HOME_STOP_ACTION, HOME_OPEN_ACTION, collectUserRuns, buildHomeView } = require('./app-home');
+const {
+  BOT_SCOPES,
+  oauthEnabled,
+  installationStore,
+  loadInstallations,
+  rememberChannelTeam,
+  teamForChannel,
+  botToken,
+  botUserIdFor,
+  loadTeams,
+  teamAutoChannels,
+  listInstallations
+} = require('./teams');
+const {
+  APPROVAL_TIMEOUT,
+  approvalsEnabled,
+  registerApprovalContext,
+  settleApproval,
+  getPendingApproval,
+  clearThreadApprovals,
+  startApprovalServer,
+  approvalRunOptions
+} = require('./approvals');
+const {
+  loadSessionStore,
+  recordSession,
+  updateStoredSession,
+  getStoredSession,
+  removeStoredSession,
+  pruneStoredSessions,
+  getAllStoredSessions
+} = require('./session-store');
+const {
+  AI_SUBCOMMANDS,
+  parseAiCommand,
+  parseThreadRef,
+  formatStatus,
+  USAGE_PERIODS,
+  formatUsageReport,
+  parseScheduleArgs,
+  formatSchedules,
+  formatConfig,
+  formatAiHelp
+} = require('./slash-commands');
+
+// One bot token, or OAuth installs into any number of teams (tokens looked up per team, see teams.js)
 const app = new App({
-  token: process.env.SLACK_BOT_TOKEN,
+  ...(oauthEnabled()
+    ? {
+      clientId: process.env.SLACK_CLIENT_ID,
+      clientSecret: process.env.SLACK_CLIENT_SECRET,
+      stateSecret: process.env.SLACK_STATE_SECRET,
+      scopes: BOT_SCOPES,
+      installationStore,
+      installerOptions: { port: parseInt(process.env.SLACK_OAUTH_PORT, 10) || 3000, directInstall: true }
+    }
+    : { token: process.env.SLACK_BOT_TOKEN }),
   signingSecret: process.env.SLACK_SIGNING_SECRET,
   socketMode: true,
   appToken: process.env.SLACK_APP_TOKEN
 });
 
+// Client for calls sent through the rate limiter: 429s surface as errors so the limiter can pause
+// just the affected lane and retry. app.client and listener clients keep the built-in retries.
+const slackClient = new WebClient(oauthEnabled() ? undefined : process.env.SLACK_BOT_TOKEN, { rejectRateLimitedCalls: true });
+
+// Secrets are redacted from everything posted or uploaded: app.client (also behind say()),
+// the rate limiter's client and the per-team clients handed to listeners
+protectClient(app.client);
+protectClient(slackClient);
+app.use(async ({ client, next }) => {
+  protectClient(client);
+  await next();
+});
+
+// Learn which team each channel belongs to, so calls made outside a Slack request
+// (schedules, the task API, approvals) use that team's token and config
+app.use(async ({ body, context, next }) => {
+  const channel = body.event?.channel || body.event?.item?.channel || body.channel_id || body.channel?.id || body.container?.channel_id;
+  rememberChannelTeam(channel, context);
+  await next();
+});
+
+// Forget a team's installation when the app is removed from it
+app.event('app_uninstalled', async ({ context }) => {
+  console.log(`[TEAMS] App removed from ${context.enterpriseId || context.teamId}`);
+  await installationStore.deleteInstallation(context);
+});
+
 // Enhanced session tracking - single source of truth
-const threadSessions = new Map(); // threadId -> { sessionId, process, startTime, lastActivity, type }
+const threadSessions = new Map(); // threadId -> { sessionId, run, startTime, lastActivity, type }
 
 // Track threads that have already shown session info (only show once per thread)
 const threadsWithSessionInfo = new Set(); // threadId
 
-// Proper process cleanup helper
-async function cleanupProcess(process, threadId) {
-  if (!process || process.killed) return;
+// Sessions idle longer than this are forgotten (default 7 days)
+const SESSION_TTL = (parseFloat(process.env.SESSION_TTL_HOURS) || 168) * 60 * 60 * 1000;
+
+// Runs still going after this long move to the background (streamed progress and a summary)
+const PROMOTE_AFTER_MS = (parseFloat(process.env.PROMOTE_AFTER_SECONDS) || 60) * 1000;
+
+// Message prefix that runs a task in the background from the start
+const BACKGROUND_PREFIX = /^bg:\s*/i;
+
+// Rebuild in-memory tracking from the durable session store (no processes survive a restart)
+function restoreThreadSessions() {
+  loadSessionStore();
+  pruneStoredSessions(SESSION_TTL);
+
+  // Only what survived pruning: expired sessions must not be resumed
+  for (const record of getAllStoredSessions()) {
+    if (!record.sessionId) continue;
+
+    threadSessions.set(record.threadTs, {
+      sessionId: record.sessionId,
+      run: null,
+      startTime: record.createdAt,
+      lastActivity: record.updatedAt,
+      type: 'restored',
+      channel: record.channel,
+      userId: record.userId,
+      workspace: record.workspace
+    });
 
-  return new Promise((resolve) => {
-    const pid = process.pid;
-    console.log(`[CLEANUP] Sending SIGTERM to process ${pid} for thread ${threadId.slice(-8)}`);
+    if (record.sessionInfoShown) {
+      threadsWithSessionInfo.add(record.threadTs);
+    }
+  }
 
-    // Try graceful shutdown first
-    process.kill('SIGTERM');
+  console.log(`[SESSION] Restored ${threadSessions.size} thread session(s)`);
+}
 
-    // Give it 5 seconds to exit gracefully
-    const forceKillTimer = setTimeout(() => {
-      if (!process.killed) {
-        console.log(`[CLEANUP] Process ${pid} didn't exit, sending SIGKILL`);
-        try {
-          process.kill('SIGKILL');
-        } catch (e) {
-          console.error(`[CLEANUP] SIGKILL failed:`, e.message);
-        }
-      }
-      resolve();
-    }, 5000);
-
-    // If it exits before timeout, cancel force kill
-    process.on('exit', () => {
-      clearTimeout(forceKillTimer);
-      console.log(`[CLEANUP] Process ${pid} exited cleanly`);
-      resolve();
-    });
-  });
+// Workspace a thread is bound to (fixed when its first run starts), else the channel's workspace
+function workspaceForThread(threadTs, channel) {
+  const teamId = teamForChannel(channel);
+  const boundName = threadSessions.get(threadTs)?.workspace || getStoredSession(threadTs)?.workspace;
+  return (boundName && getWorkspace(boundName, teamId)) || resolveWorkspace(channel, teamId);
 }
 
-// Clean up thread session completely
-async function cleanupThreadSession(threadId, reason = 'unknown') {
-  console.log(`[CLEANUP] Cleaning up thread ${threadId.slice(-8)}, reason: ${reason}`);
+// Whether a channel belongs to a team. With several teams installed, admins only see and change
+// their own team's sessions, queue, schedules and usage; a single-token install is one team.
+function inTeam(channel, teamId) {
+  return !oauthEnabled() || teamForChannel(channel) === teamId;
+}
 
-  if (!threadSessions.has(threadId)) {
-    console.log(`[CLEANUP] No session found for thread ${threadId.slice(-8)}`);
-    return false;
+// Access check under the policy of the channel's team, with its token for user group lookups
+function authorizeInChannel(userId, channel, client) {
+  return authorize(userId, channel, client, { teamId: teamForChannel(channel), token: botToken(channel) });
+}
+
+// Mark a thread's run as finished (keeps the session for --resume)
+function detachRun(threadTs, run) {
+  const session = threadSessions.get(threadTs);
+  if (session && session.run === run) {
+    session.run = null;
+    session.lastActivity = Date.now();
+  }
+}
+
+// Delete files downloaded from a thread (into its worktree when it has one, see threadCwd)
+function removeAttachmentsForThread(workspace, threadId) {
+  try {
+    removeThreadAttachments(worktreesEnabled(workspace) ? threadWorktreePath(workspace, threadId) : workspace.cwd, threadId);
+  } catch (error) {
+    console.error(`[CLEANUP] Failed to remove attachments for thread ${threadId.slice(-8)}:`, error.message);
   }
+}
+
+// Clean up thread session completely (channel: where the thread is, for threads without a session)
+async function cleanupThreadSession(threadId, reason = 'unknown', channel = null) {
+  console.log(`[CLEANUP] Cleaning up thread ${threadId.slice(-8)}, reason: ${reason}`);
 
   const session = threadSessions.get(threadId);
+  const workspace = workspaceForThread(threadId, session?.channel || channel || getStoredSession(threadId)?.channel);
 
-  // Kill process if running
-  if (session.process && !session.process.killed) {
-    await cleanupProcess(session.process, threadId);
+  if (!session) {
+    // A queued first run may have downloaded files already
+    removeAttachmentsForThread(workspace, threadId);
+    console.log(`[CLEANUP] No session found for thread ${threadId.slice(-8)}`);
+    return false;
   }
 
-  // Remove from all tracking
+  audit('closed', { userId: session.userId, channel: session.channel, threadTs: threadId, sessionId: session.sessionId, reason });
+
+  // Forget the thread before stopping its run, so the run's close handler records and posts nothing
   threadSessions.delete(threadId);
   threadsWithSessionInfo.delete(threadId);
+  removeStoredSession(threadId);
+  clearThreadApprovals(threadId);
+
+  // Stop the agent run if still going
+  if (session.run) {
+    console.log(`[CLEANUP] Cancelling ${session.run.backend} run for thread ${threadId.slice(-8)}`);
+    incCounter('orphan_cleanups_total', { reason: reason.startsWith('killed by') ? 'killed' : reason });
+    await session.run.cancel();
+  }
+
+  removeAttachmentsForThread(workspace, threadId);
+
+  // Remove the thread's worktree - its branch is kept, so committed work survives
+  if (worktreesEnabled(workspace)) {
+    await removeThreadWorktree(workspace, threadId)
+      .catch(error => console.error(`[CLEANUP] Failed to remove worktree for thread ${threadId.slice(-8)}:`, error.message));
+  }
 
   console.log(`[CLEANUP] Cleanup complete for thread ${threadId.slice(-8)}, session ${session.sessionId?.slice(0, 8) || 'unknown'}`);
   return true;
 }
 
-// Rate limiter for Slack API calls
-class SlackRateLimiter {
-  constructor(messagesPerSecond = 1) {
-    this.queue = [];
-    this.processing = false;
-    this.minInterval = 1000 / messagesPerSecond; // 1 message per second by default
-    this.lastSendTime = 0;
+// Mentioned partway through a thread with no session to resume (or a lost one):
+// fold the thread's earlier messages into the prompt
+async function withThreadHistory(prompt, { channel, threadTs, messageTs }) {
+  if (process.env.THREAD_HISTORY === 'false' || threadSessions.get(threadTs)?.sessionId) return prompt;
+  if (threadTs === messageTs) return prompt; // a new top-level mention has no earlier messages
+
+  try {
+    const history = await fetchThreadHistory(app.client, { channel, threadTs, beforeTs: messageTs, botUserId: botUserIdFor(channel) || botUserId, token: botToken(channel) });
+    return buildPromptWithContext(threadTs, prompt, { history });
+  } catch (error) {
+    console.error(`[CONTEXT] Failed to read thread ${threadTs.slice(-8)}:`, error.data?.error || error.message);
+    return prompt;
   }
+}
 
-  async sendMessage(messageFunc) {
-    return new Promise((resolve, reject) => {
-      this.queue.push({ messageFunc, resolve, reject });
-      this.processQueue();
-    });
+// Working directory for a thread's runs: its own git worktree when enabled, otherwise the workspace checkout
+async function threadCwd(workspace, threadTs) {
+  if (!worktreesEnabled(workspace)) return workspace.cwd;
+  return (await ensureThreadWorktree(workspace, threadTs)).path;
+}
+
+// Every Slack call from a run goes through the limiter: per-channel / per-method lanes, 429 retries, priorities
+const slackRateLimiter = new SlackRateLimiter({
+  maxRetries: parseInt(process.env.SLACK_MAX_RETRIES || '3', 10),
+  onError: () => incCounter('slack_api_errors_total')
+});
+
+// Queue in front of every agent run - caps concurrent runs globally, per user and per channel
+const runQueue = new RunQueue({
+  maxConcurrent: parseInt(process.env.MAX_CONCURRENT_RUNS || '3', 10),
+  maxPerUser: parseInt(process.env.MAX_RUNS_PER_USER || '2', 10),
+  maxPerChannel: parseInt(process.env.MAX_RUNS_PER_CHANNEL || '2', 10)
+});
+
+// Count a finished run and its duration for /metrics
+function recordRunMetrics(mode, backend, succeeded, startTime) {
+  const outcome = succeeded ? 'completed' : 'failed';
+  incCounter(succeeded ? 'runs_completed_total' : 'runs_failed_total', { mode, backend });
+  observeRunDuration((Date.now() - startTime) / 1000, { mode, outcome });
+}
+
+// Post text to a thread; long text becomes a preview plus the full content as a file snippet
+async function postLongText({ channel, threadTs, text, kind = 'output', extension = 'txt', title, format = (body) => body, priority = PRIORITY.NORMAL }) {
+  if (!needsSnippet(format(text))) {
+    return slackRateLimiter.sendMessage(() =>
+      slackClient.chat.postMessage({ channel, thread_ts: threadTs, text: format(text), token: botToken(channel) }),
+      { channel, priority }
+    );
   }
 
-  async processQueue() {
-    if (this.processing || this.queue.length === 0) return;
+  const result = await slackRateLimiter.sendMessage(() =>
+    slackClient.chat.postMessage({
+      channel,
+      thread_ts: threadTs,
+      text: `${format(previewText(text))}\n${attachedNote(text)}`,
+      token: botToken(channel)
+    }),
+    { channel, priority }
+  );
+
+  await slackRateLimiter.sendMessage(() =>
+    uploadSnippet(slackClient, {
+      channel,
+      threadTs,
+      content: text,
+      filename: snippetFilename(kind, threadTs, extension),
+      title,
+      token: botToken(channel)
+    }),
+    { method: 'files.uploadV2', priority }
+  ).catch(e => console.error('[SNIPPET] Failed to upload full content:', e.message));
+
+  console.log(`[SNIPPET] Thread ${threadTs.slice(-8)}: ${text.length} chars attached as ${kind} snippet`);
+  return result;
+}
+
+// Notice for a message that arrived while its thread was busy: the message plus Interrupt / Remove buttons
+function buildFollowUpBlocks(text, { threadTs, ref, preview, buttons }) {
+  const blocks = [
+    { type: 'section', text: { type: 'mrkdwn', text: `${text}\n> ${preview}` } }
+  ];
 
-    this.processing = true;
+  if (buttons) {
+    const value = JSON.stringify({ threadTs, ref });
+    blocks.push({
+      type: 'actions',
+      block_id: 'followup',
+      elements: [
+        { type: 'button', action_id: 'followup_interrupt', text: { type: 'plain_text', text: 'Interrupt and redirect' }, style: 'danger', value },
+        { type: 'button', action_id: 'followup_remove', text: { type: 'plain_text', text: 'Remove from queue' }, value }
+      ]
+    });
+  }
 
-    while (this.queue.length > 0) {
-      const now = Date.now();
-      const timeSinceLastSend = now - this.lastSendTime;
+  return blocks;
+}
 
-      // Wait if we need to respect rate limit
-      if (timeSinceLastSend < this.minInterval) {
-        await new Promise(resolve => setTimeout(resolve, this.minInterval - timeSinceLastSend));
+// Queue a run, keeping a "⏳ queued" notice in the thread up to date while it waits.
+// Messages for a thread that already has a run in progress become follow-ups: they run next with
+// the thread's session, unless someone interrupts the current run or removes them.
+async function scheduleRun({ threadTs, channel, userId, ref = null, prompt = '' }, task) {
+  const followUp = runQueue.isBusy(threadTs);
+  const preview = prompt.replace(/\s+/g, ' ').slice(0, 200) || '_(empty message)_';
+  let noticeTs = null;
+  let noticeUpdates = Promise.resolve();
+
+  const postNotice = (text, blocks) => {
+    noticeUpdates = noticeUpdates.then(async () => {
+      if (noticeTs) {
+        await slackRateLimiter.sendMessage(() =>
+          slackClient.chat.update({ channel, ts: noticeTs, text, blocks, token: botToken(channel) }),
+          { method: 'chat.update', priority: PRIORITY.LOW }
+        );
+      } else {
+        const result = await slackRateLimiter.sendMessage(() =>
+          slackClient.chat.postMessage({ channel, thread_ts: threadTs, text, blocks, token: botToken(channel) }),
+          { channel, priority: PRIORITY.LOW }
+        );
+        noticeTs = result.ts;
       }
+    }).catch(e => console.error('[QUEUE] Failed to update queue notice:', e.message));
+  };
 
-      const { messageFunc, resolve, reject } = this.queue.shift();
+  const postFollowUpNotice = (text, buttons) => {
+    postNotice(text, buildFollowUpBlocks(text, { threadTs, ref, preview, buttons }));
+  };
 
-      try {
-        const result = await messageFunc();
-        this.lastSendTime = Date.now();
-        resolve(result);
-      } catch (error) {
-        console.error('[RATE-LIMITER] Message send failed:', error.message);
-        reject(error);
+  if (followUp) {
+    console.log(`[QUEUE] Thread ${threadTs.slice(-8)} is busy - queueing follow-up ${ref}`);
+  }
+
+  const outcome = await runQueue.enqueue({
+    id: threadTs,
+    ref,
+    userId,
+    channel,
+    run: task,
+    onPositionChange: (position) => {
+      if (followUp) {
+        postFollowUpNotice(position > 0
+          ? `📥 *Follow-up queued* (position ${position}) - runs with this thread's session after the current task.`
+          : '▶️ *Follow-up started*', position > 0);
+      } else {
+        postNotice(position > 0
+          ? `⏳ *Queued* - position ${position}. I'll start as soon as a slot frees up _(type \`close\` to cancel)_.`
+          : '▶️ *Starting now* - left the queue.');
       }
     }
+  });
 
-    this.processing = false;
+  if (outcome.cancelled) {
+    if (followUp) {
+      postFollowUpNotice('🛑 *Follow-up removed from queue*', false);
+    } else {
+      postNotice('🛑 *Removed from queue*');
+    }
   }
-}
 
-// Global rate limiter - 1 message per second to respect Slack's limits
-const slackRateLimiter = new SlackRateLimiter(1);
+  return outcome;
+}
 
 // Parse auto-respond channels from environment
 const autoRespondChannels = new Set(
@@ -132,8 +432,12 @@ if (autoRespondChannels.size > 0) {
   console.log(`[CONFIG] Auto-respond disabled - only responding to @mentions`);
 }
 
-async function askClaudeAsync(prompt, originalMsg, channel, threadTs, client) {
-  console.log(`[ASYNC-TASK] Starting for thread ${threadTs}`);
+// Run the agent for a thread. Every run starts interactive: output is collected quietly and posted
+// as one reply when the run ends. A run still going after PROMOTE_AFTER_SECONDS (or started with
+// "bg:") is promoted to the background: output is streamed (or shown live), heartbeats are sent and
+// a completion summary is posted. Runs are never killed for taking long - use "close" or /ai kill.
+async function askClaudeAsync(prompt, originalMsg, channel, threadTs, client, userId, access, images = [], { background = false, messageTs = threadTs } = {}) {
+  console.log(`[TASK] Starting ${background ? 'background' : 'interactive'} run for thread ${threadTs}`);
 
   const startTime = Date.now();
 
@@ -141,51 +445,111 @@ async function askClaudeAsync(prompt, originalMsg, channel, threadTs, client) {
   const existingSession = threadSessions.get(threadTs);
   const hasExistingSession = existingSession && existingSession.sessionId;
 
-  // Add Docker environment context for backend tests
-  const enhancedPrompt = `SYSTEM CONTEXT: Docker-based development environment.
-Backend (Java/Kotlin/Gradle) runs ONLY in Docker containers.
-For backend tests: Use "docker-compose exec backend ./gradlew test"
-NEVER say "Java is not installed" - use Docker!
-
-USER REQUEST: ${prompt}`;
-
-  // Build command args - use --resume if session exists
-  const claudeArgs = [
-    '-p', enhancedPrompt,
-    '--dangerously-skip-permissions',
-    '--output-format', 'stream-json',
-    '--verbose'
-  ];
+  // Add the workspace's system context (e.g. Docker instructions for backend tests)
+  const workspace = workspaceForThread(threadTs, channel);
+  const enhancedPrompt = buildWorkspacePrompt(workspace, prompt);
 
+  // Resume the thread's session if it has one
   if (hasExistingSession) {
-    claudeArgs.push('--resume', existingSession.sessionId);
     console.log(`[SESSION] Resuming session ${existingSession.sessionId.slice(0, 8)}... for thread ${threadTs.slice(-8)}`);
   } else {
     console.log(`[SESSION] Starting new session for thread ${threadTs.slice(-8)}`);
   }
 
-  const claude = spawn('/usr/bin/claude', claudeArgs, {
-    cwd: '/opt/devenv/projects/sphinx-ai',
-    env: {
-      ...process.env,
-      // Inherit full environment including Docker, Java, etc.
-      HOME: '/home/developer',
-      USER: 'developer'
-      // PATH is inherited from process.env via spread operator
-    },
-    stdio: ['ignore', 'pipe', 'pipe']
+  // Role and workspace both restrict tools and have none in common: an unrestricted run is not an option
+  const allowedTools = mergeAllowedTools(access.allowedTools, workspace.allowedTools);
+  if (allowedTools === null) {
+    const error = `Your role's allowed tools (${access.allowedTools.join(', ')}) and workspace \`${workspace.name}\`'s (${workspace.allowedTools.join(', ')}) have none in common`;
+    console.warn(`[ACCESS] Refused run for ${userId} in thread ${threadTs.slice(-8)}: no allowed tools in common`);
+    await slackRateLimiter.sendMessage(() =>
+      slackClient.chat.postMessage({
+        channel,
+        thread_ts: threadTs,
+        text: `🚫 *Can't start this run*\n\n${error}. Ask an admin to adjust the access policy or workspace.`,
+        token: botToken(channel)
+      }),
+      { channel, priority: PRIORITY.HIGH }
+    ).catch(console.error);
+    return { status: 'failed', error };
+  }
+
+  // Threads with their own worktree run there; announce the branch the first time
+  let cwd = workspace.cwd;
+  if (worktreesEnabled(workspace)) {
+    try {
+      const worktree = await ensureThreadWorktree(workspace, threadTs);
+      cwd = worktree.path;
+      if (worktree.created) {
+        slackRateLimiter.sendMessage(() =>
+          slackClient.chat.postMessage({
+            channel,
+            thread_ts: threadTs,
+            text: `🌿 Working on branch \`${worktree.branch}\` in its own worktree _(\`branch\` to show it, \`branch push\` / \`branch discard\`)_`,
+            token: botToken(channel)
+          }),
+          { channel }
+        ).catch(e => console.error('[WORKTREE] Failed to announce branch:', e.message));
+      }
+    } catch (error) {
+      console.error(`[WORKTREE] Thread ${threadTs.slice(-8)}:`, error.message);
+      await slackRateLimiter.sendMessage(() =>
+        slackClient.chat.postMessage({
+          channel,
+          thread_ts: threadTs,
+          text: `❌ *Couldn't create a worktree for this thread*\n\n${error.message}`,
+          token: botToken(channel)
+        }),
+        { channel, priority: PRIORITY.HIGH }
+      ).catch(console.error);
+      return { status: 'failed', error: error.message };
+    }
+  }
+
+  registerApprovalContext(threadTs, { channel, cwd, userId });
+
+  // Snapshot the checkout first, so the change report only shows what this run did
+  const reportChanges = changeSummaryEnabled();
+  const snapshotBefore = reportChanges ? await snapshotWorkingTree(cwd) : null;
+  const touchedFiles = new Set();
+
+  const run = startAgentRun({
+    prompt: enhancedPrompt,
+    sessionId: hasExistingSession ? existingSession.sessionId : null,
+    channel,
+    cwd,
+    env: buildWorkspaceEnv(workspace),
+    model: workspace.model,
+    allowedTools,
+    permissionMode: access.permissionMode,
+    images,
+    ...approvalRunOptions(threadTs, access.permissionMode)
   });
 
+  incCounter('runs_started_total', { backend: run.backend });
+
   // Track in thread sessions
   threadSessions.set(threadTs, {
     sessionId: existingSession?.sessionId || null,
-    process: claude,
+    run,
     startTime,
     lastActivity: Date.now(),
-    type: 'async'
+    type: background ? 'background' : 'interactive',
+    channel,
+    userId,
+    workspace: workspace.name
   });
+  recordSession(threadTs, { channel, userId, sessionId: existingSession?.sessionId || null, status: 'running', workspace: workspace.name });
+
+  const auditContext = { userId, channel, threadTs, sessionId: existingSession?.sessionId || null };
+
+  // "stream" posts output chunks, "live" edits one status message (see progress.js)
+  const liveMode = resolveProgressMode(channel) === 'live';
+  const progress = new RunProgress(startTime);
 
+  let promoted = false;
   let output = '';
+  let reply = ''; // Assistant text, the interactive reply if the run has no result text
+  let result = '';
   let outputBuffer = ''; // Buffer for chunked streaming
   let lastStreamTime = Date.now();
   let chunkCount = 0;
@@ -194,11 +558,14 @@ USER REQUEST: ${prompt}`;
 
   // Track session info
   let sessionId = null;
-  let lineBuffer = ''; // Buffer for incomplete JSON lines
+  let runModel = workspace.model;
+  let runUsage = null;
   let lastHeartbeat = Date.now();
   const HEARTBEAT_INTERVAL = 60000; // Send heartbeat every 60 seconds if no output
 
   const streamBuffer = async (force = false) => {
+    if (!promoted) return;
+
     const now = Date.now();
     const timeSinceLastStream = now - lastStreamTime;
     const timeSinceLastHeartbeat = now - lastHeartbeat;
@@ -214,17 +581,16 @@ USER REQUEST: ${prompt}`;
         chunkCount++;
 
         try {
-          // Post the buffered output
-          const streamText = `📤 *Output Stream #${chunkCount}* (${timeStr} elapsed)\n\`\`\`\n${outputBuffer.trim()}\n\`\`\``;
-
-          await slackRateLimiter.sendMessage(() =>
-            app.client.chat.postMessage({
-              channel: channel,
-              text: streamText.slice(0, 3000), // Slack message limit
-              thread_ts: threadTs,
-              token: process.env.SLACK_BOT_TOKEN
-            })
-          );
+          // Post the buffered output (large chunks, e.g. big tool results, are attached as a snippet)
+          await postLongText({
+            channel,
+            threadTs,
+            text: outputBuffer.trim(),
+            kind: `output-${chunkCount}`,
+            priority: PRIORITY.LOW,
+            title: `Output Stream #${chunkCount}`,
+            format: (body) => `📤 *Output Stream #${chunkCount}* (${timeStr} elapsed)\n\`\`\`\n${body}\n\`\`\``
+          });
 
           console.log(`[STREAM] Thread ${threadTs.slice(-8)}: Chunk #${chunkCount}, ${outputBuffer.length} chars, ${timeStr} elapsed`);
 
@@ -244,12 +610,13 @@ USER REQUEST: ${prompt}`;
 
         try {
           await slackRateLimiter.sendMessage(() =>
-            app.client.chat.postMessage({
+            slackClient.chat.postMessage({
               channel: channel,
               text: `⏳ *Still working...* (${timeStr} elapsed)\n_Last output: ${chunkCount > 0 ? `Stream #${chunkCount}` : 'none yet'}_`,
               thread_ts: threadTs,
-              token: process.env.SLACK_BOT_TOKEN
-            })
+              token: botToken(channel)
+            }),
+            { channel, priority: PRIORITY.LOW, key: `heartbeat:${threadTs}`, dropAfter: HEARTBEAT_INTERVAL }
           );
 
           console.log(`[HEARTBEAT] Thread ${threadTs.slice(-8)}: ${timeStr} elapsed, last chunk #${chunkCount}`);
@@ -261,110 +628,359 @@ USER REQUEST: ${prompt}`;
     }
   };
 
-  // Stream output regularly
-  const streamInterval = setInterval(() => streamBuffer(false), STREAM_INTERVAL);
+  // Live mode: post the status message once, then edit it in place
+  let statusTs = null;
+  let statusUpdates = Promise.resolve();
+  let statusPending = false;
+  const LIVE_UPDATE_INTERVAL = 10000;
+
+  const updateStatus = (state = 'running') => {
+    // A refresh still waiting for its turn renders the latest progress when it runs - don't stack another
+    if (state === 'running' && statusPending) return statusUpdates;
+    statusPending = true;
+
+    // Progress refreshes yield to final results elsewhere; the final state goes first
+    const priority = state === 'running' ? PRIORITY.LOW : PRIORITY.HIGH;
+
+    statusUpdates = statusUpdates.then(async () => {
+      statusPending = false;
+      const text = progress.render({ state });
+      if (statusTs) {
+        await slackRateLimiter.sendMessage(() =>
+          slackClient.chat.update({ channel, ts: statusTs, text, token: botToken(channel) }),
+          { method: 'chat.update', priority }
+        );
+      } else {
+        const result = await slackRateLimiter.sendMessage(() =>
+          slackClient.chat.postMessage({ channel, thread_ts: threadTs, text, token: botToken(channel) }),
+          { channel, priority }
+        );
+        statusTs = result.ts;
+      }
+    }).catch(e => console.error('[PROGRESS] Failed to update status message:', e.message));
+    return statusUpdates;
+  };
 
-  // Parse JSON stream from stdout
-  const handleStreamData = (data) => {
-    // Wrap in try-catch to prevent stream from breaking on errors
-    try {
-      lineBuffer += data.toString();
-      const lines = lineBuffer.split('\n');
+  // Record output for the live status and, in stream mode, buffer it for the next chunk
+  const bufferOutput = (text) => {
+    progress.addOutput(text);
+    if (liveMode) return;
 
-      // Keep incomplete line in buffer
-      lineBuffer = lines.pop();
+    // Interactive runs keep buffering, so the first chunk after promotion has everything so far
+    outputBuffer += text;
+    // Stream if buffer is getting large (non-blocking)
+    if (promoted && outputBuffer.length >= STREAM_CHUNK_SIZE) {
+      streamBuffer(false).catch(e => console.error('[STREAM] Buffer error:', e.message));
+    }
+  };
 
-      for (const line of lines) {
-        if (!line.trim()) continue;
+  let streamInterval = null;
+  let promoteTimer = null;
 
-        try {
-          const msg = JSON.parse(line);
-
-          switch(msg.type) {
-            case 'system':
-              // Session initialization
-              if (msg.subtype === 'init' && msg.session_id) {
-                sessionId = msg.session_id;
-                // Update session in thread tracking
-                if (threadSessions.has(threadTs)) {
-                  const session = threadSessions.get(threadTs);
-                  session.sessionId = sessionId;
-                  session.lastActivity = Date.now();
-                  console.log(`[SESSION] Session ID ${sessionId.slice(0, 8)}... registered for thread ${threadTs.slice(-8)}`);
-                }
-              }
-              break;
-
-            case 'assistant':
-              // Tool executions and text responses
-              const content = msg.message?.content || [];
-              for (const item of content) {
-                if (item.type === 'tool_use') {
-                  // Show tool execution
-                  const inputStr = JSON.stringify(item.input, null, 2);
-                  const displayInput = inputStr.length > 500 ? inputStr.slice(0, 500) + '...' : inputStr;
-                  // Use rate limiter - fire and forget
-                  slackRateLimiter.sendMessage(() =>
-                    app.client.chat.postMessage({
-                      channel: channel,
-                      text: `⚙️ *Tool:* ${item.name}\n\`\`\`${displayInput}\`\`\``,
-                      thread_ts: threadTs,
-                      token: process.env.SLACK_BOT_TOKEN
-                    })
-                  ).catch(e => console.error('[TOOL] Failed to send:', e.message));
-                } else if (item.type === 'text' && item.text) {
-                  // Add text responses to output buffer
-                  outputBuffer += item.text + '\n';
-                }
-              }
-              break;
-
-            case 'user':
-              // Tool results - add to buffer for streaming
-              const toolResult = msg.message?.content?.[0];
-              if (toolResult?.type === 'tool_result' && toolResult.content) {
-                outputBuffer += toolResult.content + '\n';
-                // Stream if buffer is getting large (non-blocking)
-                if (outputBuffer.length >= STREAM_CHUNK_SIZE) {
-                  streamBuffer(false).catch(e => console.error('[STREAM] Buffer error:', e.message));
-                }
-              }
-              break;
-
-            case 'result':
-              // Final result - already handled by close event
-              break;
+  // Switch to background mode: say so in the thread, then stream output (or refresh the live status) regularly
+  const promote = async () => {
+    if (promoted) return;
+    promoted = true;
+    clearTimeout(promoteTimer);
+
+    const session = threadSessions.get(threadTs);
+    if (session?.run === run) session.type = 'background';
+    if (!background) incCounter('runs_promoted_total');
+    console.log(`[TASK] Thread ${threadTs.slice(-8)} ${background ? 'running in' : 'promoted to'} background`);
+
+    const toolsSoFar = progress.toolCount > 0 ? ` (${progress.toolCount} tool call${progress.toolCount === 1 ? '' : 's'} so far)` : '';
+    const notice = background
+      ? `🔄 Working on this in the background... I'll reply in this thread when complete.\n\n_Task: ${originalMsg}_`
+      : `🔄 *Still working after ${Math.round((Date.now() - startTime) / 1000)}s* - moved to the background${toolsSoFar}. ` +
+        `I'll post progress here and a summary when it's done.`;
+
+    await slackRateLimiter.sendMessage(() =>
+      slackClient.chat.postMessage({ channel, thread_ts: threadTs, text: notice, token: botToken(channel) }),
+      { channel }
+    ).catch(e => console.error('[TASK] Failed to post background notice:', e.message));
+
+    await client.reactions.remove({ channel, timestamp: messageTs, name: 'brain', token: botToken(channel) }).catch(() => {});
+    await client.reactions.add({ channel, timestamp: messageTs, name: 'rocket', token: botToken(channel) }).catch(() => {});
+
+    lastStreamTime = Date.now();
+    lastHeartbeat = Date.now();
+
+    if (liveMode) {
+      streamInterval = setInterval(() => updateStatus(), LIVE_UPDATE_INTERVAL);
+      updateStatus();
+    } else {
+      streamInterval = setInterval(() => streamBuffer(false), STREAM_INTERVAL);
+      streamBuffer(true).catch(e => console.error('[STREAM] Buffer error:', e.message));
+    }
+  };
+
+  if (background) {
+    promote().catch(e => console.error('[TASK] Failed to start background mode:', e.message));
+  } else {
+    client.reactions.add({ channel, timestamp: messageTs, name: 'brain', token: botToken(channel) }).catch(() => {});
+    promoteTimer = setTimeout(() => {
+      promote().catch(e => console.error('[TASK] Failed to promote run:', e.message));
+    }, PROMOTE_AFTER_MS);
+  }
+
+  // Handle stream-json events from the backend
+  const handleStreamData = (msg) => {
+    // Wrap in try-catch to prevent stream from breaking on errors
+    try {
+      auditStreamEvent(msg, auditContext);
+
+      switch(msg.type) {
+        case 'system':
+          // Session initialization
+          if (msg.subtype === 'init' && msg.session_id) {
+            sessionId = msg.session_id;
+            runModel = msg.model || runModel;
+            auditContext.sessionId = sessionId;
+            // Update session in thread tracking
+            if (threadSessions.has(threadTs)) {
+              const session = threadSessions.get(threadTs);
+              session.sessionId = sessionId;
+              session.lastActivity = Date.now();
+              recordSession(threadTs, { sessionId });
+              console.log(`[SESSION] Session ID ${sessionId.slice(0, 8)}... registered for thread ${threadTs.slice(-8)}`);
+            }
           }
-        } catch (e) {
-          // Not JSON - treat as plain text output
-          output += line + '\n';
-          outputBuffer += line + '\n';
-
-          // Stream if buffer is getting large (non-blocking)
-          if (outputBuffer.length >= STREAM_CHUNK_SIZE) {
-            streamBuffer(false).catch(e => console.error('[STREAM] Buffer error:', e.message));
+          break;
+
+        case 'assistant':
+          // Tool executions and text responses
+          const content = msg.message?.content || [];
+          for (const item of content) {
+            if (item.type === 'tool_use') {
+              progress.addTool(item.name, item.input);
+              const file = touchedFile(item.name, item.input);
+              if (file) touchedFiles.add(file);
+              if (liveMode || !promoted) continue;
+
+              // Show tool execution
+              const inputStr = JSON.stringify(item.input, null, 2);
+              const displayInput = inputStr.length > 500 ? inputStr.slice(0, 500) + '...' : inputStr;
+              // Use rate limiter - fire and forget
+              slackRateLimiter.sendMessage(() =>
+                slackClient.chat.postMessage({
+                  channel: channel,
+                  text: `⚙️ *Tool:* ${item.name}\n\`\`\`${displayInput}\`\`\``,
+                  thread_ts: threadTs,
+                  token: botToken(channel)
+                }),
+                { channel, priority: PRIORITY.LOW }
+              ).catch(e => console.error('[TOOL] Failed to send:', e.message));
+            } else if (item.type === 'text' && item.text) {
+              // Add text responses to output buffer
+              progress.addStep(item.text);
+              reply += item.text + '\n';
+              bufferOutput(item.text + '\n');
+            }
           }
-        }
+          break;
+
+        case 'user':
+          // Tool results - add to buffer for streaming
+          const toolResult = msg.message?.content?.[0];
+          if (toolResult?.type === 'tool_result' && toolResult.content) {
+            bufferOutput(toolResult.content + '\n');
+          }
+          break;
+
+        case 'result':
+          // Final result text is handled by the close event; account for usage here
+          if (msg.result) result = msg.result;
+          runUsage = extractUsage(msg, runModel);
+          recordUsage({ userId, channel, teamId: teamForChannel(channel), usage: runUsage });
+          break;
       }
     } catch (error) {
       console.error('[STREAM] handleStreamData error:', error.message);
     }
   };
 
-  claude.stdout.on('data', handleStreamData);
-  claude.stderr.on('data', handleStreamData);
+  // Plain text output (stderr, non-JSON lines)
+  const handleTextLine = (line) => {
+    output += line + '\n';
+    bufferOutput(line + '\n');
+  };
 
-  claude.on('close', async (code) => {
-    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-    console.log(`[ASYNC-TASK] Complete after ${duration}s, code: ${code}`);
+  run.on('message', handleStreamData);
+  run.on('text', handleTextLine);
+
+  // Live mode: final status, then the complete log as a file
+  const finishStatus = async (state) => {
+    await updateStatus(state);
+
+    const log = progress.fullLog();
+    if (!log.trim()) return;
+
+    await slackRateLimiter.sendMessage(() =>
+      uploadSnippet(slackClient, {
+        channel,
+        threadTs,
+        content: log,
+        filename: snippetFilename('run-log', threadTs),
+        title: 'Full run log',
+        token: botToken(channel)
+      }),
+      { method: 'files.uploadV2' }
+    ).catch(e => console.error('[PROGRESS] Failed to upload run log:', e.message));
+  };
+
+  // Files changed by the run: list with +/- counts, full diff attached as a snippet
+  const postChangeSummary = async () => {
+    if (!reportChanges) return null;
 
-    // Stop streaming interval
+    try {
+      let changes = null;
+      if (snapshotBefore) {
+        const snapshotAfter = await snapshotWorkingTree(cwd);
+        if (snapshotAfter) changes = await diffSnapshots(cwd, snapshotBefore, snapshotAfter);
+      }
+
+      const text = formatChangeSummary({ files: changes?.files || null, touched: [...touchedFiles], root: changes?.root, cwd });
+      if (!text) return changes?.files || null;
+
+      await slackRateLimiter.sendMessage(() =>
+        slackClient.chat.postMessage({ channel, thread_ts: threadTs, text, token: botToken(channel) }),
+        { channel, priority: PRIORITY.HIGH }
+      );
+
+      if (changes?.diff) {
+        await slackRateLimiter.sendMessage(() =>
+          uploadSnippet(slackClient, {
+            channel,
+            threadTs,
+            content: diffForSnippet(changes.diff),
+            filename: snippetFilename('changes', threadTs, 'diff'),
+            title: 'Changes (unified diff)',
+            token: botToken(channel)
+          }),
+          { method: 'files.uploadV2' }
+        );
+      }
+
+      console.log(`[CHANGES] Thread ${threadTs.slice(-8)}: ${changes ? changes.files.length : 0} file(s) in diff, ${touchedFiles.size} edited by tools`);
+      return changes?.files || null;
+    } catch (error) {
+      console.error('[CHANGES] Failed to report changes:', error.message);
+      return null;
+    }
+  };
+
+  // What the run produced, for callers that wait on it (the task API)
+  const runOutcome = (code, changedFiles = null) => ({
+    status: code === 0 ? 'completed' : 'failed',
+    exitCode: code,
+    sessionId,
+    backend: run.backend,
+    durationMs: Date.now() - startTime,
+    result: result || reply.trim() || output.trim(),
+    usage: runUsage,
+    changedFiles
+  });
+
+  // Resolves with runOutcome() once the run has ended and its summary was posted (frees the queue slot)
+  let markFinished;
+  const finished = new Promise(resolve => { markFinished = resolve; });
+
+  // First reply in the thread carries the session ID
+  const takeSessionInfo = () => {
+    if (!sessionId || threadsWithSessionInfo.has(threadTs)) return null;
+    threadsWithSessionInfo.add(threadTs);
+    recordSession(threadTs, { sessionInfoShown: true });
+    return sessionId;
+  };
+
+  // Interactive runs: the answer as one reply, with session info and usage in a context line
+  const postReply = async (responseText) => {
+    const shownSession = takeSessionInfo();
+    let sessionInfo = '';
+
+    if (shownSession) {
+      sessionInfo = run.backend === 'cli'
+        ? `\n\n🆔 *Session:* \`${shownSession}\` | _Resume: \`claude --resume ${shownSession}\`_`
+        : `\n\n🆔 *Session:* \`${shownSession}\` | _API mode (no CLI available)_`;
+    }
+
+    if (runUsage) {
+      sessionInfo += `\n${formatUsage(runUsage)}`;
+    }
+
+    // Long answers: preview in the message, full text attached as a markdown snippet
+    if (needsSnippet(responseText + sessionInfo)) {
+      await postLongText({
+        channel,
+        threadTs,
+        text: responseText,
+        kind: 'response',
+        priority: PRIORITY.HIGH,
+        extension: 'md',
+        title: 'Full response',
+        format: (body) => markdownToMrkdwn(body) + sessionInfo
+      });
+    } else {
+      // Render the agent's Markdown as Block Kit sections; session info goes in a context line
+      let messages = renderMarkdownMessages(responseText.trim());
+      if (messages.length === 0) messages = renderMarkdownMessages('No output'); // nothing left to render
+      if (sessionInfo) {
+        const last = messages[messages.length - 1];
+        last.blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: sessionInfo.trim() }] });
+        last.text += sessionInfo;
+      }
+
+      for (const message of messages) {
+        await slackRateLimiter.sendMessage(() =>
+          slackClient.chat.postMessage({ channel, thread_ts: threadTs, ...message, token: botToken(channel) }),
+          { channel, priority: PRIORITY.HIGH }
+        );
+      }
+    }
+  };
+
+  run.on('close', async (code) => {
+    clearTimeout(promoteTimer);
     clearInterval(streamInterval);
 
-    // Stream any remaining buffered output
-    await streamBuffer(true);
+    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+    const mode = promoted ? 'background' : 'interactive';
+    console.log(`[TASK] Complete after ${duration}s (${mode}), code: ${code}`);
+    audit('run_end', { ...auditContext, mode, backend: run.backend, exitCode: code, durationMs: Date.now() - startTime });
+    recordRunMetrics(mode, run.backend, code === 0, startTime);
+
+    // Closed while running ("close", /ai kill, TTL): the thread is gone, nothing to record or post
+    if (!threadSessions.has(threadTs)) {
+      console.log(`[TASK] Thread ${threadTs.slice(-8)} was closed during the run - no reply`);
+      markFinished({ ...runOutcome(code), status: 'cancelled' });
+      return;
+    }
+
+    detachRun(threadTs, run);
+    updateStoredSession(threadTs, { status: code === 0 ? 'completed' : 'failed' });
+    const outcomeReaction = code === 0 ? 'white_check_mark' : 'x';
+
+    if (!promoted) {
+      try {
+        await postReply(result || reply.trim() || output.trim() || 'No output');
+      } catch (error) {
+        console.error(`[TASK] Failed to send reply:`, error);
+      }
+      const changedFiles = await postChangeSummary();
 
-    const response = output.trim() || 'Task completed (no output)';
+      await client.reactions.remove({ channel, timestamp: messageTs, name: 'brain', token: botToken(channel) }).catch(() => {});
+      await client.reactions.add({ channel, timestamp: messageTs, name: outcomeReaction, token: botToken(channel) }).catch(() => {});
+
+      markFinished(runOutcome(code, changedFiles));
+      return;
+    }
+
+    // Stream any remaining buffered output
+    if (liveMode) {
+      await finishStatus(code === 0 ? 'done' : 'failed');
+    } else {
+      await streamBuffer(true);
+    }
 
     // Send final summary
     try {
@@ -373,56 +989,133 @@ USER REQUEST: ${prompt}`;
       const timeStr = minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
 
       // Include session info inline if this is first reply in thread
-      let summaryText = `✅ *Task Complete*\n\n⏱️ Duration: ${timeStr}\n📊 Output Chunks: ${chunkCount}\n📝 Total Output: ${output.length} characters\n✅ Exit Code: ${code}`;
+      const outputLine = liveMode ? '📎 Full log attached above' : `📊 Output Chunks: ${chunkCount}`;
+      const header = code === 0 ? '✅ *Task Complete*' : '❌ *Task Failed*';
+      let summaryText = `${header}\n\n⏱️ Duration: ${timeStr}\n${outputLine}\n📝 Total Output: ${output.length} characters\n${code === 0 ? '✅' : '❌'} Exit Code: ${code}`;
 
-      if (sessionId && !threadsWithSessionInfo.has(threadTs)) {
-        summaryText += `\n\n🆔 *Session:* \`${sessionId}\`\n_Resume: \`claude --resume ${sessionId}\`_`;
-        threadsWithSessionInfo.add(threadTs);
+      if (runUsage) {
+        summaryText += `\n${formatUsage(runUsage)}`;
+      }
+
+      const shownSession = takeSessionInfo();
+      if (shownSession) {
+        summaryText += run.backend === 'cli'
+          ? `\n\n🆔 *Session:* \`${shownSession}\`\n_Resume: \`claude --resume ${shownSession}\`_`
+          : `\n\n🆔 *Session:* \`${shownSession}\`\n_API mode (no CLI available)_`;
       }
 
       await slackRateLimiter.sendMessage(() =>
-        app.client.chat.postMessage({
+        slackClient.chat.postMessage({
           channel: channel,
           text: summaryText,
           thread_ts: threadTs,
-          token: process.env.SLACK_BOT_TOKEN
-        })
+          token: botToken(channel)
+        }),
+        { channel, priority: PRIORITY.HIGH }
       );
 
       // Add completion reaction to original message
       await client.reactions.add({
         channel: channel,
-        timestamp: threadTs,
-        name: "white_check_mark"
+        timestamp: messageTs,
+        name: outcomeReaction,
+        token: botToken(channel)
       }).catch(() => {});
 
-      console.log(`[ASYNC-TASK] Response sent to thread ${threadTs} - ${chunkCount} chunks streamed`);
+      console.log(`[TASK] Response sent to thread ${threadTs} - ${liveMode ? 'live status' : `${chunkCount} chunks streamed`}`);
 
     } catch (error) {
-      console.error(`[ASYNC-TASK] Failed to send response:`, error);
+      console.error(`[TASK] Failed to send response:`, error);
     }
-  });
 
-  claude.on('error', async (err) => {
-    console.error(`[ASYNC-TASK] Error:`, err);
+    const changedFiles = await postChangeSummary();
+
+    markFinished(runOutcome(code, changedFiles));
+  });
 
-    // Stop streaming
+  run.on('error', async (err) => {
+    clearTimeout(promoteTimer);
     clearInterval(streamInterval);
 
-    // Stream any remaining buffered output
-    await streamBuffer(true);
+    const mode = promoted ? 'background' : 'interactive';
+    console.error(`[TASK] Error (${mode}):`, err);
+    audit('run_error', { ...auditContext, mode, backend: run.backend, error: err.message, durationMs: Date.now() - startTime });
+    recordRunMetrics(mode, run.backend, false, startTime);
 
-    runningTasks.delete(threadTs);
+    if (!threadSessions.has(threadTs)) {
+      markFinished({ ...runOutcome(null), status: 'cancelled', error: err.message });
+      return;
+    }
+
+    detachRun(threadTs, run);
+    updateStoredSession(threadTs, { status: 'failed' });
+
+    // Stream any remaining buffered output
+    if (!promoted) {
+      await client.reactions.remove({ channel, timestamp: messageTs, name: 'brain', token: botToken(channel) }).catch(() => {});
+    } else if (liveMode) {
+      await finishStatus('failed');
+    } else {
+      await streamBuffer(true);
+    }
 
     await slackRateLimiter.sendMessage(() =>
-      app.client.chat.postMessage({
+      slackClient.chat.postMessage({
         channel: channel,
-        text: `❌ *Task Failed*\n\nError: ${err.message}\n📊 Output Chunks Sent: ${chunkCount}`,
+        text: `❌ *Task Failed*\n\nError: ${err.message}${promoted && !liveMode ? `\n📊 Output Chunks Sent: ${chunkCount}` : ''}`,
         thread_ts: threadTs,
-        token: process.env.SLACK_BOT_TOKEN
-      })
+        token: botToken(channel)
+      }),
+      { channel, priority: PRIORITY.HIGH }
     ).catch(console.error);
+
+    markFinished({ ...runOutcome(null), status: 'failed', error: err.message });
   });
+
+  return finished;
+}
+
+// "branch", "branch push" and "branch discard" in a thread with its own worktree
+async function handleBranchCommand(action, { threadTs, channel, userId, access, say }) {
+  const workspace = workspaceForThread(threadTs, channel);
+  const reply = (text) => say({ text, thread_ts: threadTs });
+
+  if (!worktreesEnabled(workspace)) {
+    await reply(`ℹ️ Threads in \`${workspace.name}\` share the checkout at \`${workspace.cwd}\` - per-thread worktrees are off.`);
+    return;
+  }
+
+  const session = threadSessions.get(threadTs);
+  const owner = session?.userId || getStoredSession(threadTs)?.userId;
+
+  if (action !== 'show' && !access.admin && owner && owner !== userId) {
+    await reply(`🚫 Only admins or the user who started this thread can ${action} its branch.`);
+    return;
+  }
+
+  try {
+    if (action === 'push') {
+      const { branch, remote } = await pushThreadBranch(workspace, threadTs);
+      audit('branch_push', { userId, channel, threadTs, branch, remote });
+      await reply(`⬆️ Pushed \`${branch}\` to \`${remote}\`.`);
+    } else if (action === 'discard') {
+      if (session?.run || runQueue.isBusy(threadTs)) {
+        await reply('⏳ A run is still using this worktree - type `close` to stop it first.');
+        return;
+      }
+      await removeThreadWorktree(workspace, threadTs, { deleteBranch: true });
+      audit('branch_discard', { userId, channel, threadTs, branch: threadBranch(threadTs) });
+      await reply(`🗑️ Discarded \`${threadBranch(threadTs)}\` and its worktree. The next run starts a fresh one.`);
+    } else {
+      const info = await describeThreadWorktree(workspace, threadTs);
+      await reply(info
+        ? `🌿 *Branch:* \`${info.branch}\`\n📁 Worktree: \`${info.path}\`\n\`\`\`\n${info.status}\n\n${info.commits}\n\`\`\``
+        : `🌿 No worktree yet - the first run in this thread creates \`${threadBranch(threadTs)}\`.`);
+    }
+  } catch (error) {
+    console.error(`[WORKTREE] branch ${action} failed for thread ${threadTs.slice(-8)}:`, error.message);
+    await reply(`❌ \`branch ${action}\` failed: ${error.message}`);
+  }
 }
 
 // Helper function to process messages (shared by app_mention and message events)
@@ -430,19 +1123,28 @@ async function processMessage(event, say, client, isMention) {
   // Extract text - different structure for message vs app_mention events
   const rawText = event.text || '';
 
-  if (!rawText) {
+  const files = event.files || [];
+
+  if (!rawText && files.length === 0) {
     console.log('[PROCESS] No text in message, skipping');
     return;
   }
 
-  const msg = isMention
-    ? rawText.replace(/<@[^>]+>/g, '').replace(/[*_~`]/g, '').trim()
-    : rawText.replace(/[*_~`]/g, '').trim();
+  // Keep formatting (code, file names) - only Slack's link and entity markup is unwrapped
+  let msg = isMention
+    ? slackToMarkdown(rawText.replace(/<@[^>]+>/g, '')).trim()
+    : slackToMarkdown(rawText).trim();
+
+  // "bg: <task>" skips the interactive phase for tasks the user knows are long
+  const background = BACKGROUND_PREFIX.test(msg);
+  if (background) {
+    msg = msg.replace(BACKGROUND_PREFIX, '').trim();
+  }
   const threadTs = event.thread_ts || event.ts;
   const channel = event.channel;
   const isNewThread = !event.thread_ts;
 
-  if (!msg) {
+  if (!msg && files.length === 0) {
     await say({
       text: "Hi! I can handle long-running tasks and remember our conversation!",
       thread_ts: threadTs
@@ -455,9 +1157,30 @@ async function processMessage(event, say, client, isMention) {
   console.log(`Thread ID: ${threadTs}`);
   console.log(`${'='.repeat(60)}`);
 
+  // Check the access policy before doing anything on the dev box
+  const access = await authorizeInChannel(event.user, channel, client);
+
+  if (!access.allowed) {
+    console.warn(`[ACCESS] Denied user ${event.user} in ${channel}: ${access.reason}`);
+    audit('denied', { userId: event.user, channel, threadTs, prompt: msg, reason: access.reason });
+    await say({
+      text: `🚫 *Not authorized*\n\nSorry <@${event.user}>, ${access.reason}. Ask an admin to update the bridge's access policy.`,
+      thread_ts: threadTs
+    });
+    return;
+  }
+
+  // With tool approvals on, open access asks in the thread instead of skipping permissions
+  if (approvalsEnabled() && !access.role && access.permissionMode === 'bypassPermissions') {
+    access.permissionMode = 'default';
+  }
+
+  console.log(`[ACCESS] User ${event.user} allowed as ${access.role || 'open access'} (${access.permissionMode})`);
+
   // Handle "close" command - cleanup session
   if (msg.toLowerCase() === 'close') {
-    const cleaned = await cleanupThreadSession(threadTs, 'close command');
+    const dequeued = runQueue.cancel(threadTs);
+    const cleaned = await cleanupThreadSession(threadTs, 'close command', channel);
 
     // Send confirmation
     if (cleaned) {
@@ -465,6 +1188,11 @@ async function processMessage(event, say, client, isMention) {
         text: `🛑 *Session Closed*\n\nStopped running task and cleaned up session for this thread.`,
         thread_ts: threadTs
       });
+    } else if (dequeued > 0) {
+      await say({
+        text: `🛑 *Removed from queue*\n\nCancelled ${dequeued} queued task(s) for this thread.`,
+        thread_ts: threadTs
+      });
     } else {
       await say({
         text: `ℹ️ No active session found for this thread.`,
@@ -475,147 +1203,216 @@ async function processMessage(event, say, client, isMention) {
     return; // Don't process as normal message
   }
 
-  // Detect if this is likely a long-running task
-  const isLongTask = /run.*test|build|deploy|analyze.*all|scan|compile|install/i.test(msg);
+  // Handle "workspace" command - show which workspace this thread runs in
+  if (msg.toLowerCase() === 'workspace') {
+    const workspace = workspaceForThread(threadTs, channel);
+    const bound = Boolean(threadSessions.get(threadTs)?.workspace || getStoredSession(threadTs)?.workspace);
 
-  if (isLongTask) {
-    console.log('[LONG-TASK] Detected, running async');
+    await say({
+      text: `🗂️ *Workspace:* \`${workspace.name}\` ${bound ? '(bound to this thread)' : '(channel default, bound on first run)'}\n\n` +
+        `📁 Directory: \`${workspace.cwd}\`\n` +
+        (worktreesEnabled(workspace) ? `🌿 Branch: \`${threadBranch(threadTs)}\` (own worktree)\n` : '') +
+        `🤖 Model: ${workspace.model || 'default'}\n` +
+        `🛠️ Allowed tools: ${workspace.allowedTools.length > 0 ? workspace.allowedTools.join(', ') : 'all'}`,
+      thread_ts: threadTs
+    });
+
+    return;
+  }
 
-    // Immediate acknowledgment
+  // Handle "branch" commands - the thread's own worktree branch
+  if (/^branch(\s+(push|discard))?$/i.test(msg)) {
+    await handleBranchCommand(msg.split(/\s+/)[1]?.toLowerCase() || 'show', { threadTs, channel, userId: event.user, access, say });
+    return;
+  }
+
+  // Budgets: refuse (BUDGET_MODE=block) or warn before starting another run
+  const budget = checkBudget({ userId: event.user, channel });
+
+  if (!budget.allowed) {
+    console.warn(`[USAGE] Budget exceeded for ${event.user} in ${channel}: ${budget.exceeded.join('; ')}`);
+    audit('denied', { userId: event.user, channel, threadTs, prompt: msg, reason: 'budget exceeded' });
     await say({
-      text: `🔄 Working on this... I'll reply in this thread when complete.\n\n_Task: ${msg}_`,
+      text: `💸 *Budget exceeded*\n\n${budget.exceeded.map(line => `• ${line}`).join('\n')}\n\nAsk an admin to raise the budget, or try again when it resets.`,
       thread_ts: threadTs
     });
+    return;
+  }
 
-    await client.reactions.add({
-      channel: channel,
-      timestamp: event.ts,
-      name: "rocket"
-    }).catch(() => {});
+  if (budget.exceeded.length > 0 || budget.warnings.length > 0) {
+    await say({
+      text: `⚠️ *Budget warning*\n\n${[...budget.exceeded, ...budget.warnings].map(line => `• ${line}`).join('\n')}`,
+      thread_ts: threadTs
+    });
+  }
 
-    // Start async task (Claude Code handles context via --resume)
-    askClaudeAsync(msg, msg, channel, threadTs, client);
+  // Shared files: download into the thread's workspace and list them in the prompt
+  let prompt = msg;
+  let images = [];
+
+  if (files.length > 0) {
+    const workspace = workspaceForThread(threadTs, channel);
+    const { saved, skipped } = await downloadAttachments(files, {
+      cwd: await threadCwd(workspace, threadTs),
+      threadTs,
+      messageTs: event.ts,
+      token: botToken(channel)
+    });
 
-  } else {
-    // Regular short task - wait for response
-    console.log('[SHORT-TASK] Running sync');
-
-    await client.reactions.add({
-      channel: channel,
-      timestamp: event.ts,
-      name: "brain"  // Brain emoji to indicate context awareness
-    }).catch(() => {});
-
-    // Check if thread has existing session
-    const existingSession = threadSessions.get(threadTs);
-    const hasExistingSession = existingSession && existingSession.sessionId;
-
-    // Quick synchronous execution
-    // Add Docker environment context
-    const enhancedPrompt = `SYSTEM CONTEXT: Docker-based development environment.
-Backend (Java/Kotlin/Gradle) runs ONLY in Docker containers.
-For backend tests: Use "docker-compose exec backend ./gradlew test"
-NEVER say "Java is not installed" - use Docker!
-
-USER REQUEST: ${msg}`;
-
-    // Build command args - use --resume if session exists
-    const claudeArgs = [
-      '-p', enhancedPrompt,
-      '--dangerously-skip-permissions',
-      '--output-format', 'stream-json',
-      '--verbose'
-    ];
-
-    if (hasExistingSession) {
-      claudeArgs.push('--resume', existingSession.sessionId);
-      console.log(`[SESSION] Resuming session ${existingSession.sessionId.slice(0, 8)}... for thread ${threadTs.slice(-8)}`);
-    } else {
-      console.log(`[SESSION] Starting new session for thread ${threadTs.slice(-8)}`);
-    }
-
-    const response = await new Promise((resolve) => {
-      const claude = spawn('/usr/bin/claude', claudeArgs, {
-        cwd: '/opt/devenv/projects/sphinx-ai',
-        env: {
-          ...process.env,
-          // Inherit full environment including Docker, Java, etc.
-          HOME: '/home/developer',
-          USER: 'developer'
-          // PATH is inherited from process.env via spread operator
-        },
-        stdio: ['ignore', 'pipe', 'pipe']
+    if (skipped.length > 0) {
+      await say({
+        text: `⚠️ *Skipped attachments*\n${skipped.map(file => `• \`${file.name}\` - ${file.reason}`).join('\n')}`,
+        thread_ts: threadTs
       });
+    }
 
-      // Track in thread sessions
-      threadSessions.set(threadTs, {
-        sessionId: existingSession?.sessionId || null,
-        process: claude,
-        startTime: Date.now(),
-        lastActivity: Date.now(),
-        type: 'sync'
-      });
+    prompt = buildAttachmentPrompt(msg, saved);
+    images = saved.filter(file => file.image);
 
-      let output = '';
-      let result = '';
-      let syncSessionId = null;
+    if (!prompt) return;
+  }
 
-      claude.stdout.on('data', d => {
-        output += d.toString();
-        // Try to extract result and session ID from JSON stream
-        const lines = output.split('\n');
-        for (const line of lines) {
-          try {
-            const msg = JSON.parse(line);
-            if (msg.type === 'result' && msg.result) {
-              result = msg.result;
-            }
-            if (msg.type === 'system' && msg.subtype === 'init' && msg.session_id) {
-              syncSessionId = msg.session_id;
-              // Update session in tracking
-              if (threadSessions.has(threadTs)) {
-                threadSessions.get(threadTs).sessionId = syncSessionId;
-                threadSessions.get(threadTs).lastActivity = Date.now();
-                console.log(`[SESSION] Session ID ${syncSessionId.slice(0, 8)}... registered for thread ${threadTs.slice(-8)}`);
-              }
-            }
-          } catch (e) {
-            // Not JSON, ignore
-          }
-        }
-      });
+  audit('request', {
+    userId: event.user,
+    channel,
+    threadTs,
+    messageTs: event.ts,
+    role: access.role || null,
+    permissionMode: access.permissionMode,
+    prompt: msg,
+    files: files.map(file => file.name)
+  });
 
-      claude.stderr.on('data', d => output += d);
-      claude.on('close', () => resolve({ response: result || output.trim() || 'No output', sessionId: syncSessionId }));
+  // Queue the run: it replies directly if it finishes quickly, or moves itself to the background.
+  // Thread history is read when the run starts, since an earlier run may have created the session by then.
+  scheduleRun({ threadTs, channel, userId: event.user, ref: event.ts, prompt: msg }, async () => {
+    const fullPrompt = isNewThread ? prompt : await withThreadHistory(prompt, { channel, threadTs, messageTs: event.ts });
+    return askClaudeAsync(fullPrompt, msg, channel, threadTs, client, event.user, access, images, { background, messageTs: event.ts });
+  }).catch(error => console.error('[TASK] Run failed:', error));
+}
 
-      setTimeout(() => {
-        claude.kill();
-        resolve({ response: result || output.trim() || 'Timeout', sessionId: syncSessionId });
-      }, 90000);
-    });
+// Start a scheduled task: a new thread in the schedule's channel, run with its creator's access
+async function runScheduledTask(schedule) {
+  const { id, cron, channel, prompt, createdBy } = schedule;
+  console.log(`[SCHEDULER] Running ${id} (${cron}) in ${channel}`);
+
+  const root = await slackRateLimiter.sendMessage(() =>
+    slackClient.chat.postMessage({
+      channel,
+      text: `⏰ *Scheduled task* \`${id}\` (\`${cron}\`, added by <@${createdBy}>)\n> ${prompt.replace(/\n/g, '\n> ')}`,
+      token: botToken(channel)
+    }),
+    { channel }
+  );
+  const threadTs = root.ts;
+  recordScheduleThread(id, threadTs);
+
+  const postInThread = (text) => slackRateLimiter.sendMessage(() =>
+    slackClient.chat.postMessage({ channel, thread_ts: threadTs, text, token: botToken(channel) }),
+    { channel }
+  );
+
+  // Re-check the creator's access and budget on every run - either may have changed since
+  const access = await authorizeInChannel(createdBy, channel, app.client);
+  if (!access.allowed) {
+    audit('denied', { userId: createdBy, channel, threadTs, prompt, scheduleId: id, reason: access.reason });
+    await postInThread(`🚫 *Skipped* - <@${createdBy}> is no longer allowed to run tasks here (${access.reason}).`);
+    return;
+  }
 
-    // Send response with inline session info (only for first reply in thread)
-    let responseText = response.response || response;
+  if (approvalsEnabled() && !access.role && access.permissionMode === 'bypassPermissions') {
+    access.permissionMode = 'default';
+  }
 
-    if (response.sessionId && !threadsWithSessionInfo.has(threadTs)) {
-      responseText += `\n\n🆔 *Session:* \`${response.sessionId}\` | _Resume: \`claude --resume ${response.sessionId}\`_`;
-      threadsWithSessionInfo.add(threadTs);
-    }
+  const budget = checkBudget({ userId: createdBy, channel });
+  if (!budget.allowed) {
+    audit('denied', { userId: createdBy, channel, threadTs, prompt, scheduleId: id, reason: 'budget exceeded' });
+    await postInThread(`💸 *Skipped - budget exceeded*\n\n${budget.exceeded.map(line => `• ${line}`).join('\n')}`);
+    return;
+  }
+
+  audit('request', { userId: createdBy, channel, threadTs, messageTs: threadTs, role: access.role || null, permissionMode: access.permissionMode, prompt, files: [], scheduleId: id });
 
-    await say({ text: responseText.slice(0, 3000), thread_ts: threadTs });
+  await scheduleRun({ threadTs, channel, userId: createdBy, ref: threadTs, prompt }, () =>
+    askClaudeAsync(prompt, prompt, channel, threadTs, app.client, createdBy, access)
+  );
+}
 
-    await client.reactions.remove({
-      channel: channel,
-      timestamp: event.ts,
-      name: "brain"
-    }).catch(() => {});
+// Task API (POST /tasks): post the prompt as a new thread, run it like a mention, then send the
+// outcome to the task's callback URL. Runs use TASK_API_USER's access policy and budgets.
+async function submitApiTask(task) {
+  const { id, prompt, channel } = task;
+  const userId = process.env.TASK_API_USER || null;
+  const clientError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+  // "team" only introduces channels the bridge hasn't seen; a known channel keeps its team
+  const knownTeam = teamForChannel(channel);
+  if (task.team && knownTeam && task.team !== knownTeam) {
+    throw clientError(400, `Channel ${channel} belongs to team ${knownTeam}, not ${task.team}`);
+  }
+  if (task.team && !knownTeam) rememberChannelTeam(channel, { teamId: task.team });
+  const teamId = teamForChannel(channel);
+
+  const workspace = task.workspace ? getWorkspace(task.workspace, teamId) : resolveWorkspace(channel, teamId);
+  if (!workspace) throw clientError(400, `Unknown workspace "${task.workspace}"`);
+
+  const access = await authorizeInChannel(userId, channel, app.client);
+  if (!access.allowed) {
+    audit('denied', { userId, channel, prompt, taskId: id, reason: access.reason });
+    throw clientError(403, `Access denied: ${access.reason}`);
+  }
 
-    await client.reactions.add({
-      channel: channel,
-      timestamp: event.ts,
-      name: "white_check_mark"
-    }).catch(() => {});
+  if (approvalsEnabled() && !access.role && access.permissionMode === 'bypassPermissions') {
+    access.permissionMode = 'default';
   }
+
+  const budget = checkBudget({ userId, channel });
+  if (!budget.allowed) {
+    audit('denied', { userId, channel, prompt, taskId: id, reason: 'budget exceeded' });
+    throw clientError(429, `Budget exceeded: ${budget.exceeded.join('; ')}`);
+  }
+
+  const root = await slackRateLimiter.sendMessage(() =>
+    slackClient.chat.postMessage({
+      channel,
+      text: `🛰️ *Task from the API* \`${id}\`${userId ? ` (as <@${userId}>)` : ''} - workspace \`${workspace.name}\`\n> ${prompt.replace(/\n/g, '\n> ')}`,
+      token: botToken(channel)
+    }),
+    { channel }
+  ).catch(error => {
+    throw clientError(502, `Couldn't post to ${channel}: ${error.data?.error || error.message}`);
+  });
+  const threadTs = root.ts;
+  const threadUrl = (await app.client.chat.getPermalink({ channel, message_ts: threadTs, token: botToken(channel) })
+    .catch(() => ({}))).permalink || null;
+
+  // Bind the thread to the requested workspace before its first run
+  recordSession(threadTs, { channel, userId, sessionId: null, status: 'queued', workspace: workspace.name });
+  audit('request', { userId, channel, threadTs, messageTs: threadTs, role: access.role || null, permissionMode: access.permissionMode, prompt, files: [], taskId: id });
+
+  const finish = async (fields) => {
+    const finished = updateTask(id, { ...fields, finishedAt: new Date().toISOString() });
+    console.log(`[TASK-API] Task ${id} ${finished.status}`);
+    if (finished.callbackUrl) {
+      await deliverCallback(finished.callbackUrl, finished, { secret: process.env.TASK_API_TOKEN });
+    }
+  };
+
+  // The client gets the thread link now; the run itself continues in the background
+  scheduleRun({ threadTs, channel, userId, ref: threadTs, prompt }, () => {
+    updateTask(id, { status: 'running' });
+    return askClaudeAsync(prompt, prompt, channel, threadTs, app.client, userId, access);
+  })
+    .then(({ cancelled, result: outcome }) => finish(cancelled
+      ? { status: 'cancelled' }
+      : {
+        ...outcome,
+        resumeCommand: outcome?.backend === 'cli' && outcome.sessionId ? `claude --resume ${outcome.sessionId}` : null
+      }))
+    .catch(error => finish({ status: 'failed', error: error.message }))
+    .catch(error => console.error(`[TASK-API] Failed to finish task ${id}:`, error.message));
+
+  return { threadTs, threadUrl };
 }
 
 // Handle regular channel messages (auto-respond channels)
@@ -625,7 +1422,7 @@ app.event("message", async ({ event, say, client }) => {
     if (event.bot_id || event.subtype === 'bot_message') return;
 
     // Only respond in configured auto-respond channels
-    if (!autoRespondChannels.has(event.channel)) return;
+    if (!autoRespondChannels.has(event.channel) && !teamAutoChannels(teamForChannel(event.channel)).includes(event.channel)) return;
 
     const messageType = event.thread_ts ? 'thread reply' : 'channel message';
     console.log(`[AUTO-CHANNEL] ${messageType} in ${event.channel}`);
@@ -648,6 +1445,489 @@ app.event("app_mention", async ({ event, say, client }) => {
   }
 });
 
+// Block Kit prompt for a pending tool approval
+function buildApprovalBlocks(approval) {
+  const inputStr = JSON.stringify(approval.input, null, 2);
+  const displayInput = inputStr.length > 500 ? inputStr.slice(0, 500) + '...' : inputStr;
+
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `🔐 *Approval needed:* \`${approval.toolName}\`\n\`\`\`${displayInput}\`\`\``
+      }
+    },
+    {
+      type: 'actions',
+      block_id: 'tool_approval',
+      elements: [
+        { type: 'button', action_id: 'tool_approve', text: { type: 'plain_text', text: 'Approve' }, style: 'primary', value: approval.id },
+        { type: 'button', action_id: 'tool_deny', text: { type: 'plain_text', text: 'Deny' }, style: 'danger', value: approval.id },
+        { type: 'button', action_id: 'tool_always', text: { type: 'plain_text', text: `Always allow ${approval.toolName} in this thread` }, value: approval.id }
+      ]
+    }
+  ];
+}
+
+const APPROVAL_OUTCOMES = {
+  approve: (userId) => `✅ Approved by <@${userId}>`,
+  always: (userId) => `✅ Always allowed in this thread by <@${userId}>`,
+  deny: (userId) => userId ? `🚫 Denied by <@${userId}>` : '🚫 Denied',
+  timeout: () => '⌛ No response in time - denied'
+};
+
+// Post approval prompts into the run's thread and replace the buttons once decided
+const approvalHandlers = {
+  onRequest: async (approval) => {
+    const result = await slackRateLimiter.sendMessage(() =>
+      slackClient.chat.postMessage({
+        channel: approval.channel,
+        thread_ts: approval.threadTs,
+        text: `🔐 Approval needed: ${approval.toolName}`,
+        blocks: buildApprovalBlocks(approval),
+        token: botToken(approval.channel)
+      }),
+      { channel: approval.channel, priority: PRIORITY.HIGH }
+    );
+    return result.ts;
+  },
+
+  onResolved: async (approval, decision, userId) => {
+    if (!approval.messageTs) return;
+
+    const outcome = APPROVAL_OUTCOMES[decision](userId);
+    await slackRateLimiter.sendMessage(() =>
+      slackClient.chat.update({
+        channel: approval.channel,
+        ts: approval.messageTs,
+        text: `${approval.toolName}: ${outcome}`,
+        blocks: [
+          buildApprovalBlocks(approval)[0],
+          { type: 'context', elements: [{ type: 'mrkdwn', text: outcome }] }
+        ],
+        token: botToken(approval.channel)
+      }),
+      { method: 'chat.update' }
+    );
+  }
+};
+
+// Handle Approve / Deny / Always-allow clicks on tool approval prompts
+app.action(/^tool_(approve|deny|always)$/, async ({ ack, body, action, client }) => {
+  await ack();
+
+  try {
+    const approval = getPendingApproval(action.value);
+    const userId = body.user.id;
+
+    if (!approval) {
+      await client.chat.postEphemeral({
+        channel: body.channel.id,
+        user: userId,
+        text: 'ℹ️ This approval request has already been handled.'
+      });
+      return;
+    }
+
+    // Only users who could drive the agent with edits themselves may approve
+    const access = await authorizeInChannel(userId, approval.channel, client);
+    if (!access.allowed || access.permissionMode === 'plan') {
+      console.warn(`[ACCESS] User ${userId} may not decide approvals in ${approval.channel}: ${access.reason || 'read-only role'}`);
+      await client.chat.postEphemeral({
+        channel: approval.channel,
+        user: userId,
+        thread_ts: approval.threadTs,
+        text: '🚫 You are not allowed to approve tool calls in this channel.'
+      });
+      return;
+    }
+
+    settleApproval(approval.id, action.action_id.replace('tool_', ''), userId);
+  } catch (error) {
+    console.error('[APPROVAL ERROR]', error);
+  }
+});
+
+// Handle Interrupt / Remove clicks on queued follow-ups
+app.action(/^followup_(interrupt|remove)$/, async ({ ack, body, action, client }) => {
+  await ack();
+
+  try {
+    const { threadTs, ref } = JSON.parse(action.value);
+    const userId = body.user.id;
+    const channel = body.channel.id;
+
+    const access = await authorizeInChannel(userId, channel, client);
+    if (!access.allowed) {
+      console.warn(`[ACCESS] User ${userId} may not manage follow-ups in ${channel}: ${access.reason}`);
+      await client.chat.postEphemeral({
+        channel,
+        user: userId,
+        thread_ts: threadTs,
+        text: `🚫 *Not authorized* - ${access.reason}.`
+      });
+      return;
+    }
+
+    if (action.action_id === 'followup_remove') {
+      if (!runQueue.remove(ref)) {
+        await client.chat.postEphemeral({ channel, user: userId, thread_ts: threadTs, text: 'ℹ️ This follow-up has already started or was removed.' });
+      }
+      return;
+    }
+
+    // Interrupt: this follow-up goes next, and the current run is stopped (its session is kept for --resume)
+    if (!runQueue.prioritize(ref)) {
+      await client.chat.postEphemeral({ channel, user: userId, thread_ts: threadTs, text: 'ℹ️ This follow-up has already started or was removed.' });
+      return;
+    }
+
+    const session = threadSessions.get(threadTs);
+    if (session && session.run) {
+      console.log(`[QUEUE] Follow-up ${ref} interrupts the run in thread ${threadTs.slice(-8)} (by ${userId})`);
+      await session.run.cancel();
+    }
+
+    await slackRateLimiter.sendMessage(() =>
+      slackClient.chat.postMessage({
+        channel,
+        thread_ts: threadTs,
+        text: `⚡ *Interrupted* by <@${userId}> - switching to the follow-up.`,
+        token: botToken(channel)
+      }),
+      { channel }
+    );
+  } catch (error) {
+    console.error('[FOLLOWUP ERROR]', error);
+  }
+});
+
+// Workspace URL of each team, for thread links (auth.test with the team's token, cached)
+const teamUrls = new Map(); // team ID -> URL
+
+async function teamUrlFor(client, { teamId, botToken: token }) {
+  if (teamUrls.has(teamId)) return teamUrls.get(teamId);
+
+  const identity = await client.auth.test({ token }).catch(() => ({}));
+  if (identity.url) teamUrls.set(teamId, identity.url);
+  return identity.url || null;
+}
+
+// App Home: the user's runs with Stop / Open thread buttons; admins also see load and queued work
+async function publishHome(userId, client, context, { notice = null } = {}) {
+  const { teamId, botToken: token } = context;
+  const { running, queued } = runQueue.snapshot();
+  const admin = await isAdmin(userId, client, { teamId, token });
+
+  const view = buildHomeView({
+    runs: collectUserRuns(userId, {
+      sessions: [...threadSessions.entries()],
+      queued,
+      statusOf: (threadTs) => getStoredSession(threadTs)?.status
+    }),
+    teamUrl: await teamUrlFor(client, context),
+    notice,
+    load: admin
+      ? {
+        // Only the admin's own team: other teams' channels and users are not theirs to see
+        running: running.filter(job => inTeam(job.channel, teamId)),
+        queued: queued.filter(job => inTeam(job.channel, teamId)),
+        maxConcurrent: runQueue.maxConcurrent,
+        sessions: [...threadSessions.values()].filter(session => inTeam(session.channel, teamId)).length,
+        slackQueue: slackRateLimiter.queue.length
+      }
+      : null
+  });
+
+  await slackRateLimiter.sendMessage(() =>
+    slackClient.views.publish({ user_id: userId, view, token }),
+    { method: 'views.publish', key: `home:${userId}` }
+  );
+}
+
+app.event('app_home_opened', async ({ event, context, client }) => {
+  if (event.tab !== 'home') return;
+
+  try {
+    await publishHome(event.user, client, context);
+  } catch (error) {
+    console.error('[HOME ERROR]', error.data?.error || error.message);
+  }
+});
+
+// Link buttons still send an action, which must be acknowledged
+app.action(HOME_OPEN_ACTION, async ({ ack }) => {
+  await ack();
+});
+
+// Stop from the Home tab: drop the thread's queued runs and cancel the running one (the session is kept)
+app.action(HOME_STOP_ACTION, async ({ ack, body, action, context, client }) => {
+  await ack();
+
+  try {
+    const threadTs = action.value;
+    const userId = body.user.id;
+    const session = threadSessions.get(threadTs);
+    const job = runQueue.snapshot().queued.find(queuedJob => queuedJob.id === threadTs);
+    const owner = session?.userId || job?.userId;
+    const channel = session?.channel || job?.channel;
+    let notice = null;
+
+    // Admins may stop other people's runs, but only in their own team
+    if (owner !== userId && !(inTeam(channel, context.teamId) && await isAdmin(userId, client, { teamId: context.teamId, token: context.botToken }))) {
+      console.warn(`[ACCESS] User ${userId} may not stop thread ${threadTs.slice(-8)}`);
+      notice = '🚫 Only admins or the user who started a run can stop it.';
+    } else {
+      const dropped = runQueue.cancel(threadTs);
+      if (!session?.run && dropped === 0) notice = 'ℹ️ Nothing to stop - this run has already finished.';
+
+      if (session?.run) {
+        console.log(`[HOME] ${userId} stopped the run in thread ${threadTs.slice(-8)}`);
+        await session.run.cancel();
+
+        await slackRateLimiter.sendMessage(() =>
+          slackClient.chat.postMessage({
+            channel: session.channel,
+            thread_ts: threadTs,
+            text: `🛑 *Stopped* by <@${userId}> from the App Home.${dropped > 0 ? ` ${dropped} queued follow-up(s) dropped.` : ''}`,
+            token: botToken(session.channel)
+          }),
+          { channel: session.channel, priority: PRIORITY.HIGH }
+        );
+      }
+    }
+
+    await publishHome(userId, client, context, { notice });
+  } catch (error) {
+    console.error('[HOME ERROR]', error.data?.error || error.message);
+  }
+});
+
+// The bot's own user ID with a single token (filled in after connecting)
+let botUserId = null;
+
+// Handle /ai slash command - session administration
+app.command('/ai', async ({ command, ack, respond, client, context }) => {
+  await ack();
+
+  const reply = (text) => respond(redactPayload({ response_type: 'ephemeral', text }, 'respond'));
+
+  try {
+    const { name, input, args } = parseAiCommand(command.text);
+    const access = await authorizeInChannel(command.user_id, command.channel_id, client);
+
+    if (!access.allowed) {
+      console.warn(`[ACCESS] Denied /ai ${input} for user ${command.user_id} in ${command.channel_id}: ${access.reason}`);
+      await reply(`🚫 *Not authorized* - ${access.reason}.`);
+      return;
+    }
+
+    if (!name) {
+      await reply(`❓ Unknown subcommand \`${input}\`\n\n${formatAiHelp()}`);
+      return;
+    }
+
+    if (AI_SUBCOMMANDS[name].admin && !access.admin) {
+      console.warn(`[ACCESS] Denied admin command /ai ${name} for user ${command.user_id}`);
+      await reply(`🚫 \`/ai ${name}\` is restricted to admins.`);
+      return;
+    }
+
+    console.log(`[COMMAND] /ai ${name} ${args.join(' ')} by ${command.user_id}`);
+
+    const teamId = context.teamId;
+
+    switch (name) {
+      case 'status': {
+        // Non-admins only see their own threads (others may be in channels or DMs they can't read)
+        const visible = (channel, owner) => inTeam(channel, teamId) && (access.admin || owner === command.user_id);
+        await reply(formatStatus(
+          [...threadSessions.entries()].filter(([, session]) => visible(session.channel, session.userId)),
+          { teamUrl: await teamUrlFor(client, context), queued: runQueue.snapshot().queued.filter(job => visible(job.channel, job.userId)) }
+        ));
+        break;
+      }
+
+      case 'kill': {
+        const threadTs = parseThreadRef(args[0]);
+        if (!threadTs) {
+          await reply(`Usage: \`${AI_SUBCOMMANDS.kill.usage}\``);
+          break;
+        }
+
+        const session = threadSessions.get(threadTs);
+        if (!session || !inTeam(session.channel, teamId)) {
+          await reply(`ℹ️ No session found for thread \`${threadTs}\`.`);
+          break;
+        }
+
+        if (!access.admin && session.userId !== command.user_id) {
+          await reply('🚫 Only admins or the user who started this thread can kill it.');
+          break;
+        }
+
+        await cleanupThreadSession(threadTs, `killed by ${command.user_id}`);
+
+        if (session.channel) {
+          await slackRateLimiter.sendMessage(() =>
+            slackClient.chat.postMessage({
+              channel: session.channel,
+              thread_ts: threadTs,
+              text: `🛑 *Session Closed* by <@${command.user_id}> via \`/ai kill\`.`,
+              token: botToken(session.channel)
+            }),
+            { channel: session.channel }
+          ).catch(e => console.error('[COMMAND] Failed to notify thread:', e.message));
+        }
+
+        await reply(`🛑 Killed session for thread \`${threadTs}\`.`);
+        break;
+      }
+
+      case 'resume': {
+        const sessionId = args[0];
+        if (!sessionId || !/^[\w-]+$/.test(sessionId)) {
+          await reply(`Usage: \`${AI_SUBCOMMANDS.resume.usage}\``);
+          break;
+        }
+
+        // Start a new thread in this channel bound to the existing session
+        const workspace = resolveWorkspace(command.channel_id, teamForChannel(command.channel_id));
+        const result = await slackRateLimiter.sendMessage(() =>
+          slackClient.chat.postMessage({
+            channel: command.channel_id,
+            text: `🔗 *Session attached* by <@${command.user_id}>\n\n🆔 \`${sessionId}\`\n🗂️ Workspace: \`${workspace.name}\`\n_Reply in this thread to continue the session._`,
+            token: botToken(command.channel_id)
+          }),
+          { channel: command.channel_id }
+        );
+
+        threadSessions.set(result.ts, {
+          sessionId,
+          run: null,
+          startTime: Date.now(),
+          lastActivity: Date.now(),
+          type: 'restored',
+          channel: command.channel_id,
+          userId: command.user_id,
+          workspace: workspace.name
+        });
+        threadsWithSessionInfo.add(result.ts);
+        recordSession(result.ts, {
+          channel: command.channel_id,
+          userId: command.user_id,
+          sessionId,
+          status: 'idle',
+          workspace: workspace.name,
+          sessionInfoShown: true
+        });
+
+        console.log(`[SESSION] Session ${sessionId.slice(0, 8)}... attached to new thread ${result.ts.slice(-8)}`);
+        await reply(`🔗 Attached session \`${sessionId}\` to a new thread in <#${command.channel_id}>.`);
+        break;
+      }
+
+      case 'usage': {
+        const period = USAGE_PERIODS[(args[0] || 'today').toLowerCase()];
+        if (!period) {
+          await reply(`Usage: \`${AI_SUBCOMMANDS.usage.usage}\``);
+          break;
+        }
+
+        await reply(formatUsageReport(
+          usageReport({ period, teamId: oauthEnabled() ? teamId : null }),
+          { onlyUser: access.admin ? null : command.user_id }
+        ));
+        break;
+      }
+
+      case 'schedule': {
+        const parsed = parseScheduleArgs(args);
+        if (parsed.error) {
+          await reply(parsed.error);
+          break;
+        }
+
+        if (parsed.action === 'list') {
+          await reply(formatSchedules(
+            listSchedules().filter(schedule => inTeam(schedule.channel, teamId)),
+            { teamUrl: await teamUrlFor(client, context) }
+          ));
+          break;
+        }
+
+        if (parsed.action === 'add') {
+          const channel = parsed.channel || command.channel_id;
+          if (teamForChannel(channel) && !inTeam(channel, teamId)) {
+            await reply(`🚫 <#${channel}> belongs to another Slack workspace.`);
+            break;
+          }
+          rememberChannelTeam(channel, context);
+
+          const channelAccess = channel === command.channel_id ? access : await authorizeInChannel(command.user_id, channel, client);
+          if (!channelAccess.allowed) {
+            await reply(`🚫 You can't run tasks in <#${channel}>: ${channelAccess.reason}.`);
+            break;
+          }
+
+          let schedule;
+          try {
+            schedule = addSchedule({ cron: parsed.cron, channel, prompt: parsed.prompt, createdBy: command.user_id });
+          } catch (error) {
+            await reply(`❌ ${error.message}\n\nUsage: \`${AI_SUBCOMMANDS.schedule.usage}\``);
+            break;
+          }
+
+          await reply(`⏰ Scheduled \`${schedule.id}\` (\`${schedule.cron}\`) in <#${channel}> - first run <!date^${Math.floor(schedule.nextRunAt / 1000)}^{date_short_pretty} at {time}|${new Date(schedule.nextRunAt).toISOString()}>. The bot must be a member of the channel.`);
+          break;
+        }
+
+        // Schedules of other teams don't exist as far as this team is concerned
+        const existing = getSchedule(parsed.id);
+        if (!existing || !inTeam(existing.channel, teamId)) {
+          await reply(`ℹ️ No schedule \`${parsed.id}\`.`);
+          break;
+        }
+
+        if (parsed.action === 'delete') {
+          deleteSchedule(parsed.id);
+          await reply(`🗑️ Deleted schedule \`${parsed.id}\`.`);
+          break;
+        }
+
+        const schedule = setSchedulePaused(parsed.id, parsed.action === 'pause');
+        await reply(schedule.paused ? `⏸️ Paused schedule \`${schedule.id}\`.` : `▶️ Resumed schedule \`${schedule.id}\`.`);
+        break;
+      }
+
+      case 'config':
+        await reply(formatConfig({
+          backend: {
+            configured: process.env.AGENT_BACKEND || 'auto',
+            channel: resolveBackend(command.channel_id).name
+          },
+          autoRespondChannels: [...autoRespondChannels, ...teamAutoChannels(teamForChannel(command.channel_id))],
+          sessionTtl: SESSION_TTL,
+          approvals: { enabled: approvalsEnabled(), timeoutSeconds: APPROVAL_TIMEOUT / 1000 },
+          budgets: getBudgets(),
+          workspaces: listWorkspaces(teamForChannel(command.channel_id)),
+          accessPolicy: getAccessPolicySummary(teamForChannel(command.channel_id)),
+          installations: oauthEnabled()
+            ? listInstallations().filter(installation => [context.teamId, context.enterpriseId].includes(installation.id))
+            : null
+        }));
+        break;
+
+      default:
+        await reply(formatAiHelp());
+    }
+  } catch (error) {
+    console.error('[COMMAND ERROR]', error);
+    await reply(`❌ Error: ${error.message}`).catch(console.error);
+  }
+});
+
 // Handle message deletions - cleanup associated sessions
 app.event("message_metadata_deleted", async ({ event }) => {
   try {
@@ -661,13 +1941,17 @@ app.event("message_metadata_deleted", async ({ event }) => {
   }
 });
 
-// Monitor sessions and cleanup orphans
+// Monitor sessions and prune expired ones
 setInterval(async () => {
+  const { running, queued } = runQueue.snapshot();
+  if (running.length > 0 || queued.length > 0) {
+    console.log(`[QUEUE] ${running.length} running, ${queued.length} queued`);
+  }
+
   if (threadSessions.size > 0) {
     console.log(`[STATUS] ${threadSessions.size} active sessions`);
 
     const now = Date.now();
-    const ORPHAN_TIMEOUT = 2 * 60 * 60 * 1000; // 2 hours
 
     for (const [threadId, session] of threadSessions.entries()) {
       const elapsed = ((now - session.startTime) / 1000).toFixed(0);
@@ -675,16 +1959,72 @@ setInterval(async () => {
 
       console.log(`  - Thread ${threadId.slice(-6)}: ${session.type}, ${elapsed}s elapsed, idle ${idle}m, session ${session.sessionId?.slice(0, 8) || 'pending'}...`);
 
-      // Detect and cleanup orphan processes (inactive for > 2 hours)
-      if (now - session.lastActivity > ORPHAN_TIMEOUT) {
-        console.log(`[ORPHAN] Detected orphan session for thread ${threadId.slice(-8)}, idle ${idle}m - cleaning up`);
-        await cleanupThreadSession(threadId, 'orphan timeout');
+      // Expire sessions (and any process still attached) past the TTL
+      if (now - session.lastActivity > SESSION_TTL) {
+        console.log(`[TTL] Session for thread ${threadId.slice(-8)} idle ${idle}m - expiring`);
+        await cleanupThreadSession(threadId, 'ttl expired');
       }
     }
   }
+
+  // Drop stored records that never made it into memory (e.g. no session ID)
+  pruneStoredSessions(SESSION_TTL);
 }, 2 * 60 * 1000); // Status every 2 minutes
 
-app.start().then(() => {
+loadWorkspaces();
+loadAccessPolicy();
+loadTeams();
+loadRedactionRules();
+if (oauthEnabled()) {
+  loadInstallations();
+  console.log(`[CONFIG] Multi-workspace mode - install at http://<host>:${process.env.SLACK_OAUTH_PORT || 3000}/slack/install`);
+}
+loadUsageStore();
+restoreThreadSessions();
+loadSchedules();
+
+registerGauge('active_sessions', 'Thread sessions held in memory', () => threadSessions.size);
+registerGauge('active_runs', 'Agent runs in progress', () => runQueue.snapshot().running.length);
+registerGauge('queued_runs', 'Agent runs waiting in the run queue', () => runQueue.snapshot().queued.length);
+registerGauge('slack_queue_depth', 'Slack messages waiting in the rate limiter', () => slackRateLimiter.queue.length);
+registerGauge('socket_mode_connected', 'Whether the Socket Mode connection is up (1/0)', () => (app.receiver.client.connected ? 1 : 0));
+
+// Optional HTTP API for submitting tasks (TASK_API_PORT + TASK_API_TOKEN)
+function startTaskApi() {
+  if (!process.env.TASK_API_PORT) return Promise.resolve();
+
+  return startTaskApiServer({
+    port: parseInt(process.env.TASK_API_PORT, 10),
+    host: process.env.TASK_API_HOST || '127.0.0.1',
+    token: process.env.TASK_API_TOKEN,
+    onSubmit: submitApiTask
+  });
+}
+
+// Optional /healthz and /metrics endpoint for monitoring
+function startMonitoring() {
+  if (!process.env.METRICS_PORT) return Promise.resolve();
+
+  return startMetricsServer({
+    port: parseInt(process.env.METRICS_PORT, 10),
+    host: process.env.METRICS_HOST || '127.0.0.1',
+    checks: {
+      socketMode: () => app.receiver.client.connected,
+      // API-only deployments don't need the CLI binary
+      ...(process.env.AGENT_BACKEND !== 'sdk' && { cli: isCliAvailable })
+    }
+  });
+}
+
+(approvalsEnabled() ? startApprovalServer(approvalHandlers) : Promise.resolve()).then(startMonitoring).then(() => app.start()).then(startTaskApi).then(async () => {
+  // With OAuth there is no default token: team URLs are looked up per team on first use
+  if (!oauthEnabled()) {
+    const identity = await app.client.auth.test().catch(() => ({}));
+    if (identity.url) teamUrls.set(identity.team_id, identity.url);
+    botUserId = identity.user_id || null;
+  }
+  startScheduler(runScheduledTask);
+
   console.log('╔═══════════════════════════════════════════════════╗');
   console.log('║  🧠 Slack-Claude Bridge v3.0.0                    ║');
   console.log('║                                                   ║');
@@ -692,12 +2032,31 @@ app.start().then(() => {
   console.log('║  ✅ Auto-respond in configured channels           ║');
   console.log('║  ✅ Type "close" to stop & cleanup                ║');
   console.log('║  ✅ Robust process cleanup (SIGTERM/SIGKILL)      ║');
-  console.log('║  ✅ Orphan detection & auto-cleanup               ║');
+  console.log('║  ✅ CLI backend with Anthropic API fallback       ║');
+  console.log('║  ✅ Sessions persisted across restarts (TTL)      ║');
   console.log('║  ✅ Structured JSON streaming                     ║');
-  console.log('║  ✅ Rate-limited Slack API (1 msg/sec)            ║');
+  console.log('║  ✅ Slack rate limits per channel, 429 retries    ║');
   console.log('║  ✅ Session inline with first reply               ║');
+  console.log('║  ✅ Thread history as context when no session     ║');
   console.log('║  ✅ Real-time tool execution updates              ║');
-  console.log('║  ✅ Docker-aware for backend tests                ║');
+  console.log('║  ✅ Secrets redacted from everything posted       ║');
+  console.log('║  ✅ Per-channel workspaces & system context       ║');
+  console.log('║  ✅ OAuth install into many Slack teams           ║');
+  console.log('║  ✅ Optional git worktree & branch per thread     ║');
+  console.log('║  ✅ Access policy & role-based permission modes   ║');
+  console.log('║  ✅ Slack button approvals for risky tool calls   ║');
+  console.log('║  ✅ /ai status | kill | resume | usage | config   ║');
+  console.log('║  ✅ App Home: your runs, Stop & Open thread       ║');
+  console.log('║  ✅ Cron-scheduled tasks (/ai schedule)           ║');
+  console.log('║  ✅ HTTP task API for CI with result callbacks    ║');
+  console.log('║  ✅ Fair run queue with concurrency limits        ║');
+  console.log('║  ✅ Live progress message mode (per channel)      ║');
+  console.log('║  ✅ Slack file attachments passed to the agent    ║');
+  console.log('║  ✅ Changed files & diff posted after each run    ║');
+  console.log('║  ✅ Token/cost accounting with budgets            ║');
+  console.log('║  ✅ JSONL audit log of requests and tool calls    ║');
+  console.log('║  ✅ /healthz & Prometheus /metrics (optional)     ║');
+  console.log('║  ✅ Long runs move to background (or bg: prefix)  ║');
   console.log('╚═══════════════════════════════════════════════════╗');
   console.log('Ready! Claude manages context natively via --resume.');
 });
@@ -0,0 +1,207 @@
+/**
+ * Health check and Prometheus metrics for Slack-Claude Bridge
+ * Optional local HTTP server (METRICS_PORT) with:
+ *   GET /healthz - 200 when every health check passes (Socket Mode connected, CLI reachable), 503 otherwise
+ *   GET /metrics - Prometheus text exposition format
+ *
+ * Counters and the run duration histogram are updated from index.js; gauges are
+ * read from callbacks when scraped, so they always reflect the live state.
+ */
+
+const http = require('http');
+
+const PREFIX = 'slack_bridge_';
+const DURATION_BUCKETS = [5, 15, 30, 60, 120, 300, 600, 1800, 3600]; // seconds
+
+const COUNTERS = {
+  runs_started_total: 'Agent runs started',
+  runs_promoted_total: 'Interactive runs moved to the background after the promotion threshold',
+  runs_completed_total: 'Agent runs that exited with code 0',
+  runs_failed_total: 'Agent runs that failed to start or exited non-zero',
+  slack_api_errors_total: 'Failed Slack API calls',
+  orphan_cleanups_total: 'Agent runs still attached when their session was cleaned up'
+};
+
+// name -> Map(labelKey -> { labels, value })
+const counters = new Map();
+// labelKey -> { labels, counts: [per bucket], sum, count }
+const durations = new Map();
+// name -> { help, read() -> number }
+const gauges = new Map();
+
+let server = null;
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+/**
+ * Increment a counter
+ * @param {string} name - One of COUNTERS (without prefix)
+ * @param {Object} [labels] - Label values, e.g. { backend: 'cli' }
+ */
+function incCounter(name, labels = {}) {
+  if (!COUNTERS[name]) throw new Error(`Unknown counter: ${name}`);
+
+  const series = counters.get(name) || counters.set(name, new Map()).get(name);
+  const key = labelKey(labels);
+  const entry = series.get(key) || { labels, value: 0 };
+  entry.value += 1;
+  series.set(key, entry);
+}
+
+/**
+ * Record how long a run took
+ * @param {number} seconds - Run duration
+ * @param {Object} [labels] - e.g. { mode: 'background', outcome: 'completed' }
+ */
+function observeRunDuration(seconds, labels = {}) {
+  const key = labelKey(labels);
+  const entry = durations.get(key) || { labels, counts: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+
+  DURATION_BUCKETS.forEach((bound, i) => {
+    if (seconds <= bound) entry.counts[i] += 1;
+  });
+  entry.sum += seconds;
+  entry.count += 1;
+  durations.set(key, entry);
+}
+
+/**
+ * Register a gauge read at scrape time
+ * @param {string} name - Metric name (without prefix)
+ * @param {string} help - Description
+ * @param {Function} read - Returns the current value
+ */
+function registerGauge(name, help, read) {
+  gauges.set(name, { help, read });
+}
+
+/**
+ * All metrics in Prometheus text format
+ * @returns {string}
+ */
+function renderMetrics() {
+  const lines = [];
+
+  for (const [name, { help, read }] of gauges) {
+    let value;
+    try {
+      value = Number(read()) || 0;
+    } catch (error) {
+      console.error(`[METRICS] Gauge ${name} failed:`, error.message);
+      continue;
+    }
+    lines.push(`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} gauge`, `${PREFIX}${name} ${value}`);
+  }
+
+  for (const [name, help] of Object.entries(COUNTERS)) {
+    lines.push(`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} counter`);
+    for (const { labels, value } of (counters.get(name) || new Map()).values()) {
+      lines.push(`${PREFIX}${name}${formatLabels(labels)} ${value}`);
+    }
+  }
+
+  const histogram = `${PREFIX}run_duration_seconds`;
+  lines.push(`# HELP ${histogram} Agent run duration`, `# TYPE ${histogram} histogram`);
+  for (const { labels, counts, sum, count } of durations.values()) {
+    DURATION_BUCKETS.forEach((bound, i) => {
+      lines.push(`${histogram}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+    });
+    lines.push(`${histogram}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+    lines.push(`${histogram}_sum${formatLabels(labels)} ${sum}`);
+    lines.push(`${histogram}_count${formatLabels(labels)} ${count}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Run the health checks
+ * @param {Object} checks - name -> () => boolean
+ * @returns {{ healthy: boolean, checks: Object }}
+ */
+function runHealthChecks(checks) {
+  const results = {};
+
+  for (const [name, check] of Object.entries(checks)) {
+    try {
+      results[name] = Boolean(check());
+    } catch (error) {
+      results[name] = false;
+    }
+  }
+
+  return { healthy: Object.values(results).every(Boolean), checks: results };
+}
+
+/**
+ * Start the /healthz and /metrics server
+ * @param {Object} options - { port, host, checks: { name: () => boolean } }
+ * @returns {Promise<string>} Base URL
+ */
+function startMetricsServer({ port, host = '127.0.0.1', checks = {} }) {
+  server = http.createServer((req, res) => {
+    const url = req.url.split('?')[0];
+
+    if (req.method !== 'GET') {
+      res.writeHead(405).end();
+    } else if (url === '/healthz') {
+      const { healthy, checks: results } = runHealthChecks(checks);
+      res.writeHead(healthy ? 200 : 503, { 'Content-Type': 'application/json' })
+        .end(JSON.stringify({ status: healthy ? 'ok' : 'unhealthy', checks: results }));
+    } else if (url === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' }).end(renderMetrics());
+    } else {
+      res.writeHead(404).end();
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const url = `http://${host}:${server.address().port}`;
+      console.log(`[METRICS] Health and metrics endpoint listening on ${url}`);
+      resolve(url);
+    });
+  });
+}
+
+/**
+ * Stop the server (for testing and shutdown)
+ * @returns {Promise<void>}
+ */
+function stopMetricsServer() {
+  if (!server) return Promise.resolve();
+  return new Promise((resolve) => {
+    server.close(() => resolve());
+    server = null;
+  });
+}
+
+/**
+ * Forget all recorded values and gauges (for testing)
+ */
+function resetMetrics() {
+  counters.clear();
+  durations.clear();
+  gauges.clear();
+}
+
+module.exports = {
+  incCounter,
+  observeRunDuration,
+  registerGauge,
+  renderMetrics,
+  runHealthChecks,
+  startMetricsServer,
+  stopMetricsServer,
+  resetMetrics
+};
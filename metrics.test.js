@@ -0,0 +1,100 @@
+/**
+ * Test suite for the health check and Prometheus metrics endpoint
+ */
+
+const {
+  incCounter,
+  observeRunDuration,
+  registerGauge,
+  renderMetrics,
+  runHealthChecks,
+  startMetricsServer,
+  stopMetricsServer,
+  resetMetrics
+} = require('./metrics');
+
+describe('Metrics', () => {
+  beforeEach(() => {
+    resetMetrics();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await stopMetricsServer();
+    jest.restoreAllMocks();
+  });
+
+  describe('renderMetrics', () => {
+    test('should render counters per label set', () => {
+      incCounter('runs_started_total', { mode: 'async', backend: 'cli' });
+      incCounter('runs_started_total', { mode: 'async', backend: 'cli' });
+      incCounter('runs_started_total', { mode: 'sync', backend: 'sdk' });
+      incCounter('slack_api_errors_total');
+
+      const text = renderMetrics();
+
+      expect(text).toContain('# TYPE slack_bridge_runs_started_total counter');
+      expect(text).toContain('slack_bridge_runs_started_total{mode="async",backend="cli"} 2');
+      expect(text).toContain('slack_bridge_runs_started_total{mode="sync",backend="sdk"} 1');
+      expect(text).toContain('slack_bridge_slack_api_errors_total 1');
+    });
+
+    test('should reject unknown counters', () => {
+      expect(() => incCounter('made_up_total')).toThrow('Unknown counter: made_up_total');
+    });
+
+    test('should render cumulative histogram buckets', () => {
+      observeRunDuration(10, { mode: 'sync', outcome: 'completed' });
+      observeRunDuration(200, { mode: 'sync', outcome: 'completed' });
+
+      const text = renderMetrics();
+
+      expect(text).toContain('slack_bridge_run_duration_seconds_bucket{mode="sync",outcome="completed",le="5"} 0');
+      expect(text).toContain('slack_bridge_run_duration_seconds_bucket{mode="sync",outcome="completed",le="15"} 1');
+      expect(text).toContain('slack_bridge_run_duration_seconds_bucket{mode="sync",outcome="completed",le="300"} 2');
+      expect(text).toContain('slack_bridge_run_duration_seconds_bucket{mode="sync",outcome="completed",le="+Inf"} 2');
+      expect(text).toContain('slack_bridge_run_duration_seconds_sum{mode="sync",outcome="completed"} 210');
+    });
+
+    test('should read gauges at render time and skip failing ones', () => {
+      let sessions = 1;
+      registerGauge('active_sessions', 'Thread sessions', () => sessions);
+      registerGauge('broken', 'Broken gauge', () => { throw new Error('boom'); });
+
+      sessions = 4;
+      const text = renderMetrics();
+
+      expect(text).toContain('slack_bridge_active_sessions 4');
+      expect(text).not.toContain('slack_bridge_broken');
+    });
+  });
+
+  describe('runHealthChecks', () => {
+    test('should be unhealthy when any check fails or throws', () => {
+      expect(runHealthChecks({ socketMode: () => true, cli: () => true })).toEqual({ healthy: true, checks: { socketMode: true, cli: true } });
+      expect(runHealthChecks({ socketMode: () => true, cli: () => { throw new Error('x'); } }).healthy).toBe(false);
+    });
+  });
+
+  describe('server', () => {
+    test('should serve /healthz and /metrics', async () => {
+      let connected = true;
+      registerGauge('socket_mode_connected', 'Socket Mode', () => (connected ? 1 : 0));
+      const url = await startMetricsServer({ port: 0, checks: { socketMode: () => connected } });
+
+      const healthy = await fetch(`${url}/healthz`);
+      expect(healthy.status).toBe(200);
+      expect(await healthy.json()).toEqual({ status: 'ok', checks: { socketMode: true } });
+
+      connected = false;
+      expect((await fetch(`${url}/healthz`)).status).toBe(503);
+
+      const metrics = await fetch(`${url}/metrics`);
+      expect(metrics.headers.get('content-type')).toContain('text/plain');
+      expect(await metrics.text()).toContain('slack_bridge_socket_mode_connected 0');
+
+      expect((await fetch(`${url}/other`)).status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Run progress reporting for Slack-Claude Bridge
+ * "stream" posts output chunks and tool calls as separate thread messages (the original behaviour);
+ * "live" keeps a single status message per run and edits it in place, attaching the full log at the end.
+ */
+
+const { formatDuration } = require('./slack-format');
+
+const PROGRESS_MODES = ['stream', 'live'];
+const TAIL_CHARS = 1500; // Rolling output tail shown in the live status message
+const STEP_CHARS = 200;
+
+/**
+ * Progress mode for a channel
+ * PROGRESS_MODE sets the default; PROGRESS_MODE_CHANNELS=C123:live,C456:stream overrides per channel
+ * @param {string} channel - Slack channel ID
+ * @returns {string} 'stream' or 'live'
+ */
+function resolveProgressMode(channel) {
+  const channelModes = new Map(
+    (process.env.PROGRESS_MODE_CHANNELS || '')
+      .split(',')
+      .map(entry => entry.trim().split(':').map(part => part.trim()))
+      .filter(([id, mode]) => id && PROGRESS_MODES.includes(mode))
+  );
+
+  const mode = channelModes.get(channel) || process.env.PROGRESS_MODE || 'stream';
+  return PROGRESS_MODES.includes(mode) ? mode : 'stream';
+}
+
+/**
+ * One-line summary of a tool call's input (command, path, pattern or URL when present)
+ * @param {Object} input - Tool input
+ * @returns {string}
+ */
+function summarizeToolInput(input = {}) {
+  const value = input.command || input.file_path || input.notebook_path || input.path || input.pattern || input.url || input.query;
+  const summary = typeof value === 'string' ? value : JSON.stringify(input);
+  const oneLine = summary.replace(/\s+/g, ' ').trim();
+  return oneLine.length > 120 ? oneLine.slice(0, 120) + '...' : oneLine;
+}
+
+/**
+ * Collects a run's activity and renders the live status message
+ */
+class RunProgress {
+  constructor(startTime = Date.now()) {
+    this.startTime = startTime;
+    this.entries = []; // Full log, in order
+    this.step = null; // Latest assistant text
+    this.lastTool = null;
+    this.toolCount = 0;
+    this.tail = '';
+  }
+
+  addTool(name, input) {
+    this.toolCount++;
+    this.lastTool = { name, summary: summarizeToolInput(input) };
+    this.entries.push(`⚙️ Tool: ${name}\n${JSON.stringify(input, null, 2)}`);
+  }
+
+  addStep(text) {
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    if (lines.length > 0) {
+      const last = lines[lines.length - 1];
+      this.step = last.length > STEP_CHARS ? last.slice(0, STEP_CHARS) + '...' : last;
+    }
+  }
+
+  addOutput(text) {
+    this.entries.push(text.replace(/\n$/, ''));
+
+    this.tail = (this.tail + text).slice(-TAIL_CHARS);
+    // Start the tail on a whole line
+    const firstBreak = this.tail.indexOf('\n');
+    if (this.tail.length === TAIL_CHARS && firstBreak !== -1 && firstBreak < this.tail.length - 1) {
+      this.tail = this.tail.slice(firstBreak + 1);
+    }
+  }
+
+  fullLog() {
+    return this.entries.join('\n');
+  }
+
+  /**
+   * Status message text
+   * @param {Object} options - { state: 'running' | 'done' | 'failed', now }
+   * @returns {string} mrkdwn text
+   */
+  render({ state = 'running', now = Date.now() } = {}) {
+    const headers = {
+      running: '🔄 *Working...*',
+      done: '✅ *Finished*',
+      failed: '❌ *Failed*'
+    };
+
+    const lines = [`${headers[state]} · ${formatDuration(now - this.startTime)} elapsed · ${this.toolCount} tool call(s)`];
+
+    if (this.step) {
+      lines.push(`*Current step:* ${this.step}`);
+    }
+    if (this.lastTool) {
+      lines.push(`*Last tool:* \`${this.lastTool.name}\` ${this.lastTool.summary}`);
+    }
+    if (this.tail.trim()) {
+      lines.push(`\`\`\`\n${this.tail.trim()}\n\`\`\``);
+    }
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = {
+  PROGRESS_MODES,
+  resolveProgressMode,
+  summarizeToolInput,
+  RunProgress
+};
@@ -0,0 +1,89 @@
+/**
+ * Test suite for run progress reporting
+ */
+
+const { resolveProgressMode, summarizeToolInput, RunProgress } = require('./progress');
+
+describe('Progress', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe('resolveProgressMode', () => {
+    test('should default to stream', () => {
+      delete process.env.PROGRESS_MODE;
+      delete process.env.PROGRESS_MODE_CHANNELS;
+
+      expect(resolveProgressMode('C1')).toBe('stream');
+    });
+
+    test('should apply per-channel overrides over the default', () => {
+      process.env.PROGRESS_MODE = 'live';
+      process.env.PROGRESS_MODE_CHANNELS = 'C1:stream, C2:bogus';
+
+      expect(resolveProgressMode('C1')).toBe('stream');
+      expect(resolveProgressMode('C2')).toBe('live');
+    });
+
+    test('should ignore unknown default modes', () => {
+      process.env.PROGRESS_MODE = 'fancy';
+
+      expect(resolveProgressMode('C1')).toBe('stream');
+    });
+  });
+
+  describe('summarizeToolInput', () => {
+    test('should prefer the command or path', () => {
+      expect(summarizeToolInput({ command: 'npm test\n  --silent', description: 'x' })).toBe('npm test --silent');
+      expect(summarizeToolInput({ file_path: '/srv/app/index.js', content: '...' })).toBe('/srv/app/index.js');
+    });
+
+    test('should fall back to truncated JSON', () => {
+      const summary = summarizeToolInput({ anything: 'x'.repeat(200) });
+
+      expect(summary.startsWith('{"anything":')).toBe(true);
+      expect(summary.endsWith('...')).toBe(true);
+    });
+  });
+
+  describe('RunProgress', () => {
+    test('should render step, last tool and elapsed time', () => {
+      const progress = new RunProgress(0);
+      progress.addStep('Looking at the tests.\nRunning the unit tests now.');
+      progress.addTool('Bash', { command: 'npm test' });
+      progress.addOutput('PASS context.test.js\n');
+
+      const text = progress.render({ now: 125000 });
+
+      expect(text).toContain('🔄 *Working...* · 2m 5s elapsed · 1 tool call(s)');
+      expect(text).toContain('*Current step:* Running the unit tests now.');
+      expect(text).toContain('*Last tool:* `Bash` npm test');
+      expect(text).toContain('```\nPASS context.test.js\n```');
+    });
+
+    test('should keep only a rolling tail of output', () => {
+      const progress = new RunProgress(0);
+      for (let i = 0; i < 500; i++) {
+        progress.addOutput(`line ${i}\n`);
+      }
+
+      const text = progress.render({ state: 'done', now: 1000 });
+
+      expect(text).toContain('✅ *Finished*');
+      expect(text).toContain('line 499');
+      expect(text).not.toContain('line 1\n');
+      expect(text.length).toBeLessThan(2000);
+    });
+
+    test('should keep everything in the full log', () => {
+      const progress = new RunProgress(0);
+      progress.addTool('Read', { file_path: 'a.js' });
+      progress.addOutput('first\n');
+      progress.addOutput('second\n');
+
+      expect(progress.fullLog()).toBe('⚙️ Tool: Read\n{\n  "file_path": "a.js"\n}\nfirst\nsecond');
+    });
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Slack-aware rate limiter for Slack-Claude Bridge
+ * Slack API calls are queued in lanes, each a token bucket sized to Slack's published limits:
+ * chat.postMessage gets one lane per channel (about 1 message per second each), other methods
+ * one lane per method at their tier's rate. Channels no longer wait behind each other.
+ *
+ * - Priorities: HIGH (final results, errors, approvals) go ahead of NORMAL (notices) and
+ *   LOW (progress: output chunks, tool posts, heartbeats, status edits) waiting in the same lane.
+ * - Rate limits: a `ratelimited` (HTTP 429) error pauses the lane for Retry-After seconds and
+ *   the call is retried, up to maxRetries times.
+ * - Stale progress: a call queued with a `key` replaces an older queued call with the same key
+ *   (both callers get the newer call's result), and a call with `dropAfter` that waited longer
+ *   than that is dropped (resolving with null).
+ */
+
+const PRIORITY = { HIGH: 0, NORMAL: 1, LOW: 2 };
+
+// Slack rate tiers, in requests per minute
+const TIER_2 = 20;
+const TIER_3 = 50;
+const TIER_4 = 100;
+
+// method -> { perMinute, burst, perChannel }
+const METHOD_LIMITS = {
+  'chat.postMessage': { perMinute: 60, burst: 3, perChannel: true }, // "1 per second per channel, short bursts allowed"
+  'chat.postEphemeral': { perMinute: TIER_4, perChannel: true },
+  'chat.update': { perMinute: TIER_3 },
+  'chat.delete': { perMinute: TIER_3 },
+  'chat.getPermalink': { perMinute: TIER_4 },
+  'files.uploadV2': { perMinute: TIER_2 },
+  'reactions.add': { perMinute: TIER_3 },
+  'reactions.remove': { perMinute: TIER_3 },
+  'conversations.replies': { perMinute: TIER_3 },
+  'users.info': { perMinute: TIER_4 },
+  'views.publish': { perMinute: TIER_4 }
+};
+const DEFAULT_LIMIT = { perMinute: TIER_3 };
+
+/**
+ * Seconds to wait before retrying a rate-limited call
+ * @param {Error} error - Error from a Slack Web API call
+ * @returns {number|null} Retry-After in seconds, null if the error isn't a rate limit
+ */
+function retryAfterSeconds(error) {
+  if (error.code === 'slack_webapi_rate_limited_error') return error.retryAfter ?? 1;
+  if (error.data?.error === 'ratelimited' || error.statusCode === 429) {
+    return Number(error.headers?.['retry-after']) || 1;
+  }
+  return null;
+}
+
+class SlackRateLimiter {
+  /**
+   * @param {Object} options - { limits, maxRetries, onError }
+   *   limits: method -> { perMinute, burst, perChannel } overrides
+   *   onError: called with each error that is finally returned to the caller
+   */
+  constructor({ limits = {}, maxRetries = 3, onError = () => {} } = {}) {
+    this.limits = { ...METHOD_LIMITS, ...limits };
+    this.maxRetries = maxRetries;
+    this.onError = onError;
+    this.queue = []; // waiting calls, all lanes
+    this.lanes = new Map(); // lane key -> { tokens, capacity, perMs, updatedAt, pausedUntil, busy }
+    this.sequence = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Queue a Slack API call
+   * @param {Function} messageFunc - Makes the call, returns a promise
+   * @param {Object} [options] - { method, channel, priority, key, dropAfter }
+   *   method: Slack method for the lane and its limit (default chat.postMessage)
+   *   channel: channel ID, for per-channel methods
+   *   priority: PRIORITY.HIGH / NORMAL / LOW
+   *   key: merge with a queued call that has the same key
+   *   dropAfter: drop the call if it has waited this many ms
+   * @returns {Promise<*>} The call's result (null if dropped)
+   */
+  sendMessage(messageFunc, { method = 'chat.postMessage', channel = null, priority = PRIORITY.NORMAL, key = null, dropAfter = null } = {}) {
+    return new Promise((resolve, reject) => {
+      const queued = key && this.queue.find(entry => entry.key === key);
+
+      if (queued) {
+        // The newer call supersedes the queued one; both callers settle with its result
+        const { resolve: resolveQueued, reject: rejectQueued } = queued;
+        Object.assign(queued, {
+          messageFunc,
+          priority: Math.min(queued.priority, priority),
+          dropAfter,
+          queuedAt: Date.now(),
+          resolve: (result) => { resolveQueued(result); resolve(result); },
+          reject: (error) => { rejectQueued(error); reject(error); }
+        });
+        return;
+      }
+
+      this.queue.push({
+        messageFunc,
+        method,
+        channel,
+        priority,
+        key,
+        dropAfter,
+        queuedAt: Date.now(),
+        sequence: this.sequence++,
+        attempts: 0,
+        resolve,
+        reject
+      });
+      this.processQueue();
+    });
+  }
+
+  lane(entry) {
+    const limit = this.limits[entry.method] || DEFAULT_LIMIT;
+    const laneKey = limit.perChannel && entry.channel ? `${entry.method}:${entry.channel}` : entry.method;
+
+    if (!this.lanes.has(laneKey)) {
+      const capacity = limit.burst || 1;
+      this.lanes.set(laneKey, {
+        tokens: capacity,
+        capacity,
+        perMs: limit.perMinute / 60000,
+        updatedAt: Date.now(),
+        pausedUntil: 0,
+        busy: false
+      });
+    }
+    return this.lanes.get(laneKey);
+  }
+
+  /**
+   * Take a token from a lane
+   * @returns {number} 0 if taken, otherwise ms until one is available
+   */
+  takeToken(lane, now) {
+    if (lane.pausedUntil > now) return lane.pausedUntil - now;
+
+    lane.tokens = Math.min(lane.capacity, lane.tokens + (now - lane.updatedAt) * lane.perMs);
+    lane.updatedAt = now;
+
+    if (lane.tokens >= 1) {
+      lane.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - lane.tokens) / lane.perMs);
+  }
+
+  /**
+   * Start every call whose lane is free and has a token, highest priority first;
+   * then wait for the next token
+   */
+  processQueue() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    this.queue = this.queue.filter(entry => {
+      if (!entry.dropAfter || now - entry.queuedAt <= entry.dropAfter) return true;
+      console.log(`[RATE-LIMITER] Dropped stale ${entry.key || entry.method} after ${((now - entry.queuedAt) / 1000).toFixed(0)}s`);
+      entry.resolve(null);
+      return false;
+    });
+
+    let wait = Infinity;
+    const ordered = [...this.queue].sort((a, b) => (a.priority - b.priority) || (a.sequence - b.sequence));
+
+    for (const entry of ordered) {
+      const lane = this.lane(entry);
+      if (lane.busy) continue; // one call in flight per lane keeps messages in order
+
+      const delay = this.takeToken(lane, now);
+      if (delay > 0) {
+        wait = Math.min(wait, delay);
+        lane.busy = 'waiting'; // don't let a later, lower-priority call take the next token
+        continue;
+      }
+
+      this.queue.splice(this.queue.indexOf(entry), 1);
+      this.send(entry, lane);
+    }
+
+    for (const lane of this.lanes.values()) {
+      if (lane.busy === 'waiting') lane.busy = false;
+    }
+
+    if (this.queue.length > 0 && wait < Infinity) {
+      this.timer = setTimeout(() => this.processQueue(), wait);
+    }
+  }
+
+  async send(entry, lane) {
+    lane.busy = true;
+
+    try {
+      entry.resolve(await entry.messageFunc());
+    } catch (error) {
+      const retryAfter = retryAfterSeconds(error);
+
+      if (retryAfter !== null && entry.attempts < this.maxRetries) {
+        entry.attempts++;
+        lane.pausedUntil = Date.now() + retryAfter * 1000;
+        console.warn(`[RATE-LIMITER] ${entry.method}${entry.channel ? ` in ${entry.channel}` : ''} rate limited - retrying in ${retryAfter}s (attempt ${entry.attempts}/${this.maxRetries})`);
+        this.queue.push(entry); // keeps its priority and place
+      } else {
+        console.error('[RATE-LIMITER] Message send failed:', error.message);
+        this.onError(error);
+        entry.reject(error);
+      }
+    } finally {
+      lane.busy = false;
+      this.processQueue();
+    }
+  }
+}
+
+module.exports = {
+  PRIORITY,
+  METHOD_LIMITS,
+  retryAfterSeconds,
+  SlackRateLimiter
+};
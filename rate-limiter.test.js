@@ -0,0 +1,139 @@
+/**
+ * Test suite for the Slack rate limiter
+ */
+
+const { PRIORITY, retryAfterSeconds, SlackRateLimiter } = require('./rate-limiter');
+
+describe('SlackRateLimiter', () => {
+  let limiter;
+  let sent;
+
+  // A call that records its name when it runs
+  const call = (name, result = name) => jest.fn(async () => {
+    sent.push(name);
+    return result;
+  });
+
+  const rateLimited = (retryAfter) => Object.assign(new Error('rate limited'), { code: 'slack_webapi_rate_limited_error', retryAfter });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    sent = [];
+    limiter = new SlackRateLimiter({ limits: { 'chat.postMessage': { perMinute: 60, burst: 1, perChannel: true } } });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('should give each channel its own lane', async () => {
+    limiter.sendMessage(call('a1'), { channel: 'CA' });
+    limiter.sendMessage(call('a2'), { channel: 'CA' });
+    limiter.sendMessage(call('b1'), { channel: 'CB' });
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(sent).toEqual(['a1', 'b1']);
+    expect(limiter.queue).toHaveLength(1);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(sent).toEqual(['a1', 'b1', 'a2']);
+  });
+
+  test('should limit other methods across channels at their tier rate', async () => {
+    limiter.sendMessage(call('u1'), { method: 'chat.update' });
+    limiter.sendMessage(call('u2'), { method: 'chat.update' });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(sent).toEqual(['u1']);
+
+    await jest.advanceTimersByTimeAsync(1200); // Tier 3: 50 per minute
+    expect(sent).toEqual(['u1', 'u2']);
+  });
+
+  test('should send higher priorities first within a lane', async () => {
+    limiter.sendMessage(call('first'), { channel: 'C1' });
+    limiter.sendMessage(call('chunk'), { channel: 'C1', priority: PRIORITY.LOW });
+    limiter.sendMessage(call('notice'), { channel: 'C1' });
+    const result = limiter.sendMessage(call('complete'), { channel: 'C1', priority: PRIORITY.HIGH });
+
+    await jest.advanceTimersByTimeAsync(3000);
+
+    expect(sent).toEqual(['first', 'complete', 'notice', 'chunk']);
+    await expect(result).resolves.toBe('complete');
+  });
+
+  test('should pause the lane for Retry-After and retry', async () => {
+    const flaky = jest.fn()
+      .mockRejectedValueOnce(rateLimited(5))
+      .mockResolvedValueOnce({ ok: true });
+
+    const result = limiter.sendMessage(flaky, { channel: 'C1' });
+    limiter.sendMessage(call('next'), { channel: 'C1' });
+    await jest.advanceTimersByTimeAsync(4000);
+
+    expect(flaky).toHaveBeenCalledTimes(1);
+    expect(sent).toEqual([]);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    await expect(result).resolves.toEqual({ ok: true });
+    expect(flaky).toHaveBeenCalledTimes(2);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(sent).toEqual(['next']);
+  });
+
+  test('should give up after maxRetries and report the error', async () => {
+    const onError = jest.fn();
+    limiter = new SlackRateLimiter({ maxRetries: 1, onError });
+    const failing = jest.fn().mockRejectedValue(rateLimited(1));
+
+    const result = limiter.sendMessage(failing, { channel: 'C1' });
+    result.catch(() => {});
+    await jest.advanceTimersByTimeAsync(2000);
+
+    await expect(result).rejects.toThrow('rate limited');
+    expect(failing).toHaveBeenCalledTimes(2);
+    expect(onError).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not retry other errors', async () => {
+    const failing = jest.fn().mockRejectedValue(Object.assign(new Error('channel_not_found'), { data: { error: 'channel_not_found' } }));
+
+    await expect(limiter.sendMessage(failing, { channel: 'C1' })).rejects.toThrow('channel_not_found');
+    expect(failing).toHaveBeenCalledTimes(1);
+  });
+
+  test('should merge queued calls with the same key', async () => {
+    limiter.sendMessage(call('busy'), { channel: 'C1' });
+    const older = limiter.sendMessage(call('heartbeat 1'), { channel: 'C1', priority: PRIORITY.LOW, key: 'heartbeat:T1' });
+    const newer = limiter.sendMessage(call('heartbeat 2'), { channel: 'C1', priority: PRIORITY.LOW, key: 'heartbeat:T1' });
+
+    await jest.advanceTimersByTimeAsync(2000);
+
+    expect(sent).toEqual(['busy', 'heartbeat 2']);
+    await expect(older).resolves.toBe('heartbeat 2');
+    await expect(newer).resolves.toBe('heartbeat 2');
+  });
+
+  test('should drop calls that waited longer than dropAfter', async () => {
+    limiter.sendMessage(call('busy'), { channel: 'C1' });
+    const stale = limiter.sendMessage(call('heartbeat'), { channel: 'C1', priority: PRIORITY.LOW, dropAfter: 500 });
+
+    await jest.advanceTimersByTimeAsync(2000);
+
+    await expect(stale).resolves.toBeNull();
+    expect(sent).toEqual(['busy']);
+  });
+
+  describe('retryAfterSeconds', () => {
+    test('should read Retry-After from Slack errors', () => {
+      expect(retryAfterSeconds(rateLimited(30))).toBe(30);
+      expect(retryAfterSeconds({ data: { error: 'ratelimited' }, headers: { 'retry-after': '7' } })).toBe(7);
+      expect(retryAfterSeconds({ statusCode: 429 })).toBe(1);
+      expect(retryAfterSeconds(new Error('invalid_auth'))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Secret redaction for Slack-Claude Bridge
+ * Everything the bridge sends to Slack passes through one filter first, so a `cat .env` or
+ * `printenv` by the agent can't leak credentials into channel history. Matches are replaced
+ * with [REDACTED:type]:
+ *
+ * - values of secret-looking environment variables (…_TOKEN, …_SECRET, …_KEY, …_PASSWORD, …)
+ * - common token formats: Slack, AWS, GitHub, Anthropic, JWTs, private keys, URL passwords
+ * - extra regexes and variable names from redaction.json (REDACTION_CONFIG)
+ *
+ * protectClient() applies the filter to a WebClient's posting and upload methods; each call
+ * that had something redacted is logged with counts per type.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'redaction.json');
+
+// Environment variables whose values are treated as secrets
+const SECRET_ENV_NAME = /(^|_)(TOKEN|SECRET|KEY|PASSWORD|PASSWD|PASS|CREDENTIALS?|DSN|DATABASE_URL|PRIVATE_KEY)(_|$)/i;
+const MIN_SECRET_LENGTH = 8; // shorter values would match too much ordinary text
+
+// type -> pattern; checked after env values, in this order
+const BUILTIN_PATTERNS = [
+  ['private_key', /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g],
+  ['slack_token', /\bxox[abposre]-[A-Za-z0-9-]{10,}/g],
+  ['slack_app_token', /\bxapp-\d-[A-Za-z0-9-]{10,}/g],
+  ['slack_webhook', /https:\/\/hooks\.slack\.com\/(?:services|workflows)\/[A-Za-z0-9/_-]+/g],
+  ['aws_access_key', /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g],
+  ['aws_secret_key', /(?<=aws_secret_access_key["']?\s*[=:]\s*["']?)[A-Za-z0-9/+=]{40}/gi],
+  ['github_token', /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/g],
+  ['anthropic_key', /\bsk-ant-[A-Za-z0-9_-]{20,}/g],
+  ['jwt', /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g],
+  ['url_password', /(?<=\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:)[^\s@/]+(?=@)/gi]
+];
+
+// Fields of API arguments that carry message content
+const CONTENT_FIELDS = ['text', 'blocks', 'attachments', 'content', 'initial_comment', 'title', 'view', 'file_uploads'];
+
+// WebClient methods that post or upload content
+const PROTECTED_METHODS = [
+  ['chat', 'postMessage'],
+  ['chat', 'postEphemeral'],
+  ['chat', 'update'],
+  ['chat', 'scheduleMessage'],
+  ['views', 'publish'],
+  ['files', 'uploadV2']
+];
+
+const PROTECTED = Symbol('redaction');
+
+let rules = null; // [{ type, value } | { type, pattern }], built on first use
+
+/**
+ * Build the redaction rules from the environment, the built-in patterns and the config file
+ * @param {string} [filePath] - Config location (defaults to REDACTION_CONFIG or redaction.json)
+ * @returns {Array<Object>} Rules
+ */
+function loadRedactionRules(filePath = process.env.REDACTION_CONFIG || DEFAULT_CONFIG_PATH) {
+  const config = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+  const extraNames = new Set(config.env || []);
+
+  const customPatterns = Object.entries(config.patterns || {}).map(([type, source]) => {
+    try {
+      return [type, new RegExp(source, 'g')];
+    } catch (error) {
+      throw new Error(`Redaction pattern "${type}" in ${filePath} is not a valid regex: ${error.message}`);
+    }
+  });
+
+  // Longest values first, so a secret containing another is replaced whole
+  const envRules = Object.entries(process.env)
+    .filter(([name, value]) => (SECRET_ENV_NAME.test(name) || extraNames.has(name)) && value && value.length >= MIN_SECRET_LENGTH)
+    .sort(([, a], [, b]) => b.length - a.length)
+    .map(([name, value]) => ({ type: name, value }));
+
+  rules = [
+    ...envRules,
+    ...[...BUILTIN_PATTERNS, ...customPatterns].map(([type, pattern]) => ({ type, pattern }))
+  ];
+
+  console.log(`[REDACT] ${envRules.length} secret env value(s), ${BUILTIN_PATTERNS.length} built-in and ${customPatterns.length} custom pattern(s)`);
+  return rules;
+}
+
+/**
+ * Replace secrets in a string
+ * @param {string} text - Text to send
+ * @returns {Object} { text, counts } - counts: type -> number of replacements
+ */
+function redact(text) {
+  if (!rules) loadRedactionRules();
+
+  const counts = {};
+  const count = (type) => {
+    counts[type] = (counts[type] || 0) + 1;
+    return `[REDACTED:${type}]`;
+  };
+
+  let result = text;
+  for (const rule of rules) {
+    if (rule.value === undefined) {
+      result = result.replace(rule.pattern, () => count(rule.type));
+      continue;
+    }
+
+    const parts = result.split(rule.value);
+    for (let i = 1; i < parts.length; i++) parts[i - 1] += count(rule.type);
+    result = parts.join('');
+  }
+
+  return { text: result, counts };
+}
+
+/**
+ * Redact every string inside a value (strings, arrays, plain objects)
+ */
+function redactDeep(value, counts) {
+  if (typeof value === 'string') {
+    const result = redact(value);
+    for (const [type, n] of Object.entries(result.counts)) counts[type] = (counts[type] || 0) + n;
+    return result.text;
+  }
+  if (Array.isArray(value)) return value.map(item => redactDeep(item, counts));
+  if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactDeep(item, counts)]));
+  }
+  return value;
+}
+
+/**
+ * Redact the content of Slack API arguments (text, blocks, attachments, file content, ...)
+ * @param {Object} args - API call arguments
+ * @param {string} [label] - What is being sent, for the log line
+ * @returns {Object} Arguments with secrets replaced (a copy; the original is left alone)
+ */
+function redactPayload(args, label = 'message') {
+  if (!args || typeof args !== 'object') return args;
+
+  const counts = {};
+  const redacted = { ...args };
+  for (const field of CONTENT_FIELDS) {
+    if (redacted[field] !== undefined) redacted[field] = redactDeep(redacted[field], counts);
+  }
+
+  const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  if (total > 0) {
+    const detail = Object.entries(counts).map(([type, n]) => `${type} ×${n}`).join(', ');
+    console.warn(`[REDACT] ${label}${args.channel ? ` in ${args.channel}` : ''}: ${total} secret(s) redacted (${detail})`);
+  }
+
+  return redacted;
+}
+
+/**
+ * Make a WebClient redact everything it posts or uploads (idempotent)
+ * @param {Object} client - Slack WebClient
+ * @returns {Object} The same client
+ */
+function protectClient(client) {
+  if (!client || client[PROTECTED]) return client;
+
+  for (const [namespace, method] of PROTECTED_METHODS) {
+    const original = client[namespace]?.[method];
+    if (typeof original !== 'function') continue;
+    client[namespace][method] = (args) => original(redactPayload(args, `${namespace}.${method}`));
+  }
+
+  client[PROTECTED] = true;
+  return client;
+}
+
+module.exports = {
+  loadRedactionRules,
+  redact,
+  redactPayload,
+  protectClient
+};
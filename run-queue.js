@@ -0,0 +1,206 @@
+/**
+ * Fair job queue for agent runs
+ * Caps concurrent runs globally, per user and per channel; waiting jobs start in FIFO order,
+ * skipping (but keeping the place of) jobs whose user or channel is at its cap.
+ * Jobs sharing an ID (a thread) never run side by side - follow-ups wait for the thread's current run.
+ */
+
+class RunQueue {
+  /**
+   * @param {Object} limits - { maxConcurrent, maxPerUser, maxPerChannel } (0 = unlimited)
+   */
+  constructor({ maxConcurrent = 3, maxPerUser = 2, maxPerChannel = 2 } = {}) {
+    this.maxConcurrent = maxConcurrent;
+    this.maxPerUser = maxPerUser;
+    this.maxPerChannel = maxPerChannel;
+    this.queue = []; // waiting jobs, FIFO
+    this.running = new Set(); // started jobs
+  }
+
+  /**
+   * Queue a run
+   * @param {Object} job - { id, ref?, userId, channel, run: () => Promise, onPositionChange?: (position) => void }
+   *   ref optionally identifies a single job (e.g. the Slack message) for remove() and prioritize()
+   *   onPositionChange is called with the queue position while waiting, and 0 when a job that had
+   *   to wait starts. Jobs that start immediately are never notified.
+   * @returns {Promise<Object>} Resolves with { cancelled: false, result } once run() settles,
+   *   or { cancelled: true } if the job was cancelled while queued
+   */
+  enqueue(job) {
+    return new Promise((resolve, reject) => {
+      const entry = {
+        ...job,
+        queuedAt: Date.now(),
+        position: null,
+        resolve,
+        reject
+      };
+
+      this.queue.push(entry);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Remove queued jobs for an ID (running jobs are not affected)
+   * @param {string} id - Job ID (thread timestamp)
+   * @returns {number} Number of jobs removed
+   */
+  cancel(id) {
+    const removed = this.queue.filter(entry => entry.id === id);
+    if (removed.length === 0) return 0;
+
+    this.queue = this.queue.filter(entry => entry.id !== id);
+    for (const entry of removed) {
+      entry.resolve({ cancelled: true });
+    }
+
+    console.log(`[QUEUE] Cancelled ${removed.length} queued job(s) for ${String(id).slice(-8)}`);
+    this.notifyPositions();
+    return removed.length;
+  }
+
+  /**
+   * Remove a single queued job
+   * @param {string} ref - Job ref
+   * @returns {boolean} True if the job was waiting and is now cancelled
+   */
+  remove(ref) {
+    const index = this.queue.findIndex(entry => entry.ref === ref);
+    if (index === -1) return false;
+
+    const [entry] = this.queue.splice(index, 1);
+    entry.resolve({ cancelled: true });
+
+    console.log(`[QUEUE] Removed queued job ${ref} for ${String(entry.id).slice(-8)}`);
+    this.notifyPositions();
+    return true;
+  }
+
+  /**
+   * Move a queued job ahead of the other queued jobs with the same ID
+   * (its place relative to other threads is unchanged)
+   * @param {string} ref - Job ref
+   * @returns {boolean} True if the job is queued
+   */
+  prioritize(ref) {
+    const index = this.queue.findIndex(entry => entry.ref === ref);
+    if (index === -1) return false;
+
+    const entry = this.queue[index];
+    const first = this.queue.findIndex(other => other.id === entry.id);
+    if (first < index) {
+      this.queue.splice(index, 1);
+      this.queue.splice(first, 0, entry);
+      this.notifyPositions();
+    }
+    return true;
+  }
+
+  /**
+   * Whether an ID has a running or queued job
+   * @param {string} id - Job ID
+   * @returns {boolean}
+   */
+  isBusy(id) {
+    return this.countRunning('id', id) > 0 || this.positionOf(id) > 0;
+  }
+
+  /**
+   * Position of the first queued job for an ID
+   * @param {string} id - Job ID
+   * @returns {number} 1-based position, or 0 if not queued
+   */
+  positionOf(id) {
+    return this.queue.findIndex(entry => entry.id === id) + 1;
+  }
+
+  /**
+   * Snapshot for monitoring
+   * @returns {Object} { running: Array, queued: Array } of { id, userId, channel, queuedAt }
+   */
+  snapshot() {
+    const describe = ({ id, userId, channel, queuedAt }) => ({ id, userId, channel, queuedAt });
+    return {
+      running: [...this.running].map(describe),
+      queued: this.queue.map(describe)
+    };
+  }
+
+  countRunning(key, value) {
+    let count = 0;
+    for (const entry of this.running) {
+      if (entry[key] === value) count++;
+    }
+    return count;
+  }
+
+  canStart(entry) {
+    if (this.countRunning('id', entry.id) > 0) return false;
+    if (this.maxConcurrent && this.running.size >= this.maxConcurrent) return false;
+    if (this.maxPerUser && entry.userId && this.countRunning('userId', entry.userId) >= this.maxPerUser) return false;
+    if (this.maxPerChannel && entry.channel && this.countRunning('channel', entry.channel) >= this.maxPerChannel) return false;
+    return true;
+  }
+
+  dispatch() {
+    let index = 0;
+    while (index < this.queue.length) {
+      if (this.maxConcurrent && this.running.size >= this.maxConcurrent) break;
+
+      const entry = this.queue[index];
+      if (!this.canStart(entry)) {
+        index++;
+        continue;
+      }
+
+      this.queue.splice(index, 1);
+      this.start(entry);
+    }
+
+    this.notifyPositions();
+  }
+
+  start(entry) {
+    this.running.add(entry);
+
+    const waited = Date.now() - entry.queuedAt;
+    console.log(`[QUEUE] Starting ${String(entry.id).slice(-8)} after ${(waited / 1000).toFixed(1)}s (${this.running.size} running, ${this.queue.length} queued)`);
+
+    if (entry.position !== null) {
+      this.notify(entry, 0);
+    }
+
+    Promise.resolve()
+      .then(() => entry.run())
+      .then(
+        result => entry.resolve({ cancelled: false, result }),
+        error => entry.reject(error)
+      )
+      .finally(() => {
+        this.running.delete(entry);
+        this.dispatch();
+      });
+  }
+
+  notifyPositions() {
+    this.queue.forEach((entry, index) => {
+      const position = index + 1;
+      if (entry.position !== position) {
+        entry.position = position;
+        this.notify(entry, position);
+      }
+    });
+  }
+
+  notify(entry, position) {
+    if (!entry.onPositionChange) return;
+    try {
+      entry.onPositionChange(position);
+    } catch (error) {
+      console.error(`[QUEUE] Position callback failed:`, error.message);
+    }
+  }
+}
+
+module.exports = { RunQueue };
@@ -0,0 +1,183 @@
+/**
+ * Test suite for the fair run queue
+ */
+
+const { RunQueue } = require('./run-queue');
+
+// A run that stays pending until finish() is called
+function deferredRun() {
+  let finish;
+  const promise = new Promise(resolve => { finish = resolve; });
+  const run = jest.fn(() => promise);
+  return { run, finish };
+}
+
+// Let queued promise callbacks settle
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('RunQueue', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should start runs immediately while under the limits', async () => {
+    const queue = new RunQueue({ maxConcurrent: 2 });
+    const job = deferredRun();
+
+    const outcome = queue.enqueue({ id: 't1', userId: 'U1', channel: 'C1', run: job.run });
+    await flush();
+
+    expect(job.run).toHaveBeenCalled();
+    job.finish('done');
+    await expect(outcome).resolves.toEqual({ cancelled: false, result: 'done' });
+  });
+
+  test('should hold runs beyond the global cap and start them in FIFO order', async () => {
+    const queue = new RunQueue({ maxConcurrent: 1, maxPerUser: 0, maxPerChannel: 0 });
+    const first = deferredRun();
+    const second = deferredRun();
+    const third = deferredRun();
+
+    queue.enqueue({ id: 't1', userId: 'U1', channel: 'C1', run: first.run });
+    queue.enqueue({ id: 't2', userId: 'U2', channel: 'C2', run: second.run });
+    queue.enqueue({ id: 't3', userId: 'U3', channel: 'C3', run: third.run });
+    await flush();
+
+    expect(queue.positionOf('t2')).toBe(1);
+    expect(queue.positionOf('t3')).toBe(2);
+
+    first.finish();
+    await flush();
+
+    expect(second.run).toHaveBeenCalled();
+    expect(third.run).not.toHaveBeenCalled();
+  });
+
+  test('should let other users overtake a user at their cap', async () => {
+    const queue = new RunQueue({ maxConcurrent: 3, maxPerUser: 1, maxPerChannel: 0 });
+    const busy = deferredRun();
+    const sameUser = deferredRun();
+    const otherUser = deferredRun();
+
+    queue.enqueue({ id: 't1', userId: 'U1', channel: 'C1', run: busy.run });
+    queue.enqueue({ id: 't2', userId: 'U1', channel: 'C1', run: sameUser.run });
+    queue.enqueue({ id: 't3', userId: 'U2', channel: 'C1', run: otherUser.run });
+    await flush();
+
+    expect(sameUser.run).not.toHaveBeenCalled();
+    expect(otherUser.run).toHaveBeenCalled();
+    expect(queue.snapshot().queued.map(job => job.id)).toEqual(['t2']);
+  });
+
+  test('should cap runs per channel', async () => {
+    const queue = new RunQueue({ maxConcurrent: 5, maxPerUser: 0, maxPerChannel: 1 });
+    const first = deferredRun();
+    const second = deferredRun();
+
+    queue.enqueue({ id: 't1', userId: 'U1', channel: 'C1', run: first.run });
+    queue.enqueue({ id: 't2', userId: 'U2', channel: 'C1', run: second.run });
+    await flush();
+
+    expect(second.run).not.toHaveBeenCalled();
+    expect(queue.snapshot().running.map(job => job.id)).toEqual(['t1']);
+  });
+
+  test('should report position changes and the start of a queued run', async () => {
+    const queue = new RunQueue({ maxConcurrent: 1 });
+    const first = deferredRun();
+    const second = deferredRun();
+    const third = deferredRun();
+    const positions = [];
+
+    queue.enqueue({ id: 't1', userId: 'U1', channel: 'C1', run: first.run });
+    queue.enqueue({ id: 't2', userId: 'U2', channel: 'C2', run: second.run });
+    queue.enqueue({ id: 't3', userId: 'U3', channel: 'C3', run: third.run, onPositionChange: p => positions.push(p) });
+
+    first.finish();
+    await flush();
+    second.finish();
+    await flush();
+
+    expect(positions).toEqual([2, 1, 0]);
+  });
+
+  test('should cancel queued runs without touching running ones', async () => {
+    const queue = new RunQueue({ maxConcurrent: 1 });
+    const first = deferredRun();
+    const second = deferredRun();
+
+    queue.enqueue({ id: 't1', userId: 'U1', channel: 'C1', run: first.run });
+    const outcome = queue.enqueue({ id: 't2', userId: 'U2', channel: 'C2', run: second.run });
+
+    expect(queue.cancel('t1')).toBe(0);
+    expect(queue.cancel('t2')).toBe(1);
+    await expect(outcome).resolves.toEqual({ cancelled: true });
+
+    first.finish();
+    await flush();
+    expect(second.run).not.toHaveBeenCalled();
+  });
+
+  test('should never run two jobs for the same thread at once', async () => {
+    const queue = new RunQueue({ maxConcurrent: 5, maxPerUser: 0, maxPerChannel: 0 });
+    const current = deferredRun();
+    const followUp = deferredRun();
+
+    queue.enqueue({ id: 't1', userId: 'U1', channel: 'C1', run: current.run });
+    queue.enqueue({ id: 't1', ref: 'm2', userId: 'U2', channel: 'C1', run: followUp.run });
+    await flush();
+
+    expect(queue.isBusy('t1')).toBe(true);
+    expect(followUp.run).not.toHaveBeenCalled();
+
+    current.finish();
+    await flush();
+    expect(followUp.run).toHaveBeenCalled();
+  });
+
+  test('should remove a single follow-up by ref', async () => {
+    const queue = new RunQueue({ maxConcurrent: 5 });
+    const current = deferredRun();
+
+    queue.enqueue({ id: 't1', userId: 'U1', channel: 'C1', run: current.run });
+    const removed = queue.enqueue({ id: 't1', ref: 'm2', userId: 'U1', channel: 'C1', run: jest.fn() });
+    queue.enqueue({ id: 't1', ref: 'm3', userId: 'U1', channel: 'C1', run: jest.fn() });
+
+    expect(queue.remove('m2')).toBe(true);
+    expect(queue.remove('m2')).toBe(false);
+    await expect(removed).resolves.toEqual({ cancelled: true });
+    expect(queue.snapshot().queued).toHaveLength(1);
+  });
+
+  test('should prioritize a follow-up within its thread only', async () => {
+    const queue = new RunQueue({ maxConcurrent: 1, maxPerUser: 0, maxPerChannel: 0 });
+    const current = deferredRun();
+    const redirect = deferredRun();
+
+    queue.enqueue({ id: 't1', userId: 'U1', channel: 'C1', run: current.run });
+    queue.enqueue({ id: 't2', ref: 'other', userId: 'U2', channel: 'C2', run: jest.fn() });
+    queue.enqueue({ id: 't1', ref: 'm2', userId: 'U1', channel: 'C1', run: jest.fn() });
+    queue.enqueue({ id: 't1', ref: 'm3', userId: 'U1', channel: 'C1', run: redirect.run });
+
+    expect(queue.prioritize('m3')).toBe(true);
+    expect(queue.snapshot().queued.map(job => job.id)).toEqual(['t2', 't1', 't1']);
+    expect(queue.queue.map(entry => entry.ref)).toEqual(['other', 'm3', 'm2']);
+    expect(queue.prioritize('missing')).toBe(false);
+  });
+
+  test('should free the slot when a run fails', async () => {
+    const queue = new RunQueue({ maxConcurrent: 1 });
+    const next = deferredRun();
+
+    const failed = queue.enqueue({ id: 't1', userId: 'U1', channel: 'C1', run: () => Promise.reject(new Error('boom')) });
+    queue.enqueue({ id: 't2', userId: 'U2', channel: 'C2', run: next.run });
+
+    await expect(failed).rejects.toThrow('boom');
+    await flush();
+    expect(next.run).toHaveBeenCalled();
+  });
+});
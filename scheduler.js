@@ -0,0 +1,340 @@
+/**
+ * Scheduled tasks for Slack-Claude Bridge
+ * Cron-scheduled prompts, stored in data/schedules.json (SCHEDULES_PATH) so they survive restarts.
+ * Each due schedule starts a normal agent run in a new thread of its channel (see index.js).
+ *
+ * Cron expressions use five fields in server local time: minute hour day-of-month month day-of-week
+ *   "0 9 * * 1-5"  weekdays at 09:00
+ *   "*\/30 * * * *" every 30 minutes
+ * Lists (1,15), ranges (1-5), steps (*\/15, 8-18/2), month/day names (jan, mon-fri) and
+ * @hourly, @daily, @weekly and @monthly are supported. Runs missed while the
+ * bridge was down are skipped, not caught up.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STORE_PATH = path.join(__dirname, 'data', 'schedules.json');
+const TICK_INTERVAL = 30000; // Check for due schedules every 30 seconds
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+// Schedules: id -> { id, cron, channel, prompt, createdBy, createdAt, paused, lastRunAt, lastThreadTs, nextRunAt }
+const schedules = new Map();
+let storePath = process.env.SCHEDULES_PATH || DEFAULT_STORE_PATH;
+let ticker = null;
+
+/**
+ * Parse one cron field into the set of values it matches
+ * @param {string} text - Field text
+ * @param {Object} field - Entry of FIELDS
+ * @returns {Set<number>}
+ */
+function parseField(text, field) {
+  const values = new Set();
+  const value = (token) => {
+    const index = field.names ? field.names.indexOf(token.toLowerCase()) : -1;
+    const number = index >= 0 ? index + (field.name === 'month' ? 1 : 0) : Number(token);
+    if (!Number.isInteger(number) || number < field.min || number > field.max) {
+      throw new Error(`Invalid ${field.name}: ${token}`);
+    }
+    return number;
+  };
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in ${field.name}: ${part}`);
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = value(from);
+      end = to === undefined ? (stepText === undefined ? start : field.max) : value(to);
+      if (end < start) throw new Error(`Invalid range in ${field.name}: ${part}`);
+    }
+
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five fields or a macro
+ * @returns {Object} { minute, hour, dayOfMonth, month, dayOfWeek, anyDayOfMonth, anyDayOfWeek }
+ */
+function parseCron(expression) {
+  const text = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Expected 5 cron fields, got ${parts.length}: "${expression}"`);
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (dayOfWeek.delete(7)) dayOfWeek.add(0); // 7 is Sunday too
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+}
+
+function matchesDay(cron, date) {
+  const dom = cron.dayOfMonth.has(date.getDate());
+  const dow = cron.dayOfWeek.has(date.getDay());
+  // Standard cron: when both day fields are restricted, either may match
+  if (!cron.anyDayOfMonth && !cron.anyDayOfWeek) return dom || dow;
+  return dom && dow;
+}
+
+/**
+ * Next time a cron expression fires, strictly after `from`
+ * @param {string} expression - Cron expression
+ * @param {number} [from] - Timestamp
+ * @returns {number|null} Timestamp, or null if it never fires within 5 years
+ */
+function nextRun(expression, from = Date.now()) {
+  const cron = parseCron(expression);
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = from + 5 * 366 * 24 * 3600000;
+
+  while (date.getTime() <= limit) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date.getTime();
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Write all schedules to disk (atomic: temp file + rename)
+ */
+function persist() {
+  try {
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    const tmpPath = `${storePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify([...schedules.values()], null, 2));
+    fs.renameSync(tmpPath, storePath);
+  } catch (error) {
+    console.error(`[SCHEDULER] Failed to write ${storePath}:`, error.message);
+  }
+}
+
+/**
+ * Load schedules from disk, replacing anything held in memory
+ * Runs that were due while the bridge was down are skipped to the next future time.
+ * @param {string} [filePath] - Store location (defaults to SCHEDULES_PATH or data/schedules.json)
+ * @param {number} [now] - Timestamp
+ * @returns {Array<Object>} Loaded schedules
+ */
+function loadSchedules(filePath, now = Date.now()) {
+  if (filePath) storePath = filePath;
+  schedules.clear();
+
+  if (!fs.existsSync(storePath)) return [];
+
+  try {
+    for (const schedule of JSON.parse(fs.readFileSync(storePath, 'utf8'))) {
+      if (!schedule || !schedule.id || !schedule.cron) continue;
+      if (!schedule.nextRunAt || schedule.nextRunAt <= now) {
+        if (schedule.nextRunAt && !schedule.paused) {
+          console.log(`[SCHEDULER] Skipping missed run of ${schedule.id} (was due ${new Date(schedule.nextRunAt).toISOString()})`);
+        }
+        schedule.nextRunAt = nextRun(schedule.cron, now);
+      }
+      schedules.set(schedule.id, schedule);
+    }
+    console.log(`[SCHEDULER] Loaded ${schedules.size} schedule(s) from ${storePath}`);
+    persist();
+  } catch (error) {
+    console.error(`[SCHEDULER] Failed to read ${storePath}:`, error.message);
+  }
+
+  return [...schedules.values()];
+}
+
+/**
+ * Add a schedule
+ * @param {Object} fields - { cron, channel, prompt, createdBy, now }
+ * @returns {Object} The schedule (throws on an invalid cron expression)
+ */
+function addSchedule({ cron, channel, prompt, createdBy, now = Date.now() }) {
+  const next = nextRun(cron, now);
+  if (!next) throw new Error(`"${cron}" never fires`);
+
+  const schedule = {
+    id: crypto.randomBytes(3).toString('hex'),
+    cron,
+    channel,
+    prompt,
+    createdBy,
+    createdAt: now,
+    paused: false,
+    lastRunAt: null,
+    lastThreadTs: null,
+    nextRunAt: next
+  };
+
+  schedules.set(schedule.id, schedule);
+  persist();
+  console.log(`[SCHEDULER] Added ${schedule.id} (${cron}) in ${channel} by ${createdBy}`);
+  return schedule;
+}
+
+/**
+ * All schedules, optionally for one channel, soonest first
+ * @param {string} [channel] - Channel ID
+ * @returns {Array<Object>}
+ */
+function listSchedules(channel) {
+  return [...schedules.values()]
+    .filter(schedule => !channel || schedule.channel === channel)
+    .sort((a, b) => (a.paused - b.paused) || (a.nextRunAt - b.nextRunAt));
+}
+
+/**
+ * @param {string} id - Schedule ID
+ * @returns {Object|null}
+ */
+function getSchedule(id) {
+  return schedules.get(id) || null;
+}
+
+/**
+ * Pause or resume a schedule
+ * @param {string} id - Schedule ID
+ * @param {boolean} paused
+ * @param {number} [now] - Timestamp
+ * @returns {Object|null} Updated schedule, null if not found
+ */
+function setSchedulePaused(id, paused, now = Date.now()) {
+  const schedule = schedules.get(id);
+  if (!schedule) return null;
+
+  schedule.paused = paused;
+  if (!paused) schedule.nextRunAt = nextRun(schedule.cron, now);
+  persist();
+  return schedule;
+}
+
+/**
+ * Delete a schedule
+ * @param {string} id - Schedule ID
+ * @returns {boolean} Whether it existed
+ */
+function deleteSchedule(id) {
+  const existed = schedules.delete(id);
+  if (existed) persist();
+  return existed;
+}
+
+/**
+ * Active schedules due at `now`; each is advanced to its next run time
+ * @param {number} [now] - Timestamp
+ * @returns {Array<Object>}
+ */
+function takeDueSchedules(now = Date.now()) {
+  const due = [];
+
+  for (const schedule of schedules.values()) {
+    if (schedule.paused || !schedule.nextRunAt || schedule.nextRunAt > now) continue;
+    schedule.lastRunAt = now;
+    schedule.nextRunAt = nextRun(schedule.cron, now);
+    due.push(schedule);
+  }
+
+  if (due.length > 0) persist();
+  return due;
+}
+
+/**
+ * Remember the thread a schedule's latest run posted to
+ * @param {string} id - Schedule ID
+ * @param {string} threadTs - Thread timestamp
+ */
+function recordScheduleThread(id, threadTs) {
+  const schedule = schedules.get(id);
+  if (!schedule) return;
+  schedule.lastThreadTs = threadTs;
+  persist();
+}
+
+/**
+ * Check for due schedules periodically
+ * @param {Function} onDue - Called with each due schedule
+ */
+function startScheduler(onDue) {
+  stopScheduler();
+  ticker = setInterval(() => {
+    for (const schedule of takeDueSchedules()) {
+      Promise.resolve()
+        .then(() => onDue(schedule))
+        .catch(error => console.error(`[SCHEDULER] Run of ${schedule.id} failed:`, error.message));
+    }
+  }, TICK_INTERVAL);
+}
+
+/**
+ * Stop checking for due schedules
+ */
+function stopScheduler() {
+  if (ticker) clearInterval(ticker);
+  ticker = null;
+}
+
+/**
+ * Forget all schedules in memory (for testing)
+ */
+function clearSchedules() {
+  schedules.clear();
+}
+
+module.exports = {
+  parseCron,
+  nextRun,
+  loadSchedules,
+  addSchedule,
+  listSchedules,
+  getSchedule,
+  setSchedulePaused,
+  deleteSchedule,
+  takeDueSchedules,
+  recordScheduleThread,
+  startScheduler,
+  stopScheduler,
+  clearSchedules
+};
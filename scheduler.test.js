@@ -0,0 +1,129 @@
+/**
+ * Test suite for scheduled tasks
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  parseCron,
+  nextRun,
+  loadSchedules,
+  addSchedule,
+  listSchedules,
+  setSchedulePaused,
+  deleteSchedule,
+  takeDueSchedules,
+  clearSchedules
+} = require('./scheduler');
+
+describe('Scheduler', () => {
+  // Local time, like the scheduler: Wednesday 2026-03-11 10:30
+  const at = (day, hour, minute = 0) => new Date(2026, 2, day, hour, minute).getTime();
+  let tmpDir;
+  let storeFile;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedules-'));
+    storeFile = path.join(tmpDir, 'schedules.json');
+    clearSchedules();
+    loadSchedules(storeFile);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  describe('parseCron', () => {
+    test('should expand lists, ranges, steps and names', () => {
+      const cron = parseCron('*/15 8-18/5 1,15 jan-mar mon-fri');
+
+      expect([...cron.minute]).toEqual([0, 15, 30, 45]);
+      expect([...cron.hour]).toEqual([8, 13, 18]);
+      expect([...cron.dayOfMonth]).toEqual([1, 15]);
+      expect([...cron.month]).toEqual([1, 2, 3]);
+      expect([...cron.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('should treat 7 as Sunday and accept macros', () => {
+      expect([...parseCron('0 0 * * 7').dayOfWeek]).toEqual([0]);
+      expect([...parseCron('@hourly').minute]).toEqual([0]);
+    });
+
+    test('should reject malformed expressions', () => {
+      expect(() => parseCron('0 9 * *')).toThrow('Expected 5 cron fields');
+      expect(() => parseCron('60 * * * *')).toThrow('Invalid minute: 60');
+      expect(() => parseCron('0 9 * * funday')).toThrow('Invalid day of week');
+      expect(() => parseCron('*/0 * * * *')).toThrow('Invalid step');
+    });
+  });
+
+  describe('nextRun', () => {
+    test('should find the next weekday at 09:00', () => {
+      expect(nextRun('0 9 * * 1-5', at(11, 10, 30))).toBe(at(12, 9)); // Wed -> Thu
+      expect(nextRun('0 9 * * 1-5', at(13, 10, 30))).toBe(at(16, 9)); // Fri -> Mon
+    });
+
+    test('should fire strictly after the given time', () => {
+      expect(nextRun('*/30 * * * *', at(11, 10, 30))).toBe(at(11, 11));
+    });
+
+    test('should match either day field when both are restricted', () => {
+      expect(nextRun('0 0 20 * mon', at(11, 10))).toBe(at(16, 0)); // Monday comes before the 20th
+    });
+
+    test('should return null for dates that never occur', () => {
+      expect(nextRun('0 0 31 2 *', at(11, 10))).toBeNull();
+    });
+  });
+
+  describe('store', () => {
+    test('should add, pause, resume and delete schedules', () => {
+      const schedule = addSchedule({ cron: '0 9 * * 1-5', channel: 'C1', prompt: 'run tests', createdBy: 'U1', now: at(11, 10) });
+
+      expect(schedule).toMatchObject({ id: expect.stringMatching(/^[0-9a-f]{6}$/), paused: false, nextRunAt: at(12, 9) });
+      expect(listSchedules('C1')).toEqual([schedule]);
+      expect(listSchedules('C2')).toEqual([]);
+
+      expect(setSchedulePaused(schedule.id, true).paused).toBe(true);
+      expect(setSchedulePaused(schedule.id, false, at(12, 10)).nextRunAt).toBe(at(13, 9));
+      expect(setSchedulePaused('missing', true)).toBeNull();
+
+      expect(deleteSchedule(schedule.id)).toBe(true);
+      expect(deleteSchedule(schedule.id)).toBe(false);
+    });
+
+    test('should reject schedules that never fire', () => {
+      expect(() => addSchedule({ cron: '0 0 30 2 *', channel: 'C1', prompt: 'x', createdBy: 'U1' })).toThrow('never fires');
+    });
+
+    test('should survive a restart and skip runs missed while down', () => {
+      const schedule = addSchedule({ cron: '0 9 * * *', channel: 'C1', prompt: 'daily report', createdBy: 'U1', now: at(11, 10) });
+
+      clearSchedules();
+      const [loaded] = loadSchedules(storeFile, at(13, 12));
+
+      expect(loaded).toMatchObject({ id: schedule.id, prompt: 'daily report', nextRunAt: at(14, 9) });
+    });
+  });
+
+  describe('takeDueSchedules', () => {
+    test('should return active due schedules once and advance them', () => {
+      const daily = addSchedule({ cron: '0 9 * * *', channel: 'C1', prompt: 'a', createdBy: 'U1', now: at(11, 8) });
+      const paused = addSchedule({ cron: '0 9 * * *', channel: 'C1', prompt: 'b', createdBy: 'U1', now: at(11, 8) });
+      setSchedulePaused(paused.id, true);
+
+      expect(takeDueSchedules(at(11, 8, 59))).toEqual([]);
+
+      const due = takeDueSchedules(at(11, 9));
+      expect(due.map(s => s.id)).toEqual([daily.id]);
+      expect(due[0]).toMatchObject({ lastRunAt: at(11, 9), nextRunAt: at(12, 9) });
+
+      expect(takeDueSchedules(at(11, 9))).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Durable session store for Slack-Claude Bridge
+ * Persists thread → Claude session mappings so threads keep using --resume across restarts
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STORE_PATH = path.join(__dirname, 'data', 'sessions.json');
+
+// Session records: threadTs -> { threadTs, channel, sessionId, userId, status, sessionInfoShown, createdAt, updatedAt }
+const sessionRecords = new Map();
+let storePath = process.env.SESSION_STORE_PATH || DEFAULT_STORE_PATH;
+
+/**
+ * Write all records to disk (atomic: temp file + rename)
+ */
+function persist() {
+  try {
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    const tmpPath = `${storePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify([...sessionRecords.values()], null, 2));
+    fs.renameSync(tmpPath, storePath);
+  } catch (error) {
+    console.error(`[SESSION-STORE] Failed to write ${storePath}:`, error.message);
+  }
+}
+
+/**
+ * Load session records from disk, replacing anything held in memory
+ * Records still marked "running" belonged to a process that died with the bridge
+ * and are marked "interrupted".
+ * @param {string} [filePath] - Store location (defaults to SESSION_STORE_PATH or data/sessions.json)
+ * @returns {Array<Object>} Loaded session records
+ */
+function loadSessionStore(filePath) {
+  if (filePath) storePath = filePath;
+  sessionRecords.clear();
+
+  if (!fs.existsSync(storePath)) {
+    console.log(`[SESSION-STORE] No store at ${storePath}, starting empty`);
+    return [];
+  }
+
+  try {
+    const records = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+    for (const record of records) {
+      if (!record || !record.threadTs) continue;
+      if (record.status === 'running') record.status = 'interrupted';
+      sessionRecords.set(record.threadTs, record);
+    }
+    console.log(`[SESSION-STORE] Loaded ${sessionRecords.size} session(s) from ${storePath}`);
+  } catch (error) {
+    console.error(`[SESSION-STORE] Failed to read ${storePath}:`, error.message);
+  }
+
+  return [...sessionRecords.values()];
+}
+
+/**
+ * Create or update the record for a thread and persist it
+ * @param {string} threadTs - Slack thread timestamp
+ * @param {Object} fields - Fields to merge (channel, sessionId, userId, status, sessionInfoShown)
+ * @returns {Object} Updated record
+ */
+function recordSession(threadTs, fields = {}) {
+  const now = Date.now();
+  const existing = sessionRecords.get(threadTs);
+
+  const record = {
+    threadTs,
+    channel: null,
+    sessionId: null,
+    userId: null,
+    status: 'running',
+    sessionInfoShown: false,
+    createdAt: now,
+    ...existing,
+    ...fields,
+    updatedAt: now
+  };
+
+  sessionRecords.set(threadTs, record);
+  persist();
+  return record;
+}
+
+/**
+ * Update an existing record (a thread closed meanwhile stays closed)
+ * @param {string} threadTs - Slack thread timestamp
+ * @param {Object} fields - Fields to merge
+ * @returns {Object|null} Updated record, null if the thread has no record
+ */
+function updateStoredSession(threadTs, fields = {}) {
+  if (!sessionRecords.has(threadTs)) return null;
+  return recordSession(threadTs, fields);
+}
+
+/**
+ * Get the stored record for a thread
+ * @param {string} threadTs - Slack thread timestamp
+ * @returns {Object|undefined} Session record
+ */
+function getStoredSession(threadTs) {
+  return sessionRecords.get(threadTs);
+}
+
+/**
+ * Remove a thread's record
+ * @param {string} threadTs - Slack thread timestamp
+ * @returns {boolean} True if a record was removed
+ */
+function removeStoredSession(threadTs) {
+  const removed = sessionRecords.delete(threadTs);
+  if (removed) persist();
+  return removed;
+}
+
+/**
+ * Drop records that have not been updated within the TTL
+ * @param {number} ttlMs - Time-to-live in milliseconds
+ * @param {number} [now] - Current time (for testing)
+ * @returns {Array<string>} Thread timestamps that were pruned
+ */
+function pruneStoredSessions(ttlMs, now = Date.now()) {
+  const pruned = [];
+
+  for (const [threadTs, record] of sessionRecords.entries()) {
+    if (now - record.updatedAt > ttlMs) {
+      sessionRecords.delete(threadTs);
+      pruned.push(threadTs);
+    }
+  }
+
+  if (pruned.length > 0) {
+    persist();
+    console.log(`[SESSION-STORE] Pruned ${pruned.length} expired session(s)`);
+  }
+
+  return pruned;
+}
+
+/**
+ * Get all stored records (for monitoring)
+ * @returns {Array<Object>} Session records
+ */
+function getAllStoredSessions() {
+  return [...sessionRecords.values()];
+}
+
+/**
+ * Clear in-memory records without touching disk (for testing)
+ */
+function clearSessionStore() {
+  sessionRecords.clear();
+}
+
+module.exports = {
+  loadSessionStore,
+  recordSession,
+  updateStoredSession,
+  getStoredSession,
+  removeStoredSession,
+  pruneStoredSessions,
+  getAllStoredSessions,
+  clearSessionStore
+};
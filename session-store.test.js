@@ -0,0 +1,161 @@
+/**
+ * Test suite for the durable session store
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  loadSessionStore,
+  recordSession,
+  updateStoredSession,
+  getStoredSession,
+  removeStoredSession,
+  pruneStoredSessions,
+  getAllStoredSessions,
+  clearSessionStore
+} = require('./session-store');
+
+describe('Session Store', () => {
+  let tmpDir;
+  let storeFile;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-'));
+    storeFile = path.join(tmpDir, 'nested', 'sessions.json');
+    clearSessionStore();
+    loadSessionStore(storeFile);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('recordSession', () => {
+    test('should create a record with defaults and timestamps', () => {
+      const record = recordSession('1700000000.000100', { channel: 'C1', userId: 'U1' });
+
+      expect(record.threadTs).toBe('1700000000.000100');
+      expect(record.channel).toBe('C1');
+      expect(record.userId).toBe('U1');
+      expect(record.sessionId).toBeNull();
+      expect(record.status).toBe('running');
+      expect(record.createdAt).toBeDefined();
+      expect(record.updatedAt).toBeDefined();
+    });
+
+    test('should merge updates into the existing record', () => {
+      const first = recordSession('t1', { channel: 'C1', userId: 'U1' });
+      recordSession('t1', { sessionId: 'abc-123' });
+
+      const record = getStoredSession('t1');
+      expect(record.channel).toBe('C1');
+      expect(record.sessionId).toBe('abc-123');
+      expect(record.createdAt).toBe(first.createdAt);
+    });
+
+    test('should write records to disk', () => {
+      recordSession('t1', { channel: 'C1', sessionId: 'abc-123' });
+
+      const onDisk = JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+      expect(onDisk).toHaveLength(1);
+      expect(onDisk[0].sessionId).toBe('abc-123');
+    });
+  });
+
+  describe('loadSessionStore', () => {
+    test('should start empty when no file exists', () => {
+      expect(getAllStoredSessions()).toEqual([]);
+    });
+
+    test('should reload records written by a previous run', () => {
+      recordSession('t1', { channel: 'C1', sessionId: 'abc-123', status: 'completed' });
+      clearSessionStore();
+
+      const records = loadSessionStore(storeFile);
+
+      expect(records).toHaveLength(1);
+      expect(getStoredSession('t1').sessionId).toBe('abc-123');
+    });
+
+    test('should mark running sessions as interrupted', () => {
+      recordSession('t1', { sessionId: 'abc-123', status: 'running' });
+      clearSessionStore();
+
+      loadSessionStore(storeFile);
+
+      expect(getStoredSession('t1').status).toBe('interrupted');
+    });
+
+    test('should survive a corrupt store file', () => {
+      fs.mkdirSync(path.dirname(storeFile), { recursive: true });
+      fs.writeFileSync(storeFile, '{not json');
+
+      expect(loadSessionStore(storeFile)).toEqual([]);
+    });
+  });
+
+  describe('updateStoredSession', () => {
+    test('should update an existing record', () => {
+      recordSession('t1', { channel: 'C1', sessionId: 'abc-123' });
+
+      expect(updateStoredSession('t1', { status: 'completed' })).toMatchObject({ channel: 'C1', status: 'completed' });
+    });
+
+    test('should not bring back a thread closed while its run was active', () => {
+      recordSession('t1', { channel: 'C1', sessionId: 'abc-123', status: 'running' });
+      removeStoredSession('t1'); // "close" while the run is going
+
+      expect(updateStoredSession('t1', { status: 'failed' })).toBeNull(); // the run's close event
+      expect(getStoredSession('t1')).toBeUndefined();
+      expect(JSON.parse(fs.readFileSync(storeFile, 'utf8'))).toEqual([]);
+
+      clearSessionStore();
+      expect(loadSessionStore(storeFile)).toEqual([]);
+    });
+  });
+
+  describe('removeStoredSession', () => {
+    test('should remove the record from memory and disk', () => {
+      recordSession('t1', { sessionId: 'abc-123' });
+
+      expect(removeStoredSession('t1')).toBe(true);
+      expect(getStoredSession('t1')).toBeUndefined();
+      expect(JSON.parse(fs.readFileSync(storeFile, 'utf8'))).toEqual([]);
+    });
+
+    test('should return false for unknown threads', () => {
+      expect(removeStoredSession('missing')).toBe(false);
+    });
+  });
+
+  describe('pruneStoredSessions', () => {
+    test('should drop records older than the TTL', () => {
+      recordSession('old', { sessionId: 'a' });
+      recordSession('new', { sessionId: 'b' });
+      getStoredSession('old').updatedAt = Date.now() - 10000;
+
+      const pruned = pruneStoredSessions(5000);
+
+      expect(pruned).toEqual(['old']);
+      expect(getStoredSession('old')).toBeUndefined();
+      expect(getStoredSession('new')).toBeDefined();
+    });
+
+    test('should leave only live records after pruning a freshly loaded store', () => {
+      recordSession('old', { sessionId: 'a', status: 'completed' });
+      recordSession('new', { sessionId: 'b', status: 'completed' });
+      const onDisk = JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+      onDisk.find(record => record.threadTs === 'old').updatedAt = Date.now() - 10000;
+      fs.writeFileSync(storeFile, JSON.stringify(onDisk));
+      clearSessionStore();
+
+      const loaded = loadSessionStore(storeFile);
+      pruneStoredSessions(5000);
+
+      expect(loaded.map(record => record.threadTs)).toEqual(['old', 'new']); // read before pruning
+      expect(getAllStoredSessions().map(record => record.threadTs)).toEqual(['new']);
+    });
+  });
+});
@@ -0,0 +1,352 @@
+/**
+ * Markdown rendering for Slack-Claude Bridge
+ * Converts the agent's GitHub-flavoured Markdown into Slack mrkdwn and Block Kit sections,
+ * and Slack's message markup back into plain Markdown for prompts. Also the small formatters
+ * shared by messages, /ai and the App Home (durations, thread links).
+ */
+
+const SECTION_LIMIT = 3000; // Max mrkdwn chars in a section block
+const MESSAGE_BLOCK_LIMIT = 50; // Max blocks per message
+const MESSAGE_CHAR_LIMIT = 12000; // Keep each message comfortably readable
+const RULE = '──────────';
+
+/**
+ * Escape the characters Slack treats as markup
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+function escapeSlack(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Convert inline Markdown (bold, italics, strikethrough, links, code spans) to mrkdwn
+ * @param {string} text - One line of Markdown
+ * @param {Object} [options] - { heading } - drop bold markers (the caller bolds the whole line);
+ *   code spans and links keep their `*`
+ * @returns {string}
+ */
+function convertInline(text, { heading = false } = {}) {
+  // Protect code spans and links from the emphasis rules
+  const tokens = [];
+  const protect = (value) => `\u0000${tokens.push(value) - 1}\u0000`;
+  const bold = (inner) => (heading ? inner : protect(`*${inner}*`));
+
+  let result = text.replace(/(`+)([\s\S]+?)\1(?!`)/g, (match, ticks, code) => protect(`\`${escapeSlack(code.replace(/`/g, 'ˋ'))}\``));
+  result = escapeSlack(result);
+
+  result = result
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (match, alt, url) => protect(alt ? `<${url}|${alt}>` : `<${url}>`))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (match, label, url) => protect(`<${url}|${label.replace(/[*_~]/g, '')}>`))
+    .replace(/&lt;(https?:\/\/[^\s&]+)&gt;/g, (match, url) => protect(`<${url}>`))
+    .replace(/\*\*\*(?!\s)(.+?)(?<!\s)\*\*\*/g, (match, inner) => (heading ? `_${inner}_` : protect(`*_${inner}_*`)))
+    .replace(/\*\*(?!\s)(.+?)(?<!\s)\*\*/g, (match, inner) => bold(inner))
+    .replace(/(^|\W)__(?!\s)(.+?)(?<!\s)__(?!\w)/g, (match, before, inner) => before + bold(inner))
+    .replace(/(^|[^*\w])\*(?![\s*])(.+?)(?<![\s*])\*(?![*\w])/g, '$1_$2_')
+    .replace(/~~(?!\s)(.+?)(?<!\s)~~/g, '~$1~');
+
+  // Stray asterisks would end a heading's bold early (code spans and links are still protected here)
+  if (heading) result = result.replace(/\*/g, '');
+
+  // Restore protected spans (links may contain bold placeholders and vice versa)
+  while (/\u0000\d+\u0000/.test(result)) {
+    result = result.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+  }
+
+  return result;
+}
+
+/**
+ * Convert one non-code, non-table line
+ * @param {string} line - Markdown line
+ * @returns {string}
+ */
+function convertLine(line) {
+  const heading = line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+  if (heading) {
+    return `*${convertInline(heading[1], { heading: true })}*`;
+  }
+
+  if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+    return RULE;
+  }
+
+  const bullet = line.match(/^(\s*)[-*+]\s+(?:\[([ xX])\]\s+)?(.*)$/);
+  if (bullet) {
+    const indent = '    '.repeat(Math.floor(bullet[1].replace(/\t/g, '  ').length / 2));
+    const marker = bullet[2] === undefined ? '•' : (bullet[2] === ' ' ? '☐' : '☑');
+    return `${indent}${marker} ${convertInline(bullet[3])}`;
+  }
+
+  const numbered = line.match(/^(\s*)(\d+)[.)]\s+(.*)$/);
+  if (numbered) {
+    const indent = '    '.repeat(Math.floor(numbered[1].replace(/\t/g, '  ').length / 2));
+    return `${indent}${numbered[2]}. ${convertInline(numbered[3])}`;
+  }
+
+  const quote = line.match(/^\s{0,3}>\s?(.*)$/);
+  if (quote) {
+    return `> ${convertInline(quote[1])}`;
+  }
+
+  return convertInline(line);
+}
+
+/**
+ * Split a table row into cells
+ * @param {string} line - "| a | b |"
+ * @returns {string[]}
+ */
+function tableCells(line) {
+  return line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Render a Markdown table as aligned preformatted text
+ * @param {string[]} lines - Header, separator and body rows
+ * @returns {string} Code block
+ */
+function renderTable(lines) {
+  const plain = (cell) => cell
+    .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+    .replace(/(\*\*|__|~~|`)/g, '');
+
+  const rows = [lines[0], ...lines.slice(2)].map(line => tableCells(line).map(plain));
+  const columns = Math.max(...rows.map(row => row.length));
+  const widths = Array.from({ length: columns }, (_, i) => Math.max(...rows.map(row => (row[i] || '').length)));
+
+  const format = (row) => widths.map((width, i) => (row[i] || '').padEnd(width)).join(' | ').trimEnd();
+  const body = [
+    format(rows[0]),
+    widths.map(width => '-'.repeat(width)).join('-+-'),
+    ...rows.slice(1).map(format)
+  ];
+
+  return '```\n' + escapeSlack(body.join('\n')) + '\n```';
+}
+
+/**
+ * Wrap code for a mrkdwn code block (the language tag is dropped; inner fences are broken up)
+ * @param {string[]} lines - Code lines
+ * @returns {string}
+ */
+function renderCode(lines) {
+  return '```\n' + escapeSlack(lines.join('\n').replace(/```/g, '``\u200b`')) + '\n```';
+}
+
+/**
+ * Split Markdown into rendered segments
+ * @param {string} markdown - Agent output
+ * @returns {Array<{type: string, text: string}>} type is 'text', 'code' or 'table'
+ */
+function renderSegments(markdown = '') {
+  const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+  const segments = [];
+  let textLines = [];
+
+  const flushText = () => {
+    const text = textLines.join('\n').replace(/^\n+|\n+$/g, '');
+    if (text.trim()) segments.push({ type: 'text', text });
+    textLines = [];
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+
+    // Fenced code: closes on the same fence character with at least the same length
+    const fence = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fence) {
+      flushText();
+      const marker = fence[1];
+      const closing = new RegExp(`^\\s*${marker[0] === '`' ? '`' : '~'}{${marker.length},}\\s*$`);
+      const code = [];
+      i++;
+      while (i < lines.length && !closing.test(lines[i])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++; // Skip the closing fence (or run past the end of an unclosed one)
+      segments.push({ type: 'code', text: renderCode(code) });
+      continue;
+    }
+
+    // Table: a row followed by a |---|---| separator
+    if (line.includes('|') && i + 1 < lines.length && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)+\|?\s*$/.test(lines[i + 1])) {
+      flushText();
+      const table = [line, lines[i + 1]];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        table.push(lines[i]);
+        i++;
+      }
+      segments.push({ type: 'table', text: renderTable(table) });
+      continue;
+    }
+
+    textLines.push(convertLine(line));
+    i++;
+  }
+
+  flushText();
+  return segments;
+}
+
+/**
+ * Convert Markdown to a single mrkdwn string
+ * @param {string} markdown - Agent output
+ * @returns {string}
+ */
+function markdownToMrkdwn(markdown) {
+  return renderSegments(markdown).map(segment => segment.text).join('\n');
+}
+
+/**
+ * Break a rendered segment into pieces under a size limit, on line boundaries
+ * Code and table pieces are re-fenced so each one renders on its own.
+ * @param {Object} segment - { type, text }
+ * @param {number} limit - Max chars per piece
+ * @returns {string[]}
+ */
+function splitSegment(segment, limit) {
+  if (segment.text.length <= limit) return [segment.text];
+
+  const fenced = segment.type !== 'text';
+  const body = fenced ? segment.text.slice(4, -4) : segment.text;
+  const wrap = fenced ? (text) => '```\n' + text + '\n```' : (text) => text;
+  const room = limit - (fenced ? 8 : 0);
+
+  const pieces = [];
+  let current = '';
+  for (const line of body.split('\n')) {
+    // Hard-split lines that don't fit on their own
+    const parts = line.length > room ? line.match(new RegExp(`[\\s\\S]{1,${room}}`, 'g')) : [line];
+    for (const part of parts) {
+      if (current && current.length + 1 + part.length > room) {
+        pieces.push(wrap(current));
+        current = part;
+      } else {
+        current = current ? `${current}\n${part}` : part;
+      }
+    }
+  }
+  if (current) pieces.push(wrap(current));
+
+  return pieces;
+}
+
+/**
+ * Render Markdown as Block Kit section blocks
+ * @param {string} markdown - Agent output
+ * @param {Object} options - { sectionLimit }
+ * @returns {Array<Object>} Section blocks
+ */
+function renderMarkdownBlocks(markdown, { sectionLimit = SECTION_LIMIT } = {}) {
+  return renderSegments(markdown)
+    .flatMap(segment => splitSegment(segment, sectionLimit))
+    .map(text => ({ type: 'section', text: { type: 'mrkdwn', text } }));
+}
+
+/**
+ * Render Markdown as one or more Slack messages, split at block boundaries
+ * @param {string} markdown - Agent output
+ * @param {Object} options - { sectionLimit, maxBlocks, maxChars }
+ * @returns {Array<{text: string, blocks: Array<Object>}>} Messages for chat.postMessage (none for empty input)
+ */
+function renderMarkdownMessages(markdown, { sectionLimit = SECTION_LIMIT, maxBlocks = MESSAGE_BLOCK_LIMIT, maxChars = MESSAGE_CHAR_LIMIT } = {}) {
+  const messages = [];
+  let blocks = [];
+  let chars = 0;
+
+  const flush = () => {
+    if (blocks.length === 0) return;
+    messages.push({ text: blocks.map(block => block.text.text).join('\n'), blocks });
+    blocks = [];
+    chars = 0;
+  };
+
+  for (const block of renderMarkdownBlocks(markdown, { sectionLimit })) {
+    if (blocks.length >= maxBlocks || (blocks.length > 0 && chars + block.text.text.length > maxChars)) {
+      flush();
+    }
+    blocks.push(block);
+    chars += block.text.text.length;
+  }
+  flush();
+
+  return messages;
+}
+
+/**
+ * Convert Slack message markup to plain Markdown for the agent
+ * Links and entities are unwrapped; formatting characters are kept (code, file names with underscores).
+ * @param {string} text - Slack message text
+ * @returns {string}
+ */
+function slackToMarkdown(text = '') {
+  return text
+    .replace(/<(https?:\/\/[^|>]+)\|([^>]+)>/g, '[$2]($1)')
+    .replace(/<(https?:\/\/[^>]+)>/g, '$1')
+    .replace(/<mailto:[^|>]+\|([^>]+)>/g, '$1')
+    .replace(/<#[A-Z0-9]+\|([^>]+)>/g, '#$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Human-readable duration
+ * @param {number} ms - Milliseconds
+ * @returns {string} e.g. "45s", "3m 12s", "2h 5m"
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+}
+
+/**
+ * URL of a thread's root message
+ * @param {string|null} teamUrl - Workspace URL from auth.test (e.g. https://team.slack.com/)
+ * @param {string} channel - Channel ID
+ * @param {string} threadTs - Thread timestamp
+ * @returns {string|null} null when the workspace URL or channel is unknown
+ */
+function threadUrl(teamUrl, channel, threadTs) {
+  if (!teamUrl || !channel) return null;
+  return `${teamUrl.replace(/\/?$/, '/')}archives/${channel}/p${threadTs.replace('.', '')}`;
+}
+
+/**
+ * Link to a thread's root message
+ * @param {string|null} teamUrl - Workspace URL from auth.test
+ * @param {string} channel - Channel ID
+ * @param {string} threadTs - Thread timestamp
+ * @returns {string} mrkdwn link, or the raw ts when the workspace URL is unknown
+ */
+function threadLink(teamUrl, channel, threadTs) {
+  const url = threadUrl(teamUrl, channel, threadTs);
+  return url ? `<${url}|${threadTs}>` : `\`${threadTs}\``;
+}
+
+module.exports = {
+  escapeSlack,
+  convertInline,
+  markdownToMrkdwn,
+  renderMarkdownBlocks,
+  renderMarkdownMessages,
+  slackToMarkdown,
+  formatDuration,
+  threadUrl,
+  threadLink
+};
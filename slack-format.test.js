@@ -0,0 +1,180 @@
+/**
+ * Test suite for Markdown to Slack rendering
+ */
+
+const {
+  convertInline,
+  markdownToMrkdwn,
+  renderMarkdownBlocks,
+  renderMarkdownMessages,
+  slackToMarkdown,
+  formatDuration,
+  threadLink
+} = require('./slack-format');
+
+describe('Slack Format', () => {
+  describe('convertInline', () => {
+    test('should convert bold, italics and strikethrough', () => {
+      expect(convertInline('**bold** and *italic* and ~~gone~~')).toBe('*bold* and _italic_ and ~gone~');
+      expect(convertInline('__bold__ text')).toBe('*bold* text');
+    });
+
+    test('should leave snake_case identifiers alone', () => {
+      expect(convertInline('set my__private__var and my_var')).toBe('set my__private__var and my_var');
+    });
+
+    test('should convert links and images', () => {
+      expect(convertInline('see [the docs](https://example.com/a_b_c)')).toBe('see <https://example.com/a_b_c|the docs>');
+      expect(convertInline('![diagram](https://example.com/d.png)')).toBe('<https://example.com/d.png|diagram>');
+      expect(convertInline('<https://example.com>')).toBe('<https://example.com>');
+    });
+
+    test('should not touch formatting inside code spans', () => {
+      expect(convertInline('run `npm **test**` now')).toBe('run `npm **test**` now');
+    });
+
+    test('should escape Slack control characters', () => {
+      expect(convertInline('a < b && c > d')).toBe('a &lt; b &amp;&amp; c &gt; d');
+      expect(convertInline('`if (a < b)`')).toBe('`if (a &lt; b)`');
+    });
+  });
+
+  describe('markdownToMrkdwn', () => {
+    test('should render headings as bold lines', () => {
+      expect(markdownToMrkdwn('## Test **Results**')).toBe('*Test Results*');
+    });
+
+    test('should keep asterisks inside code spans and links in headings', () => {
+      expect(markdownToMrkdwn('# Fix `a*b` in [glob](https://example.com/a*b)')).toBe('*Fix `a*b` in <https://example.com/a*b|glob>*');
+    });
+
+    test('should render lists with nesting and task boxes', () => {
+      const text = markdownToMrkdwn('- one\n  - nested\n* [x] done\n1. first');
+
+      expect(text).toBe('• one\n    • nested\n☑ done\n1. first');
+    });
+
+    test('should render horizontal rules and quotes', () => {
+      expect(markdownToMrkdwn('---')).toBe('──────────');
+      expect(markdownToMrkdwn('> **note**')).toBe('> *note*');
+    });
+
+    test('should drop the language tag from code fences', () => {
+      const text = markdownToMrkdwn('Before\n```js\nconst a = 1 < 2;\n```\nAfter');
+
+      expect(text).toBe('Before\n```\nconst a = 1 &lt; 2;\n```\nAfter');
+    });
+
+    test('should keep nested fences inside longer fences', () => {
+      const text = markdownToMrkdwn('````md\n```bash\nnpm test\n```\n````');
+
+      expect(text).toBe('```\n``\u200b`bash\nnpm test\n``\u200b`\n```');
+    });
+
+    test('should close unterminated code fences', () => {
+      expect(markdownToMrkdwn('```\nstill code')).toBe('```\nstill code\n```');
+    });
+
+    test('should render tables as aligned preformatted text', () => {
+      const text = markdownToMrkdwn('| Suite | Result |\n|---|:---:|\n| **unit** | 42 passed |\n| e2e | `1 failed` |');
+
+      expect(text).toBe([
+        '```',
+        'Suite | Result',
+        '------+----------',
+        'unit  | 42 passed',
+        'e2e   | 1 failed',
+        '```'
+      ].join('\n'));
+    });
+  });
+
+  describe('renderMarkdownBlocks', () => {
+    test('should emit one section per text, code or table segment', () => {
+      const blocks = renderMarkdownBlocks('Intro\n\n```\ncode\n```\nOutro');
+
+      expect(blocks.map(block => block.text.text)).toEqual(['Intro', '```\ncode\n```', 'Outro']);
+      expect(blocks[0]).toEqual({ type: 'section', text: { type: 'mrkdwn', text: 'Intro' } });
+    });
+
+    test('should split long code blocks on line boundaries and re-fence each piece', () => {
+      const code = Array.from({ length: 40 }, (_, i) => `line ${i}`).join('\n');
+
+      const blocks = renderMarkdownBlocks('```\n' + code + '\n```', { sectionLimit: 100 });
+
+      expect(blocks.length).toBeGreaterThan(1);
+      for (const block of blocks) {
+        expect(block.text.text.length).toBeLessThanOrEqual(100);
+        expect(block.text.text.startsWith('```\n')).toBe(true);
+        expect(block.text.text.endsWith('\n```')).toBe(true);
+      }
+      expect(blocks.map(block => block.text.text.slice(4, -4)).join('\n')).toBe(code);
+    });
+
+    test('should hard-split single lines longer than the limit', () => {
+      const blocks = renderMarkdownBlocks('x'.repeat(250), { sectionLimit: 100 });
+
+      expect(blocks.map(block => block.text.text.length)).toEqual([100, 100, 50]);
+    });
+  });
+
+  describe('renderMarkdownMessages', () => {
+    test('should keep short replies in one message with a text fallback', () => {
+      const messages = renderMarkdownMessages('**Done** - all tests pass');
+
+      expect(messages).toHaveLength(1);
+      expect(messages[0].text).toBe('*Done* - all tests pass');
+    });
+
+    test('should return no messages for empty or blank input', () => {
+      expect(renderMarkdownMessages('')).toEqual([]);
+      expect(renderMarkdownMessages('  \n\n')).toEqual([]);
+    });
+
+    test('should start a new message at the block limit', () => {
+      const markdown = Array.from({ length: 5 }, (_, i) => `para ${i}\n\`\`\`\ncode ${i}\n\`\`\``).join('\n');
+
+      const messages = renderMarkdownMessages(markdown, { maxBlocks: 4 });
+
+      expect(messages.map(message => message.blocks.length)).toEqual([4, 4, 2]);
+    });
+
+    test('should start a new message at the character limit', () => {
+      const markdown = ['a'.repeat(80), '```', 'b'.repeat(80), '```', 'c'.repeat(80)].join('\n');
+
+      const messages = renderMarkdownMessages(markdown, { maxChars: 200 });
+
+      expect(messages).toHaveLength(2);
+    });
+  });
+
+  describe('slackToMarkdown', () => {
+    test('should unwrap links and entities but keep formatting', () => {
+      expect(slackToMarkdown('fix `my_file.py` per <https://example.com/x|the ticket> &amp; <https://example.com>'))
+        .toBe('fix `my_file.py` per [the ticket](https://example.com/x) & https://example.com');
+    });
+
+    test('should render channel references by name', () => {
+      expect(slackToMarkdown('post in <#C123|general>')).toBe('post in #general');
+    });
+  });
+
+  describe('formatDuration', () => {
+    test('should format seconds, minutes and hours', () => {
+      expect(formatDuration(45000)).toBe('45s');
+      expect(formatDuration(192000)).toBe('3m 12s');
+      expect(formatDuration(7500000)).toBe('2h 5m');
+    });
+  });
+
+  describe('threadLink', () => {
+    test('should build an archive link', () => {
+      expect(threadLink('https://team.slack.com/', 'C1', '1700000000.000100'))
+        .toBe('<https://team.slack.com/archives/C1/p1700000000000100|1700000000.000100>');
+    });
+
+    test('should fall back to the timestamp without a workspace URL', () => {
+      expect(threadLink(null, 'C1', '1700000000.000100')).toBe('`1700000000.000100`');
+    });
+  });
+});
@@ -0,0 +1,262 @@
+/**
+ * /ai slash command for Slack-Claude Bridge
+ * Parsing and formatting for session administration (status, kill, resume, usage, schedule, config)
+ */
+
+const { formatTokens } = require('./usage');
+const { formatDuration, threadLink } = require('./slack-format');
+
+// Subcommands and whether they need an admin role
+const AI_SUBCOMMANDS = {
+  status: { admin: false, usage: '/ai status', description: 'List active thread sessions (admins see everyone\'s)' },
+  kill: { admin: false, usage: '/ai kill <thread ts | thread link>', description: 'Stop a thread\'s run and forget its session (admins, or the thread\'s requester)' },
+  resume: { admin: true, usage: '/ai resume <session-id>', description: 'Attach an existing CLI session to a new thread in this channel' },
+  usage: { admin: false, usage: '/ai usage [today|week|month]', description: 'Token and cost totals per user and channel (admins see everyone)' },
+  schedule: { admin: true, usage: '/ai schedule [list | add <cron> [#channel] <prompt> | pause <id> | resume <id> | delete <id>]', description: 'Recurring tasks that post to a new thread in a channel' },
+  config: { admin: true, usage: '/ai config', description: 'Show the effective bridge settings' },
+  help: { admin: false, usage: '/ai help', description: 'Show this help' }
+};
+
+/**
+ * Split "/ai" text into a subcommand and arguments
+ * @param {string} text - Text after the command
+ * @returns {Object} { name, args } - name is null for unknown subcommands
+ */
+function parseAiCommand(text = '') {
+  const [first = 'help', ...args] = text.trim().split(/\s+/).filter(Boolean);
+  const name = first.toLowerCase();
+
+  return {
+    name: AI_SUBCOMMANDS[name] ? name : null,
+    input: first,
+    args
+  };
+}
+
+/**
+ * Extract a thread timestamp from a raw ts or a Slack message link
+ * @param {string} ref - "1700000000.000100", "<https://team.slack.com/archives/C1/p1700000000000100>" or a link with ?thread_ts=
+ * @returns {string|null} Thread timestamp
+ */
+function parseThreadRef(ref = '') {
+  const cleaned = ref.replace(/^<|>$/g, '').split('|')[0];
+
+  const threadParam = cleaned.match(/[?&]thread_ts=(\d+\.\d+)/);
+  if (threadParam) return threadParam[1];
+
+  const permalink = cleaned.match(/\/p(\d{10})(\d{6})(?:$|[?#])/);
+  if (permalink) return `${permalink[1]}.${permalink[2]}`;
+
+  if (/^\d+\.\d+$/.test(cleaned)) return cleaned;
+
+  return null;
+}
+
+/**
+ * Format the active sessions table for /ai status
+ * @param {Array<[string, Object]>} sessions - Entries of threadSessions
+ * @param {Object} options - { teamUrl, now, queued } - queued: waiting jobs from RunQueue.snapshot()
+ * @returns {string} mrkdwn text
+ */
+function formatStatus(sessions, { teamUrl = null, now = Date.now(), queued = [] } = {}) {
+  const queueLines = queued.map((job, index) =>
+    `• ${index + 1}. ${threadLink(teamUrl, job.channel, job.id)}${job.userId ? ` · <@${job.userId}>` : ''} · waiting ${formatDuration(now - job.queuedAt)}`
+  );
+  const queueSection = queueLines.length > 0 ? `\n\n⏳ *${queueLines.length} queued*\n${queueLines.join('\n')}` : '';
+
+  if (sessions.length === 0) {
+    return `ℹ️ No active thread sessions.${queueSection}`;
+  }
+
+  const running = sessions.filter(([, session]) => session.run).length;
+  const lines = sessions.map(([threadTs, session]) => {
+    const state = session.run ? `🟢 running (${session.type})` : '⚪ idle';
+    const sessionId = session.sessionId ? `\`${session.sessionId.slice(0, 8)}\`` : '_pending_';
+    const owner = session.userId ? ` · <@${session.userId}>` : '';
+    const workspace = session.workspace ? ` · ${session.workspace}` : '';
+
+    return `• ${threadLink(teamUrl, session.channel, threadTs)} ${state} · elapsed ${formatDuration(now - session.startTime)} · idle ${formatDuration(now - session.lastActivity)} · session ${sessionId}${owner}${workspace}`;
+  });
+
+  return `📋 *${sessions.length} thread session(s)*, ${running} running\n\n${lines.join('\n')}${queueSection}`;
+}
+
+// "/ai usage" period arguments
+const USAGE_PERIODS = { today: 'day', day: 'day', week: 'week', month: 'month' };
+
+/**
+ * Format a usage report for /ai usage
+ * @param {Object} report - From usage.usageReport()
+ * @param {Object} options - { onlyUser } - restrict to one user's line (non-admins)
+ * @returns {string} mrkdwn text
+ */
+function formatUsageReport(report, { onlyUser = null } = {}) {
+  const titles = { day: 'today', week: 'the last 7 days', month: 'this month' };
+  const line = (label, totals) =>
+    `• ${label} - ${totals.runs} run(s) · ${formatTokens(totals.inputTokens + totals.cacheCreationTokens)} in / ${formatTokens(totals.outputTokens)} out · $${totals.costUsd.toFixed(2)}`;
+
+  if (onlyUser) {
+    const mine = report.users.find(u => u.id === onlyUser);
+    return mine
+      ? `🪙 *Your usage ${titles[report.period]}*
+
+${line(`<@${onlyUser}>`, mine)}`
+      : `🪙 No usage recorded for you ${titles[report.period]}.`;
+  }
+
+  if (report.total.runs === 0) {
+    return `🪙 No usage recorded ${titles[report.period]}.`;
+  }
+
+  return [
+    `🪙 *Usage ${titles[report.period]}* - ${report.total.runs} run(s), $${report.total.costUsd.toFixed(2)}`,
+    '',
+    '*By user:*',
+    ...report.users.map(u => line(`<@${u.id}>`, u)),
+    '',
+    '*By channel:*',
+    ...report.channels.map(c => line(`<#${c.id}>`, c))
+  ].join('\n');
+}
+
+/**
+ * Parse "/ai schedule" arguments
+ * The cron expression is five fields (or one @macro), followed by an optional channel and the prompt.
+ * @param {string[]} args - Arguments after "schedule"
+ * @returns {Object} { action, id } | { action: 'add', cron, channel, prompt } | { error }
+ */
+function parseScheduleArgs(args = []) {
+  const [first = 'list', ...rest] = args;
+  const action = first.toLowerCase();
+
+  if (action === 'list') return { action };
+
+  if (['pause', 'resume', 'delete'].includes(action)) {
+    return rest[0] ? { action, id: rest[0] } : { error: `Usage: \`/ai schedule ${action} <id>\`` };
+  }
+
+  if (action !== 'add') {
+    return { error: `Unknown schedule action \`${first}\`. Use list, add, pause, resume or delete.` };
+  }
+
+  const fieldCount = rest[0]?.startsWith('@') ? 1 : 5;
+  const cron = rest.slice(0, fieldCount).join(' ');
+  let remaining = rest.slice(fieldCount);
+
+  // "<#C123|name>" when Slack escapes channels, or a raw channel ID
+  const channelMatch = remaining[0]?.match(/^<#([CG][A-Z0-9]+)(?:\|[^>]*)?>$/) || remaining[0]?.match(/^([CG][A-Z0-9]{8,})$/);
+  const channel = channelMatch ? channelMatch[1] : null;
+  if (channelMatch) remaining = remaining.slice(1);
+
+  if (!channel && /^#[\w-]+$/.test(remaining[0] || '')) {
+    return { error: `Couldn't resolve \`${remaining[0]}\` - turn on "Escape channels, users, and links" for /ai, or pass the channel ID.` };
+  }
+
+  const prompt = remaining.join(' ').trim();
+  if (rest.length < fieldCount || !prompt) {
+    return { error: 'Usage: `/ai schedule add <cron> [#channel] <prompt>`, e.g. `/ai schedule add 0 9 * * 1-5 #ci run the backend test suite and summarise failures`' };
+  }
+
+  return { action, cron, channel, prompt };
+}
+
+/**
+ * Format schedules for /ai schedule list
+ * @param {Array<Object>} schedules - From scheduler.listSchedules()
+ * @param {Object} options - { teamUrl, now }
+ * @returns {string} mrkdwn text
+ */
+function formatSchedules(schedules, { teamUrl = null, now = Date.now() } = {}) {
+  if (schedules.length === 0) {
+    return 'ℹ️ No scheduled tasks. Add one with `/ai schedule add <cron> [#channel] <prompt>`.';
+  }
+
+  const lines = schedules.map(schedule => {
+    const state = schedule.paused
+      ? '⏸️ paused'
+      : `next in ${schedule.nextRunAt ? formatDuration(schedule.nextRunAt - now) : 'never'}`;
+    const last = schedule.lastThreadTs ? ` · last run ${threadLink(teamUrl, schedule.channel, schedule.lastThreadTs)}` : '';
+    const prompt = schedule.prompt.length > 80 ? `${schedule.prompt.slice(0, 80)}...` : schedule.prompt;
+
+    return `• \`${schedule.id}\` \`${schedule.cron}\` → <#${schedule.channel}> · ${state}${last} · <@${schedule.createdBy}>\n   _${prompt}_`;
+  });
+
+  return `⏰ *${schedules.length} scheduled task(s)*\n\n${lines.join('\n')}`;
+}
+
+/**
+ * Format effective settings for /ai config
+ * @param {Object} settings - Values gathered by the bridge
+ * @returns {string} mrkdwn text
+ */
+function formatConfig(settings) {
+  const lines = [
+    '⚙️ *Bridge configuration*',
+    '',
+    `*Backend:* ${settings.backend.configured} (this channel: ${settings.backend.channel})`,
+    `*Auto-respond channels:* ${settings.autoRespondChannels.length > 0 ? settings.autoRespondChannels.map(c => `<#${c}>`).join(', ') : 'none (mentions only)'}`,
+    `*Session TTL:* ${formatDuration(settings.sessionTtl)}`,
+    `*Tool approvals:* ${settings.approvals.enabled ? `on (timeout ${settings.approvals.timeoutSeconds}s)` : 'off'}`,
+    ...(settings.budgets ? [`*Budgets:* ${formatBudgets(settings.budgets)}`] : []),
+    ...(settings.installations ? [`*Installed in:* ${settings.installations.map(t => `${t.name || t.id} (\`${t.id}\`${t.configured ? ', own config' : ''})`).join(', ') || 'no teams yet'}`] : []),
+    '',
+    '*Workspaces:*',
+    ...settings.workspaces.map(w =>
+      `• \`${w.name}\`${w.isDefault ? ' (default)' : ''} → \`${w.cwd}\`` +
+      `${w.model ? `, model ${w.model}` : ''}` +
+      `${w.channels.length > 0 ? `, channels ${w.channels.map(c => `<#${c}>`).join(' ')}` : ''}`
+    ),
+    ''
+  ];
+
+  if (settings.accessPolicy.enabled) {
+    lines.push(
+      `*Access policy:* ${settings.accessPolicy.users} user(s), ${settings.accessPolicy.usergroups} user group(s), default role ${settings.accessPolicy.defaultRole || 'none'}`,
+      ...settings.accessPolicy.roles.map(r => `• \`${r.name}\` → ${r.permissionMode}${r.admin ? ' (admin)' : ''}`),
+      `*Allowed channels:* ${settings.accessPolicy.allowedChannels ? settings.accessPolicy.allowedChannels.map(c => `<#${c}>`).join(', ') : 'all'}`
+    );
+  } else {
+    lines.push('*Access policy:* none - every user runs with bypassPermissions');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Describe configured budgets
+ * @param {Object} budgets - From usage.getBudgets()
+ * @returns {string}
+ */
+function formatBudgets(budgets) {
+  const limits = [
+    ['user/day', budgets.user.day],
+    ['user/month', budgets.user.month],
+    ['channel/day', budgets.channel.day],
+    ['channel/month', budgets.channel.month]
+  ].filter(([, amount]) => amount > 0);
+
+  if (limits.length === 0) return 'none';
+  return `${limits.map(([label, amount]) => `$${amount} ${label}`).join(', ')} (${budgets.mode})`;
+}
+
+/**
+ * Help text listing the subcommands
+ * @returns {string} mrkdwn text
+ */
+function formatAiHelp() {
+  const lines = Object.values(AI_SUBCOMMANDS).map(c => `• \`${c.usage}\` - ${c.description}${c.admin ? ' _(admin)_' : ''}`);
+  return `*/ai commands*\n\n${lines.join('\n')}`;
+}
+
+module.exports = {
+  AI_SUBCOMMANDS,
+  parseAiCommand,
+  parseThreadRef,
+  formatStatus,
+  USAGE_PERIODS,
+  formatUsageReport,
+  parseScheduleArgs,
+  formatSchedules,
+  formatConfig,
+  formatAiHelp
+};
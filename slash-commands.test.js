@@ -0,0 +1,252 @@
+/**
+ * Test suite for /ai slash command parsing and formatting
+ */
+
+const {
+  parseAiCommand,
+  parseThreadRef,
+  formatStatus,
+  formatUsageReport,
+  parseScheduleArgs,
+  formatSchedules,
+  formatConfig,
+  formatAiHelp
+} = require('./slash-commands');
+
+describe('Slash Commands', () => {
+  describe('parseAiCommand', () => {
+    test('should split subcommand and arguments', () => {
+      expect(parseAiCommand('kill 1700000000.000100')).toEqual({
+        name: 'kill',
+        input: 'kill',
+        args: ['1700000000.000100']
+      });
+    });
+
+    test('should default to help', () => {
+      expect(parseAiCommand('').name).toBe('help');
+      expect(parseAiCommand('   ').name).toBe('help');
+    });
+
+    test('should be case-insensitive', () => {
+      expect(parseAiCommand('STATUS').name).toBe('status');
+    });
+
+    test('should return null for unknown subcommands', () => {
+      const parsed = parseAiCommand('explode now');
+
+      expect(parsed.name).toBeNull();
+      expect(parsed.input).toBe('explode');
+    });
+  });
+
+  describe('parseThreadRef', () => {
+    test('should accept raw thread timestamps', () => {
+      expect(parseThreadRef('1700000000.000100')).toBe('1700000000.000100');
+    });
+
+    test('should accept message permalinks', () => {
+      expect(parseThreadRef('<https://team.slack.com/archives/C123/p1700000000000100>')).toBe('1700000000.000100');
+    });
+
+    test('should prefer thread_ts in reply links', () => {
+      expect(parseThreadRef('https://team.slack.com/archives/C123/p1700000009000200?thread_ts=1700000000.000100&cid=C123'))
+        .toBe('1700000000.000100');
+    });
+
+    test('should reject anything else', () => {
+      expect(parseThreadRef('')).toBeNull();
+      expect(parseThreadRef('thread-1')).toBeNull();
+    });
+  });
+
+  describe('formatStatus', () => {
+    test('should report no sessions', () => {
+      expect(formatStatus([])).toContain('No active thread sessions');
+    });
+
+    test('should list sessions with elapsed and idle time', () => {
+      const now = 1000000;
+      const text = formatStatus([
+        ['1700000000.000100', {
+          sessionId: 'abcdef12-3456',
+          run: {},
+          type: 'async',
+          startTime: now - 125000,
+          lastActivity: now - 5000,
+          channel: 'C1',
+          userId: 'U1',
+          workspace: 'backend'
+        }],
+        ['1700000000.000200', {
+          sessionId: null,
+          run: null,
+          type: 'restored',
+          startTime: now - 3600000,
+          lastActivity: now - 3600000,
+          channel: 'C1'
+        }]
+      ], { now });
+
+      expect(text).toContain('2 thread session(s)*, 1 running');
+      expect(text).toContain('running (async) · elapsed 2m 5s · idle 5s · session `abcdef12` · <@U1> · backend');
+      expect(text).toContain('idle · elapsed 1h 0m');
+      expect(text).toContain('_pending_');
+    });
+
+    test('should list queued runs in order', () => {
+      const now = 1000000;
+      const text = formatStatus([], {
+        now,
+        queued: [
+          { id: '1700000000.000300', userId: 'U2', channel: 'C1', queuedAt: now - 30000 },
+          { id: '1700000000.000400', userId: 'U3', channel: 'C2', queuedAt: now - 5000 }
+        ]
+      });
+
+      expect(text).toContain('No active thread sessions');
+      expect(text).toContain('⏳ *2 queued*');
+      expect(text).toContain('• 1. `1700000000.000300` · <@U2> · waiting 30s');
+      expect(text).toContain('• 2. `1700000000.000400` · <@U3> · waiting 5s');
+    });
+  });
+
+  describe('formatUsageReport', () => {
+    const totals = (runs, costUsd) => ({ runs, inputTokens: 12000, outputTokens: 3400, cacheReadTokens: 0, cacheCreationTokens: 300, costUsd });
+    const report = {
+      period: 'week',
+      users: [{ id: 'U1', ...totals(3, 1.5) }, { id: 'U2', ...totals(1, 0.25) }],
+      channels: [{ id: 'C1', ...totals(4, 1.75) }],
+      total: totals(4, 1.75)
+    };
+
+    test('should list users and channels for admins', () => {
+      const text = formatUsageReport(report);
+
+      expect(text).toContain('*Usage the last 7 days* - 4 run(s), $1.75');
+      expect(text).toContain('• <@U1> - 3 run(s) · 12.3k in / 3.4k out · $1.50');
+      expect(text).toContain('• <#C1> - 4 run(s)');
+    });
+
+    test('should show only the requesting user otherwise', () => {
+      const text = formatUsageReport(report, { onlyUser: 'U2' });
+
+      expect(text).toContain('*Your usage the last 7 days*');
+      expect(text).not.toContain('U1');
+      expect(formatUsageReport(report, { onlyUser: 'U9' })).toContain('No usage recorded for you');
+    });
+  });
+
+  describe('parseScheduleArgs', () => {
+    const split = (text) => text.split(/\s+/);
+
+    test('should parse cron fields, channel and prompt', () => {
+      expect(parseScheduleArgs(split('add 0 9 * * 1-5 <#C0123ABCD|ci> run the backend test suite'))).toEqual({
+        action: 'add',
+        cron: '0 9 * * 1-5',
+        channel: 'C0123ABCD',
+        prompt: 'run the backend test suite'
+      });
+    });
+
+    test('should accept macros and default the channel', () => {
+      expect(parseScheduleArgs(split('add @daily summarise open PRs'))).toEqual({
+        action: 'add',
+        cron: '@daily',
+        channel: null,
+        prompt: 'summarise open PRs'
+      });
+    });
+
+    test('should default to list and require ids and prompts', () => {
+      expect(parseScheduleArgs([])).toEqual({ action: 'list' });
+      expect(parseScheduleArgs(['pause', 'a1b2c3'])).toEqual({ action: 'pause', id: 'a1b2c3' });
+      expect(parseScheduleArgs(['delete']).error).toContain('/ai schedule delete <id>');
+      expect(parseScheduleArgs(split('add 0 9 * * 1-5')).error).toContain('Usage');
+      expect(parseScheduleArgs(['edit']).error).toContain('Unknown schedule action');
+      expect(parseScheduleArgs(split('add @daily #ci report')).error).toContain('Escape channels');
+    });
+  });
+
+  describe('formatSchedules', () => {
+    test('should show state, next run and last thread', () => {
+      const now = Date.now();
+      const text = formatSchedules([
+        { id: 'a1b2c3', cron: '0 9 * * 1-5', channel: 'C1', prompt: 'run tests', createdBy: 'U1', paused: false, nextRunAt: now + 3600000, lastThreadTs: '1700000000.000100' },
+        { id: 'd4e5f6', cron: '@daily', channel: 'C2', prompt: 'x', createdBy: 'U2', paused: true, nextRunAt: now }
+      ], { teamUrl: 'https://team.slack.com/', now });
+
+      expect(text).toContain('*2 scheduled task(s)*');
+      expect(text).toContain('`a1b2c3` `0 9 * * 1-5` → <#C1> · next in 1h 0m · last run <https://team.slack.com/archives/C1/p1700000000000100|1700000000.000100>');
+      expect(text).toContain('`d4e5f6` `@daily` → <#C2> · ⏸️ paused');
+    });
+
+    test('should explain how to add one when empty', () => {
+      expect(formatSchedules([])).toContain('/ai schedule add');
+    });
+  });
+
+  describe('formatConfig', () => {
+    const settings = {
+      backend: { configured: 'auto', channel: 'cli' },
+      autoRespondChannels: ['C1'],
+      sessionTtl: 7 * 24 * 3600000,
+      approvals: { enabled: true, timeoutSeconds: 300 },
+      workspaces: [{ name: 'backend', cwd: '/srv/backend', model: null, isDefault: true, channels: ['C1'] }],
+      accessPolicy: { enabled: false }
+    };
+
+    test('should show backend, workspaces and approvals', () => {
+      const text = formatConfig(settings);
+
+      expect(text).toContain('*Backend:* auto (this channel: cli)');
+      expect(text).toContain('`backend` (default) → `/srv/backend`, channels <#C1>');
+      expect(text).toContain('on (timeout 300s)');
+      expect(text).toContain('every user runs with bypassPermissions');
+    });
+
+    test('should list configured budgets', () => {
+      const text = formatConfig({
+        ...settings,
+        budgets: { mode: 'block', user: { day: 5, month: 0 }, channel: { day: 0, month: 100 } }
+      });
+
+      expect(text).toContain('*Budgets:* $5 user/day, $100 channel/month (block)');
+    });
+
+    test('should list installed teams in multi-workspace mode', () => {
+      const text = formatConfig({
+        ...settings,
+        installations: [{ id: 'T1', name: 'Acme', configured: true }, { id: 'T2', name: null, configured: false }]
+      });
+
+      expect(text).toContain('*Installed in:* Acme (`T1`, own config), T2 (`T2`)');
+    });
+
+    test('should summarise the access policy', () => {
+      const text = formatConfig({
+        ...settings,
+        accessPolicy: {
+          enabled: true,
+          users: 2,
+          usergroups: 1,
+          defaultRole: 'viewer',
+          roles: [{ name: 'lead', permissionMode: 'bypassPermissions', admin: true }],
+          allowedChannels: null
+        }
+      });
+
+      expect(text).toContain('2 user(s), 1 user group(s), default role viewer');
+      expect(text).toContain('`lead` → bypassPermissions (admin)');
+    });
+  });
+
+  describe('formatAiHelp', () => {
+    test('should mark admin-only subcommands', () => {
+      const help = formatAiHelp();
+
+      expect(help).toContain('/ai resume <session-id>');
+      expect(help).toMatch(/\/ai config`.*_\(admin\)_/);
+    });
+  });
+});
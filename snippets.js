@@ -0,0 +1,80 @@
+/**
+ * Long output handling for Slack-Claude Bridge
+ * Text over the message threshold is posted as a short preview and attached in full
+ * as a file snippet (files.uploadV2) instead of being cut off.
+ */
+
+// Longest text posted inline (Slack truncates section text around 3000 chars)
+const SNIPPET_THRESHOLD = parseInt(process.env.SNIPPET_THRESHOLD_CHARS || '3000', 10);
+const PREVIEW_CHARS = 1200;
+
+/**
+ * Whether text is too long to post as a message
+ * @param {string} text - Message text
+ * @param {number} threshold - Character limit
+ * @returns {boolean}
+ */
+function needsSnippet(text, threshold = SNIPPET_THRESHOLD) {
+  return typeof text === 'string' && text.length > threshold;
+}
+
+/**
+ * Beginning of a long text, cut on a line boundary where possible
+ * @param {string} text - Full text
+ * @param {number} maxChars - Preview length
+ * @returns {string}
+ */
+function previewText(text, maxChars = PREVIEW_CHARS) {
+  if (text.length <= maxChars) return text;
+
+  const head = text.slice(0, maxChars);
+  const lastBreak = head.lastIndexOf('\n');
+  return (lastBreak > maxChars / 2 ? head.slice(0, lastBreak) : head).trimEnd();
+}
+
+/**
+ * Note appended to a preview
+ * @param {string} text - Full text
+ * @returns {string}
+ */
+function attachedNote(text) {
+  const lines = text.split('\n').length;
+  return `📎 _Full content attached (${text.length.toLocaleString('en-US')} characters, ${lines.toLocaleString('en-US')} lines)_`;
+}
+
+/**
+ * File name for a snippet
+ * @param {string} kind - e.g. "response", "output", "run-log"
+ * @param {string} threadTs - Thread timestamp
+ * @param {string} extension - "md" or "txt"
+ * @returns {string}
+ */
+function snippetFilename(kind, threadTs, extension = 'txt') {
+  return `${kind}-${threadTs.replace('.', '-')}.${extension}`;
+}
+
+/**
+ * Upload text to a thread as a file snippet
+ * @param {Object} client - Slack WebClient
+ * @param {Object} options - { channel, threadTs, content, filename, title, token }
+ * @returns {Promise<Object>} files.uploadV2 result
+ */
+function uploadSnippet(client, { channel, threadTs, content, filename, title, token }) {
+  return client.files.uploadV2({
+    channel_id: channel,
+    thread_ts: threadTs,
+    content,
+    filename,
+    title: title || filename,
+    token
+  });
+}
+
+module.exports = {
+  SNIPPET_THRESHOLD,
+  needsSnippet,
+  previewText,
+  attachedNote,
+  snippetFilename,
+  uploadSnippet
+};
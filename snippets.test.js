@@ -0,0 +1,69 @@
+/**
+ * Test suite for long output snippets
+ */
+
+const {
+  needsSnippet,
+  previewText,
+  attachedNote,
+  snippetFilename,
+  uploadSnippet
+} = require('./snippets');
+
+describe('Snippets', () => {
+  describe('needsSnippet', () => {
+    test('should only flag text over the threshold', () => {
+      expect(needsSnippet('x'.repeat(3000), 3000)).toBe(false);
+      expect(needsSnippet('x'.repeat(3001), 3000)).toBe(true);
+      expect(needsSnippet(undefined, 3000)).toBe(false);
+    });
+  });
+
+  describe('previewText', () => {
+    test('should return short text unchanged', () => {
+      expect(previewText('short', 100)).toBe('short');
+    });
+
+    test('should cut on a line boundary', () => {
+      const text = Array.from({ length: 50 }, (_, i) => `line ${i}`).join('\n');
+
+      const preview = previewText(text, 100);
+
+      expect(preview.length).toBeLessThanOrEqual(100);
+      expect(preview.endsWith('line 12')).toBe(true);
+    });
+
+    test('should hard-cut text without line breaks', () => {
+      expect(previewText('x'.repeat(500), 100)).toBe('x'.repeat(100));
+    });
+  });
+
+  describe('attachedNote', () => {
+    test('should describe the attached content', () => {
+      expect(attachedNote('a\nb\nc')).toBe('📎 _Full content attached (5 characters, 3 lines)_');
+    });
+  });
+
+  describe('uploadSnippet', () => {
+    test('should upload into the thread', async () => {
+      const client = { files: { uploadV2: jest.fn(async () => ({ ok: true })) } };
+
+      await uploadSnippet(client, {
+        channel: 'C1',
+        threadTs: '1700000000.000100',
+        content: 'report',
+        filename: snippetFilename('response', '1700000000.000100', 'md'),
+        token: 'xoxb-test'
+      });
+
+      expect(client.files.uploadV2).toHaveBeenCalledWith({
+        channel_id: 'C1',
+        thread_ts: '1700000000.000100',
+        content: 'report',
+        filename: 'response-1700000000-000100.md',
+        title: 'response-1700000000-000100.md',
+        token: 'xoxb-test'
+      });
+    });
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * HTTP task API for Slack-Claude Bridge
+ * Lets CI jobs and scripts hand work to the agent: a task becomes a new Slack thread that runs
+ * like a mention, so people can follow up in the thread (which resumes the same session).
+ *
+ *   POST /tasks      { prompt, channel, team?, workspace?, callbackUrl? }
+ *                    -> 202 { id, status, channel, threadTs, threadUrl }
+ *   GET  /tasks/:id  -> the task, with its result once it has finished
+ *
+ * Every request needs "Authorization: Bearer <TASK_API_TOKEN>". When the run ends, the task is
+ * POSTed as JSON to its callbackUrl, signed with an HMAC-SHA256 of the body keyed by the token
+ * (X-Bridge-Signature: sha256=<hex>).
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_TASKS = 500; // Finished tasks kept for GET /tasks/:id
+const CALLBACK_ATTEMPTS = 3;
+const CALLBACK_RETRY_DELAY = 5000;
+const CALLBACK_TIMEOUT = 15000;
+
+// Tasks: id -> { id, status, prompt, channel, team, workspace, callbackUrl, threadTs, threadUrl, createdAt, finishedAt, ... }
+const tasks = new Map();
+let server = null;
+
+/**
+ * Check a POST /tasks body
+ * @param {Object} body - Parsed JSON
+ * @returns {Object} { prompt, channel, team, workspace, callbackUrl } (throws with a message for the client)
+ */
+function validateTaskRequest(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new Error('Body must be a JSON object');
+  }
+
+  const { prompt, channel, team = null, workspace = null, callbackUrl = null } = body;
+
+  if (typeof prompt !== 'string' || !prompt.trim()) throw new Error('"prompt" is required');
+  if (typeof channel !== 'string' || !/^[CGD][A-Z0-9]+$/.test(channel)) {
+    throw new Error('"channel" must be a Slack channel ID (e.g. C0123456789)');
+  }
+  // Multi-workspace installs: the Slack team the channel is in, if the bridge hasn't seen it yet
+  if (team !== null && (typeof team !== 'string' || !/^[TE][A-Z0-9]+$/.test(team))) {
+    throw new Error('"team" must be a Slack team ID (e.g. T0123456789)');
+  }
+  if (workspace !== null && typeof workspace !== 'string') throw new Error('"workspace" must be a string');
+
+  if (callbackUrl !== null) {
+    let url;
+    try {
+      url = new URL(callbackUrl);
+    } catch (error) {
+      throw new Error('"callbackUrl" is not a valid URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error('"callbackUrl" must be http(s)');
+  }
+
+  return { prompt: prompt.trim(), channel, team, workspace, callbackUrl };
+}
+
+/**
+ * Record a new task
+ * @param {Object} fields - { prompt, channel, team, workspace, callbackUrl }
+ * @returns {Object} The task
+ */
+function createTask(fields) {
+  const task = {
+    id: crypto.randomBytes(8).toString('hex'),
+    status: 'queued',
+    ...fields,
+    threadTs: null,
+    threadUrl: null,
+    createdAt: new Date().toISOString(),
+    finishedAt: null
+  };
+  tasks.set(task.id, task);
+
+  // Forget the oldest tasks beyond the cap
+  for (const id of tasks.keys()) {
+    if (tasks.size <= MAX_TASKS) break;
+    tasks.delete(id);
+  }
+
+  return task;
+}
+
+/**
+ * Update a task
+ * @param {string} id - Task ID
+ * @param {Object} fields - Fields to set
+ * @returns {Object|null} Updated task, null if unknown
+ */
+function updateTask(id, fields) {
+  const task = tasks.get(id);
+  if (!task) return null;
+  Object.assign(task, fields);
+  return task;
+}
+
+/**
+ * @param {string} id - Task ID
+ * @returns {Object|null}
+ */
+function getTask(id) {
+  return tasks.get(id) || null;
+}
+
+/**
+ * Signature header value for a callback body
+ * @param {string} body - JSON body
+ * @param {string} secret - TASK_API_TOKEN
+ * @returns {string}
+ */
+function signPayload(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * POST a finished task to its callback URL, retrying failed deliveries
+ * @param {string} url - Callback URL
+ * @param {Object} payload - Task
+ * @param {Object} options - { secret, attempts, retryDelay }
+ * @returns {Promise<boolean>} Whether it was delivered
+ */
+async function deliverCallback(url, payload, { secret, attempts = CALLBACK_ATTEMPTS, retryDelay = CALLBACK_RETRY_DELAY } = {}) {
+  const body = JSON.stringify(payload);
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(secret && { 'X-Bridge-Signature': signPayload(body, secret) })
+        },
+        body,
+        signal: AbortSignal.timeout(CALLBACK_TIMEOUT)
+      });
+      if (response.ok) {
+        console.log(`[TASK-API] Delivered task ${payload.id} to callback`);
+        return true;
+      }
+      console.error(`[TASK-API] Callback for task ${payload.id} returned ${response.status} (attempt ${attempt}/${attempts})`);
+    } catch (error) {
+      console.error(`[TASK-API] Callback for task ${payload.id} failed (attempt ${attempt}/${attempts}):`, error.message);
+    }
+
+    if (attempt < attempts) await new Promise(resolve => setTimeout(resolve, retryDelay * attempt));
+  }
+
+  return false;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+}
+
+function authorized(req, token) {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const given = Buffer.from(req.headers.authorization || '');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Body too large'), { statusCode: 413 }));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Start the task API
+ * @param {Object} options - { port, host, token, onSubmit }
+ *   onSubmit(task) creates the task's thread and starts it; resolves with { threadTs, threadUrl }.
+ *   Errors with a statusCode (e.g. 403 for access denied) are returned to the client as-is.
+ * @returns {Promise<string>} Base URL
+ */
+function startTaskApiServer({ port, host = '127.0.0.1', token, onSubmit }) {
+  if (!token) return Promise.reject(new Error('TASK_API_TOKEN is required for the task API'));
+
+  server = http.createServer(async (req, res) => {
+    const url = req.url.split('?')[0];
+
+    if (!authorized(req, token)) {
+      sendJson(res, 401, { error: 'unauthorized' });
+      return;
+    }
+
+    try {
+      if (req.method === 'POST' && url === '/tasks') {
+        let body;
+        try {
+          body = JSON.parse(await readBody(req));
+        } catch (error) {
+          throw Object.assign(new Error(error.statusCode ? error.message : 'Body must be valid JSON'), { statusCode: error.statusCode || 400 });
+        }
+
+        let request;
+        try {
+          request = validateTaskRequest(body);
+        } catch (error) {
+          throw Object.assign(error, { statusCode: 400 });
+        }
+
+        const task = createTask(request);
+        try {
+          Object.assign(task, await onSubmit(task));
+        } catch (error) {
+          tasks.delete(task.id);
+          throw error;
+        }
+
+        console.log(`[TASK-API] Task ${task.id} started in ${task.channel} (thread ${task.threadTs})`);
+        sendJson(res, 202, { id: task.id, status: task.status, channel: task.channel, threadTs: task.threadTs, threadUrl: task.threadUrl });
+      } else if (req.method === 'GET' && url.startsWith('/tasks/')) {
+        const task = getTask(decodeURIComponent(url.slice('/tasks/'.length)));
+        if (task) {
+          sendJson(res, 200, task);
+        } else {
+          sendJson(res, 404, { error: 'unknown task' });
+        }
+      } else {
+        sendJson(res, 404, { error: 'not found' });
+      }
+    } catch (error) {
+      const status = error.statusCode || 500;
+      if (status >= 500) console.error('[TASK-API] Request failed:', error.message);
+      sendJson(res, status, { error: error.message });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const baseUrl = `http://${host}:${server.address().port}`;
+      console.log(`[TASK-API] Task API listening on ${baseUrl}`);
+      resolve(baseUrl);
+    });
+  });
+}
+
+/**
+ * Stop the task API (for testing and shutdown)
+ * @returns {Promise<void>}
+ */
+function stopTaskApiServer() {
+  if (!server) return Promise.resolve();
+  return new Promise((resolve) => {
+    server.close(() => resolve());
+    server = null;
+  });
+}
+
+/**
+ * Forget all tasks (for testing)
+ */
+function clearTasks() {
+  tasks.clear();
+}
+
+module.exports = {
+  validateTaskRequest,
+  createTask,
+  updateTask,
+  getTask,
+  signPayload,
+  deliverCallback,
+  startTaskApiServer,
+  stopTaskApiServer,
+  clearTasks
+};
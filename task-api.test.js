@@ -0,0 +1,164 @@
+/**
+ * Test suite for the HTTP task API
+ */
+
+const http = require('http');
+
+const {
+  validateTaskRequest,
+  createTask,
+  updateTask,
+  getTask,
+  signPayload,
+  deliverCallback,
+  startTaskApiServer,
+  stopTaskApiServer,
+  clearTasks
+} = require('./task-api');
+
+describe('Task API', () => {
+  const TOKEN = 'test-token';
+
+  beforeEach(() => {
+    clearTasks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await stopTaskApiServer();
+    jest.restoreAllMocks();
+  });
+
+  describe('validateTaskRequest', () => {
+    test('should accept a prompt and channel with optional fields', () => {
+      expect(validateTaskRequest({ prompt: '  fix the build ', channel: 'C0123' })).toEqual({
+        prompt: 'fix the build',
+        channel: 'C0123',
+        team: null,
+        workspace: null,
+        callbackUrl: null
+      });
+      expect(validateTaskRequest({ prompt: 'x', channel: 'C0123', team: 'T0123', workspace: 'backend', callbackUrl: 'https://ci.example.com/hook' }))
+        .toMatchObject({ team: 'T0123', workspace: 'backend', callbackUrl: 'https://ci.example.com/hook' });
+    });
+
+    test('should reject missing or malformed fields', () => {
+      expect(() => validateTaskRequest(null)).toThrow('Body must be a JSON object');
+      expect(() => validateTaskRequest({ channel: 'C0123' })).toThrow('"prompt" is required');
+      expect(() => validateTaskRequest({ prompt: 'x', channel: '#general' })).toThrow('"channel" must be a Slack channel ID');
+      expect(() => validateTaskRequest({ prompt: 'x', channel: 'C0123', team: 'acme' })).toThrow('"team" must be a Slack team ID');
+      expect(() => validateTaskRequest({ prompt: 'x', channel: 'C0123', callbackUrl: 'not a url' })).toThrow('not a valid URL');
+      expect(() => validateTaskRequest({ prompt: 'x', channel: 'C0123', callbackUrl: 'file:///etc/passwd' })).toThrow('must be http(s)');
+    });
+  });
+
+  test('should create, update and look up tasks', () => {
+    const task = createTask({ prompt: 'x', channel: 'C1', workspace: null, callbackUrl: null });
+
+    expect(task).toMatchObject({ id: expect.stringMatching(/^[0-9a-f]{16}$/), status: 'queued', threadTs: null });
+    expect(updateTask(task.id, { status: 'running' }).status).toBe('running');
+    expect(getTask(task.id)).toBe(task);
+    expect(updateTask('missing', {})).toBeNull();
+  });
+
+  describe('server', () => {
+    let baseUrl;
+    let onSubmit;
+
+    const request = (method, path, { body, token = TOKEN } = {}) => fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { ...(token && { Authorization: `Bearer ${token}` }), 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    });
+
+    beforeEach(async () => {
+      onSubmit = jest.fn(async () => ({ threadTs: '1700000000.000100', threadUrl: 'https://team.slack.com/archives/C0123/p1700000000000100' }));
+      baseUrl = await startTaskApiServer({ port: 0, token: TOKEN, onSubmit });
+    });
+
+    test('should refuse requests without the token', async () => {
+      expect((await request('POST', '/tasks', { body: {}, token: null })).status).toBe(401);
+      expect((await request('GET', '/tasks/abc', { token: 'wrong' })).status).toBe(401);
+      expect(onSubmit).not.toHaveBeenCalled();
+    });
+
+    test('should start a task and return its thread', async () => {
+      const response = await request('POST', '/tasks', { body: { prompt: 'why did CI fail?', channel: 'C0123' } });
+      const body = await response.json();
+
+      expect(response.status).toBe(202);
+      expect(body).toEqual({
+        id: expect.any(String),
+        status: 'queued',
+        channel: 'C0123',
+        threadTs: '1700000000.000100',
+        threadUrl: 'https://team.slack.com/archives/C0123/p1700000000000100'
+      });
+      expect(onSubmit).toHaveBeenCalledWith(expect.objectContaining({ id: body.id, prompt: 'why did CI fail?' }));
+
+      updateTask(body.id, { status: 'completed', result: 'Flaky test' });
+      const task = await (await request('GET', `/tasks/${body.id}`)).json();
+      expect(task).toMatchObject({ status: 'completed', result: 'Flaky test', threadTs: '1700000000.000100' });
+    });
+
+    test('should report bad requests and submit errors', async () => {
+      const invalid = await request('POST', '/tasks', { body: '{nope' });
+      expect(invalid.status).toBe(400);
+      expect(await invalid.json()).toEqual({ error: 'Body must be valid JSON' });
+
+      expect((await request('POST', '/tasks', { body: { prompt: 'x' } })).status).toBe(400);
+
+      onSubmit.mockRejectedValueOnce(Object.assign(new Error('Access denied: no role'), { statusCode: 403 }));
+      const denied = await request('POST', '/tasks', { body: { prompt: 'x', channel: 'C0123' } });
+      expect(denied.status).toBe(403);
+      expect(await denied.json()).toEqual({ error: 'Access denied: no role' });
+
+      expect((await request('GET', '/tasks/unknown')).status).toBe(404);
+    });
+  });
+
+  describe('deliverCallback', () => {
+    let receiver;
+    let received;
+    let statuses;
+
+    beforeEach(async () => {
+      received = [];
+      statuses = [];
+      receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ body, signature: req.headers['x-bridge-signature'] });
+          res.writeHead(statuses.shift() || 200).end();
+        });
+      });
+      await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => receiver.close(resolve));
+    });
+
+    test('should POST the signed task, retrying failures', async () => {
+      statuses.push(500);
+      const url = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+      const delivered = await deliverCallback(url, { id: 't1', status: 'completed' }, { secret: TOKEN, retryDelay: 1 });
+
+      expect(delivered).toBe(true);
+      expect(received).toHaveLength(2);
+      expect(JSON.parse(received[1].body)).toEqual({ id: 't1', status: 'completed' });
+      expect(received[1].signature).toBe(signPayload(received[1].body, TOKEN));
+    });
+
+    test('should give up after the last attempt', async () => {
+      statuses.push(500, 502);
+      const url = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+      await expect(deliverCallback(url, { id: 't2' }, { attempts: 2, retryDelay: 1 })).resolves.toBe(false);
+      expect(received[0].signature).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * Multi-workspace installation for Slack-Claude Bridge
+ * With SLACK_CLIENT_ID, SLACK_CLIENT_SECRET and SLACK_STATE_SECRET set, the app is installed into
+ * Slack teams through OAuth (/slack/install) instead of running on a single SLACK_BOT_TOKEN:
+ *
+ * - Installations are kept by a file-backed Bolt installationStore, one JSON file per team (or
+ *   Enterprise Grid org) under INSTALLATIONS_DIR, and cached so every API call can look up the
+ *   bot token of the team it is for.
+ * - The team each channel belongs to is learned from incoming events and saved, so work started
+ *   outside Slack (schedules, the task API) uses the right token after a restart too.
+ * - teams.json (TEAMS_CONFIG) gives a team its own auto-respond channels, workspaces file and
+ *   access policy; teams without an entry use the global configuration.
+ *
+ * Without OAuth every channel resolves to SLACK_BOT_TOKEN, as before.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadWorkspaces } = require('./workspaces');
+const { loadAccessPolicy } = require('./access-policy');
+
+const DEFAULT_INSTALLATIONS_DIR = path.join(__dirname, 'data', 'installations');
+const DEFAULT_TEAMS_CONFIG_PATH = path.join(__dirname, 'teams.json');
+const CHANNELS_FILE = 'channels.json';
+
+// Bot scopes requested at install time (keep in sync with SLACK-APP-SETUP.md)
+const BOT_SCOPES = [
+  'app_mentions:read',
+  'channels:history',
+  'channels:read',
+  'chat:write',
+  'chat:write.public',
+  'im:history',
+  'im:read',
+  'im:write',
+  'reactions:write',
+  'commands',
+  'users:read',
+  'usergroups:read',
+  'metadata.message:read',
+  'files:read',
+  'files:write'
+];
+
+let installationsDir = process.env.INSTALLATIONS_DIR || DEFAULT_INSTALLATIONS_DIR;
+const installations = new Map(); // team or enterprise ID -> Bolt installation
+let channelTeams = {}; // channel ID -> { teamId, enterpriseId }
+let teams = {}; // team ID -> { autoChannels, workspaces, accessPolicy }
+
+/**
+ * Whether the bridge is installed through OAuth (multi-workspace mode)
+ * @returns {boolean}
+ */
+function oauthEnabled() {
+  return Boolean(process.env.SLACK_CLIENT_ID && process.env.SLACK_CLIENT_SECRET);
+}
+
+/**
+ * Write a JSON file only the bridge's user can read (atomic: temp file + rename)
+ */
+function writePrivateJson(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Key an installation is stored under: the org for org-wide installs, else the team
+ * @param {Object} query - { teamId, enterpriseId, isEnterpriseInstall }
+ * @returns {string|undefined}
+ */
+function installationKey({ teamId, enterpriseId, isEnterpriseInstall }) {
+  return isEnterpriseInstall ? enterpriseId : teamId;
+}
+
+function installationFile(key) {
+  return path.join(installationsDir, `${key}.json`);
+}
+
+/**
+ * Load saved installations and channel teams from disk, replacing anything held in memory
+ * @param {string} [dir] - Directory (defaults to INSTALLATIONS_DIR or data/installations)
+ * @returns {number} Installations loaded
+ */
+function loadInstallations(dir) {
+  if (dir) installationsDir = dir;
+  installations.clear();
+  channelTeams = {};
+
+  if (!fs.existsSync(installationsDir)) {
+    return 0;
+  }
+
+  for (const file of fs.readdirSync(installationsDir)) {
+    if (!file.endsWith('.json')) continue;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(installationsDir, file), 'utf8'));
+      if (file === CHANNELS_FILE) {
+        channelTeams = data;
+      } else {
+        installations.set(path.basename(file, '.json'), data);
+      }
+    } catch (error) {
+      console.error(`[TEAMS] Failed to read ${file}:`, error.message);
+    }
+  }
+
+  console.log(`[TEAMS] Loaded ${installations.size} installation(s), ${Object.keys(channelTeams).length} known channel(s)`);
+  return installations.size;
+}
+
+// Bolt installationStore: saves what the OAuth flow returns and hands it back to authorize each request
+const installationStore = {
+  async storeInstallation(installation) {
+    const key = installation.isEnterpriseInstall ? installation.enterprise.id : installation.team.id;
+    writePrivateJson(installationFile(key), installation);
+    installations.set(key, installation);
+    console.log(`[TEAMS] Installed in ${installation.team?.name || installation.enterprise?.name || key} (${key})`);
+  },
+
+  async fetchInstallation(query) {
+    const key = installationKey(query);
+    const installation = key && installations.get(key);
+    if (!installation) {
+      throw new Error(`No installation for ${key || 'unknown team'}`);
+    }
+    return installation;
+  },
+
+  async deleteInstallation(query) {
+    const key = installationKey(query);
+    if (!key || !installations.delete(key)) return;
+
+    fs.rmSync(installationFile(key), { force: true });
+    for (const [channel, team] of Object.entries(channelTeams)) {
+      if (team.teamId === key || team.enterpriseId === key) delete channelTeams[channel];
+    }
+    writePrivateJson(path.join(installationsDir, CHANNELS_FILE), channelTeams);
+    console.log(`[TEAMS] Removed installation ${key}`);
+  }
+};
+
+/**
+ * Remember which team a channel belongs to (saved when it changes)
+ * @param {string} channel - Slack channel ID
+ * @param {Object} team - { teamId, enterpriseId } (e.g. Bolt's request context)
+ */
+function rememberChannelTeam(channel, { teamId, enterpriseId } = {}) {
+  if (!channel || !teamId) return;
+
+  const known = channelTeams[channel];
+  if (known && known.teamId === teamId && known.enterpriseId === (enterpriseId || null)) return;
+
+  channelTeams[channel] = { teamId, enterpriseId: enterpriseId || null };
+  try {
+    writePrivateJson(path.join(installationsDir, CHANNELS_FILE), channelTeams);
+  } catch (error) {
+    console.error('[TEAMS] Failed to save channel teams:', error.message);
+  }
+}
+
+/**
+ * Team a channel belongs to
+ * @param {string} channel - Slack channel ID
+ * @returns {string|null} Team ID, null if not seen yet
+ */
+function teamForChannel(channel) {
+  return channelTeams[channel]?.teamId || null;
+}
+
+/**
+ * Installation that serves a channel (its team's, else its org's; the only one if there is just one)
+ * @param {string} channel - Slack channel ID
+ * @returns {Object|null}
+ */
+function installationForChannel(channel) {
+  const team = channelTeams[channel];
+  const installation = team && (installations.get(team.teamId) || installations.get(team.enterpriseId));
+  if (installation) return installation;
+
+  return installations.size === 1 ? installations.values().next().value : null;
+}
+
+/**
+ * Bot token for API calls about a channel
+ * @param {string} channel - Slack channel ID
+ * @returns {string|undefined} The channel's team's token with OAuth, otherwise SLACK_BOT_TOKEN
+ */
+function botToken(channel) {
+  if (!oauthEnabled()) {
+    return process.env.SLACK_BOT_TOKEN;
+  }
+
+  const token = installationForChannel(channel)?.bot?.token;
+  if (!token) {
+    console.warn(`[TEAMS] No installation known for channel ${channel}`);
+  }
+  return token;
+}
+
+/**
+ * Bot user ID in a channel's team (null when it's the single-token bot, see auth.test)
+ * @param {string} channel - Slack channel ID
+ * @returns {string|null}
+ */
+function botUserIdFor(channel) {
+  return oauthEnabled() ? installationForChannel(channel)?.bot?.userId || null : null;
+}
+
+/**
+ * Load per-team configuration and each team's workspaces and access policy files
+ * File paths are relative to the teams file.
+ * @param {string} [filePath] - Location (defaults to TEAMS_CONFIG or teams.json)
+ * @returns {Object} team ID -> { autoChannels, workspaces, accessPolicy }
+ */
+function loadTeams(filePath = process.env.TEAMS_CONFIG || DEFAULT_TEAMS_CONFIG_PATH) {
+  teams = {};
+
+  if (!fs.existsSync(filePath)) {
+    return teams;
+  }
+
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const resolve = (file) => path.resolve(path.dirname(filePath), file);
+
+  for (const [teamId, entry] of Object.entries(raw)) {
+    if (!Array.isArray(entry.autoChannels || [])) {
+      throw new Error(`Team ${teamId} in ${filePath}: "autoChannels" must be a list of channel IDs`);
+    }
+
+    if (entry.workspaces) loadWorkspaces(resolve(entry.workspaces), teamId);
+    if (entry.accessPolicy) loadAccessPolicy(resolve(entry.accessPolicy), teamId);
+
+    teams[teamId] = {
+      autoChannels: entry.autoChannels || [],
+      workspaces: entry.workspaces || null,
+      accessPolicy: entry.accessPolicy || null
+    };
+  }
+
+  console.log(`[TEAMS] Loaded configuration for ${Object.keys(teams).length} team(s)`);
+  return teams;
+}
+
+/**
+ * A team's own auto-respond channels (in addition to SLACK_AUTO_CHANNELS)
+ * @param {string|null} teamId - Slack team ID
+ * @returns {Array<string>} Channel IDs
+ */
+function teamAutoChannels(teamId) {
+  return (teamId && teams[teamId]?.autoChannels) || [];
+}
+
+/**
+ * Installed teams (for /ai config)
+ * @returns {Array<Object>} { id, name, configured }
+ */
+function listInstallations() {
+  return [...installations.entries()].map(([id, installation]) => ({
+    id,
+    name: installation.team?.name || installation.enterprise?.name || null,
+    configured: Boolean(teams[id])
+  }));
+}
+
+module.exports = {
+  BOT_SCOPES,
+  oauthEnabled,
+  installationStore,
+  loadInstallations,
+  rememberChannelTeam,
+  teamForChannel,
+  botToken,
+  botUserIdFor,
+  loadTeams,
+  teamAutoChannels,
+  listInstallations
+};
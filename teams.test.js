@@ -0,0 +1,150 @@
+/**
+ * Test suite for multi-workspace installation
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  installationStore,
+  loadInstallations,
+  rememberChannelTeam,
+  teamForChannel,
+  botToken,
+  botUserIdFor,
+  loadTeams,
+  teamAutoChannels,
+  listInstallations
+} = require('./teams');
+const { resolveWorkspace } = require('./workspaces');
+
+describe('Teams', () => {
+  let tmpDir;
+  let env;
+
+  const installation = (teamId, token, extra = {}) => ({
+    team: { id: teamId, name: `Team ${teamId}` },
+    enterprise: undefined,
+    isEnterpriseInstall: false,
+    bot: { token, userId: `U-BOT-${teamId}`, scopes: ['chat:write'], id: 'B1' },
+    user: { id: 'U1' },
+    ...extra
+  });
+
+  beforeEach(() => {
+    env = { ...process.env };
+    process.env.SLACK_CLIENT_ID = 'client-id';
+    process.env.SLACK_CLIENT_SECRET = 'client-secret';
+    process.env.SLACK_BOT_TOKEN = 'xoxb-single';
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'teams-'));
+    loadInstallations(path.join(tmpDir, 'installations'));
+    loadTeams(path.join(tmpDir, 'missing.json'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = env;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  describe('installationStore', () => {
+    test('should save installations to private files and fetch them back', async () => {
+      await installationStore.storeInstallation(installation('T1', 'xoxb-one'));
+
+      const file = path.join(tmpDir, 'installations', 'T1.json');
+      expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+      await expect(installationStore.fetchInstallation({ teamId: 'T1', isEnterpriseInstall: false }))
+        .resolves.toMatchObject({ bot: { token: 'xoxb-one' } });
+      await expect(installationStore.fetchInstallation({ teamId: 'T2', isEnterpriseInstall: false }))
+        .rejects.toThrow('No installation for T2');
+    });
+
+    test('should key org-wide installs by enterprise', async () => {
+      await installationStore.storeInstallation(installation(undefined, 'xoxb-org', {
+        team: undefined,
+        enterprise: { id: 'E1', name: 'Org' },
+        isEnterpriseInstall: true
+      }));
+
+      await expect(installationStore.fetchInstallation({ teamId: 'T9', enterpriseId: 'E1', isEnterpriseInstall: true }))
+        .resolves.toMatchObject({ bot: { token: 'xoxb-org' } });
+    });
+
+    test('should survive a restart', async () => {
+      await installationStore.storeInstallation(installation('T1', 'xoxb-one'));
+      rememberChannelTeam('C1', { teamId: 'T1' });
+
+      expect(loadInstallations()).toBe(1);
+      expect(teamForChannel('C1')).toBe('T1');
+    });
+
+    test('should forget a removed team and its channels', async () => {
+      await installationStore.storeInstallation(installation('T1', 'xoxb-one'));
+      rememberChannelTeam('C1', { teamId: 'T1' });
+
+      await installationStore.deleteInstallation({ teamId: 'T1', isEnterpriseInstall: false });
+
+      expect(fs.existsSync(path.join(tmpDir, 'installations', 'T1.json'))).toBe(false);
+      expect(teamForChannel('C1')).toBeNull();
+      expect(listInstallations()).toEqual([]);
+    });
+  });
+
+  describe('botToken', () => {
+    beforeEach(async () => {
+      await installationStore.storeInstallation(installation('T1', 'xoxb-one'));
+      await installationStore.storeInstallation(installation('T2', 'xoxb-two'));
+      rememberChannelTeam('C1', { teamId: 'T1' });
+      rememberChannelTeam('C2', { teamId: 'T2', enterpriseId: 'E1' });
+    });
+
+    test('should use the token of the channel\'s team', () => {
+      expect(botToken('C1')).toBe('xoxb-one');
+      expect(botToken('C2')).toBe('xoxb-two');
+      expect(botUserIdFor('C2')).toBe('U-BOT-T2');
+    });
+
+    test('should have no token for channels of unknown teams', () => {
+      expect(botToken('C-UNKNOWN')).toBeUndefined();
+    });
+
+    test('should use SLACK_BOT_TOKEN without OAuth', () => {
+      delete process.env.SLACK_CLIENT_ID;
+
+      expect(botToken('C1')).toBe('xoxb-single');
+      expect(botUserIdFor('C1')).toBeNull();
+    });
+  });
+
+  test('should fall back to the only installation', async () => {
+    await installationStore.storeInstallation(installation('T1', 'xoxb-one'));
+
+    expect(botToken('C-NEW')).toBe('xoxb-one');
+  });
+
+  describe('loadTeams', () => {
+    test('should load each team\'s auto channels and workspaces', () => {
+      fs.writeFileSync(path.join(tmpDir, 'workspaces.acme.json'), JSON.stringify({ workspaces: { acme: { cwd: '/srv/acme' } } }));
+      const file = path.join(tmpDir, 'teams.json');
+      fs.writeFileSync(file, JSON.stringify({
+        'T-ACME': { autoChannels: ['C-ACME'], workspaces: 'workspaces.acme.json' }
+      }));
+
+      loadTeams(file);
+
+      expect(teamAutoChannels('T-ACME')).toEqual(['C-ACME']);
+      expect(teamAutoChannels('T-OTHER')).toEqual([]);
+      expect(resolveWorkspace('C-ACME', 'T-ACME').cwd).toBe('/srv/acme');
+    });
+
+    test('should reject malformed entries', () => {
+      const file = path.join(tmpDir, 'teams.json');
+      fs.writeFileSync(file, JSON.stringify({ 'T-ACME': { autoChannels: 'C-ACME' } }));
+
+      expect(() => loadTeams(file)).toThrow('"autoChannels" must be a list');
+    });
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * Token and cost accounting for Slack-Claude Bridge
+ * Captures usage from each run's result event, aggregates it per user, channel and day
+ * in a local store, and checks daily/monthly budgets before new runs start.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STORE_PATH = path.join(__dirname, 'data', 'usage.json');
+const RETENTION_DAYS = 400; // Enough for month-over-month comparisons
+
+// Per-million-token prices (USD) for runs whose backend doesn't report cost (API mode)
+const MODEL_PRICES = [
+  { match: /opus/i, input: 15, output: 75 },
+  { match: /sonnet/i, input: 3, output: 15 },
+  { match: /haiku/i, input: 0.8, output: 4 }
+];
+
+// Aggregates: day ("YYYY-MM-DD", UTC) -> { users: { userId: totals }, channels: { channel: totals }, teams }
+// teams: teamId -> { users, channels }, the same totals for one Slack team (multi-workspace installs)
+let days = {};
+let storePath = process.env.USAGE_STORE_PATH || DEFAULT_STORE_PATH;
+
+function emptyTotals() {
+  return { runs: 0, inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheCreationTokens: 0, costUsd: 0 };
+}
+
+function addTotals(target, usage) {
+  target.runs += usage.runs ?? 1;
+  target.inputTokens += usage.inputTokens || 0;
+  target.outputTokens += usage.outputTokens || 0;
+  target.cacheReadTokens += usage.cacheReadTokens || 0;
+  target.cacheCreationTokens += usage.cacheCreationTokens || 0;
+  target.costUsd += usage.costUsd || 0;
+  return target;
+}
+
+function dayKey(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Write aggregates to disk (atomic: temp file + rename)
+ */
+function persist() {
+  try {
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    const tmpPath = `${storePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ days }, null, 2));
+    fs.renameSync(tmpPath, storePath);
+  } catch (error) {
+    console.error(`[USAGE] Failed to write ${storePath}:`, error.message);
+  }
+}
+
+/**
+ * Load aggregates from disk, replacing anything held in memory
+ * @param {string} [filePath] - Store location (defaults to USAGE_STORE_PATH or data/usage.json)
+ */
+function loadUsageStore(filePath) {
+  if (filePath) storePath = filePath;
+  days = {};
+
+  if (!fs.existsSync(storePath)) return;
+
+  try {
+    days = JSON.parse(fs.readFileSync(storePath, 'utf8')).days || {};
+    console.log(`[USAGE] Loaded ${Object.keys(days).length} day(s) of usage from ${storePath}`);
+  } catch (error) {
+    console.error(`[USAGE] Failed to read ${storePath}:`, error.message);
+  }
+}
+
+/**
+ * Estimated cost from token counts, for backends that don't report one
+ * @param {string} model - Model name
+ * @param {Object} usage - { inputTokens, outputTokens, cacheReadTokens, cacheCreationTokens }
+ * @returns {number} USD (0 for unknown models)
+ */
+function estimateCost(model, usage) {
+  const price = MODEL_PRICES.find(p => p.match.test(model || ''));
+  if (!price) return 0;
+
+  return (
+    (usage.inputTokens || 0) * price.input +
+    (usage.cacheCreationTokens || 0) * price.input * 1.25 +
+    (usage.cacheReadTokens || 0) * price.input * 0.1 +
+    (usage.outputTokens || 0) * price.output
+  ) / 1e6;
+}
+
+/**
+ * Usage from a stream-json result event
+ * @param {Object} result - { usage, total_cost_usd | cost_usd }
+ * @param {string} [model] - Model from the init event (for cost estimates)
+ * @returns {Object|null} { inputTokens, outputTokens, cacheReadTokens, cacheCreationTokens, costUsd, estimated }
+ */
+function extractUsage(result, model) {
+  if (!result || !result.usage) return null;
+
+  const usage = {
+    inputTokens: result.usage.input_tokens || 0,
+    outputTokens: result.usage.output_tokens || 0,
+    cacheReadTokens: result.usage.cache_read_input_tokens || 0,
+    cacheCreationTokens: result.usage.cache_creation_input_tokens || 0
+  };
+
+  const reported = result.total_cost_usd ?? result.cost_usd;
+  return typeof reported === 'number'
+    ? { ...usage, costUsd: reported, estimated: false }
+    : { ...usage, costUsd: estimateCost(model, usage), estimated: true };
+}
+
+/**
+ * Add a run's usage to today's totals for its user and channel (and their team's, if known)
+ * @param {Object} entry - { userId, channel, teamId, usage, now }
+ */
+function recordUsage({ userId, channel, teamId = null, usage, now = Date.now() }) {
+  if (!usage) return;
+
+  const day = days[dayKey(now)] ||= { users: {}, channels: {} };
+  const scopes = teamId ? [day, (day.teams ||= {})[teamId] ||= { users: {}, channels: {} }] : [day];
+  for (const scope of scopes) {
+    if (userId) addTotals(scope.users[userId] ||= emptyTotals(), usage);
+    if (channel) addTotals(scope.channels[channel] ||= emptyTotals(), usage);
+  }
+
+  // Drop days past retention
+  const oldest = dayKey(now - RETENTION_DAYS * 24 * 3600000);
+  for (const key of Object.keys(days)) {
+    if (key < oldest) delete days[key];
+  }
+
+  persist();
+}
+
+/**
+ * Day keys for a period ending at `now`
+ * @param {string} period - 'day' (today), 'week' (last 7 days) or 'month' (calendar month to date)
+ * @param {number} now - Timestamp
+ * @returns {Function} Predicate over day keys
+ */
+function periodFilter(period, now) {
+  const today = dayKey(now);
+  if (period === 'month') return key => key.slice(0, 7) === today.slice(0, 7) && key <= today;
+  if (period === 'week') {
+    const start = dayKey(now - 6 * 24 * 3600000);
+    return key => key >= start && key <= today;
+  }
+  return key => key === today;
+}
+
+/**
+ * Totals for one user or channel over a period
+ * @param {Object} query - { userId } or { channel }, plus period ('day' | 'week' | 'month') and now
+ * @returns {Object} Totals
+ */
+function getUsageTotals({ userId, channel, period = 'day', now = Date.now() }) {
+  const inPeriod = periodFilter(period, now);
+  const totals = emptyTotals();
+
+  for (const [key, day] of Object.entries(days)) {
+    if (!inPeriod(key)) continue;
+    const entry = userId ? day.users[userId] : day.channels[channel];
+    if (entry) addTotals(totals, entry);
+  }
+
+  return totals;
+}
+
+/**
+ * Per-user and per-channel totals over a period, most expensive first
+ * @param {Object} options - { period, teamId, now } - teamId limits the report to that team's runs
+ * @returns {Object} { period, users: [{ id, ...totals }], channels: [{ id, ...totals }], total }
+ */
+function usageReport({ period = 'day', teamId = null, now = Date.now() } = {}) {
+  const inPeriod = periodFilter(period, now);
+  const users = {};
+  const channels = {};
+  const total = emptyTotals();
+
+  for (const [key, day] of Object.entries(days)) {
+    const scope = teamId ? day.teams?.[teamId] : day;
+    if (!inPeriod(key) || !scope) continue;
+    for (const [id, totals] of Object.entries(scope.users)) {
+      addTotals(users[id] ||= emptyTotals(), totals);
+    }
+    for (const [id, totals] of Object.entries(scope.channels)) {
+      addTotals(channels[id] ||= emptyTotals(), totals);
+      addTotals(total, totals);
+    }
+  }
+
+  const sorted = (entries) => Object.entries(entries)
+    .map(([id, totals]) => ({ id, ...totals }))
+    .sort((a, b) => b.costUsd - a.costUsd || b.runs - a.runs);
+
+  return { period, users: sorted(users), channels: sorted(channels), total };
+}
+
+/**
+ * Configured budgets in USD (0 = none)
+ * BUDGET_MODE=block refuses new runs over budget; "warn" (default) only warns
+ * @returns {Object}
+ */
+function getBudgets() {
+  const amount = (name) => parseFloat(process.env[name] || '0') || 0;
+  return {
+    mode: process.env.BUDGET_MODE === 'block' ? 'block' : 'warn',
+    warnAt: (parseFloat(process.env.BUDGET_WARN_PERCENT || '80') || 80) / 100,
+    user: { day: amount('BUDGET_USER_DAILY_USD'), month: amount('BUDGET_USER_MONTHLY_USD') },
+    channel: { day: amount('BUDGET_CHANNEL_DAILY_USD'), month: amount('BUDGET_CHANNEL_MONTHLY_USD') }
+  };
+}
+
+/**
+ * Check a user's and channel's spend against the budgets before starting a run
+ * @param {Object} request - { userId, channel, now }
+ * @returns {Object} { allowed, exceeded: [message], warnings: [message] }
+ */
+function checkBudget({ userId, channel, now = Date.now() }) {
+  const budgets = getBudgets();
+  const exceeded = [];
+  const warnings = [];
+
+  const checks = [
+    ['user', { userId }, `<@${userId}>`],
+    ['channel', { channel }, `<#${channel}>`]
+  ];
+
+  for (const [scope, query, label] of checks) {
+    for (const period of ['day', 'month']) {
+      const limit = budgets[scope][period];
+      if (!limit) continue;
+
+      const spent = getUsageTotals({ ...query, period, now }).costUsd;
+      const description = `${label} has used $${spent.toFixed(2)} of the $${limit.toFixed(2)} ${period === 'day' ? 'daily' : 'monthly'} budget`;
+
+      if (spent >= limit) {
+        exceeded.push(description);
+      } else if (spent >= limit * budgets.warnAt) {
+        warnings.push(description);
+      }
+    }
+  }
+
+  return {
+    allowed: exceeded.length === 0 || budgets.mode === 'warn',
+    exceeded,
+    warnings
+  };
+}
+
+/**
+ * Compact token count: 950, 12.3k, 1.2M
+ * @param {number} count
+ * @returns {string}
+ */
+function formatTokens(count) {
+  if (count >= 1e6) return `${(count / 1e6).toFixed(1)}M`;
+  if (count >= 1e3) return `${(count / 1e3).toFixed(1)}k`;
+  return String(count);
+}
+
+/**
+ * One-line usage summary for a run
+ * @param {Object} usage - From extractUsage
+ * @returns {string}
+ */
+function formatUsage(usage) {
+  const cached = usage.cacheReadTokens ? ` (+${formatTokens(usage.cacheReadTokens)} cached)` : '';
+  const cost = `$${usage.costUsd.toFixed(usage.costUsd < 1 ? 3 : 2)}${usage.estimated ? ' est.' : ''}`;
+  return `🪙 Tokens: ${formatTokens(usage.inputTokens + usage.cacheCreationTokens)} in${cached} / ${formatTokens(usage.outputTokens)} out · 💵 ${cost}`;
+}
+
+/**
+ * Forget all usage (for testing)
+ */
+function clearUsageStore() {
+  days = {};
+}
+
+module.exports = {
+  loadUsageStore,
+  estimateCost,
+  extractUsage,
+  recordUsage,
+  getUsageTotals,
+  usageReport,
+  getBudgets,
+  checkBudget,
+  formatTokens,
+  formatUsage,
+  clearUsageStore
+};
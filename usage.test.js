@@ -0,0 +1,168 @@
+/**
+ * Test suite for token and cost accounting
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  loadUsageStore,
+  estimateCost,
+  extractUsage,
+  recordUsage,
+  getUsageTotals,
+  usageReport,
+  checkBudget,
+  formatUsage,
+  clearUsageStore
+} = require('./usage');
+
+describe('Usage', () => {
+  const originalEnv = { ...process.env };
+  const NOW = Date.parse('2026-03-15T12:00:00Z');
+  const DAY = 24 * 3600000;
+  let tmpDir;
+  let storeFile;
+
+  const usage = (costUsd) => ({ inputTokens: 1000, outputTokens: 200, cacheReadTokens: 0, cacheCreationTokens: 0, costUsd });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-'));
+    storeFile = path.join(tmpDir, 'usage.json');
+    clearUsageStore();
+    loadUsageStore(storeFile);
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('extractUsage', () => {
+    test('should read CLI usage and reported cost', () => {
+      const result = extractUsage({
+        type: 'result',
+        total_cost_usd: 0.42,
+        usage: { input_tokens: 10, output_tokens: 500, cache_read_input_tokens: 20000, cache_creation_input_tokens: 3000 }
+      });
+
+      expect(result).toEqual({
+        inputTokens: 10,
+        outputTokens: 500,
+        cacheReadTokens: 20000,
+        cacheCreationTokens: 3000,
+        costUsd: 0.42,
+        estimated: false
+      });
+    });
+
+    test('should estimate cost when the backend reports none', () => {
+      const result = extractUsage({ type: 'result', usage: { input_tokens: 1e6, output_tokens: 1e6 } }, 'claude-sonnet-4-5');
+
+      expect(result.costUsd).toBeCloseTo(18);
+      expect(result.estimated).toBe(true);
+    });
+
+    test('should return null without usage', () => {
+      expect(extractUsage({ type: 'result', result: 'x' })).toBeNull();
+    });
+  });
+
+  describe('estimateCost', () => {
+    test('should return 0 for unknown models', () => {
+      expect(estimateCost('some-other-model', { inputTokens: 1e6 })).toBe(0);
+    });
+  });
+
+  describe('recordUsage', () => {
+    test('should aggregate per user and channel and persist', () => {
+      recordUsage({ userId: 'U1', channel: 'C1', usage: usage(0.5), now: NOW });
+      recordUsage({ userId: 'U1', channel: 'C2', usage: usage(0.25), now: NOW });
+
+      expect(getUsageTotals({ userId: 'U1', now: NOW })).toMatchObject({ runs: 2, inputTokens: 2000, costUsd: 0.75 });
+      expect(getUsageTotals({ channel: 'C2', now: NOW })).toMatchObject({ runs: 1, costUsd: 0.25 });
+
+      clearUsageStore();
+      loadUsageStore(storeFile);
+      expect(getUsageTotals({ userId: 'U1', now: NOW }).runs).toBe(2);
+    });
+
+    test('should separate days, weeks and months', () => {
+      recordUsage({ userId: 'U1', channel: 'C1', usage: usage(1), now: NOW });
+      recordUsage({ userId: 'U1', channel: 'C1', usage: usage(2), now: NOW - 3 * DAY });
+      recordUsage({ userId: 'U1', channel: 'C1', usage: usage(4), now: NOW - 20 * DAY });
+
+      expect(getUsageTotals({ userId: 'U1', period: 'day', now: NOW }).costUsd).toBe(1);
+      expect(getUsageTotals({ userId: 'U1', period: 'week', now: NOW }).costUsd).toBe(3);
+      expect(getUsageTotals({ userId: 'U1', period: 'month', now: NOW }).costUsd).toBe(3); // Feb 23 is last month
+    });
+  });
+
+  describe('usageReport', () => {
+    test('should rank users and channels by cost', () => {
+      recordUsage({ userId: 'U1', channel: 'C1', usage: usage(0.1), now: NOW });
+      recordUsage({ userId: 'U2', channel: 'C1', usage: usage(0.9), now: NOW });
+
+      const report = usageReport({ period: 'day', now: NOW });
+
+      expect(report.users.map(u => u.id)).toEqual(['U2', 'U1']);
+      expect(report.channels).toEqual([expect.objectContaining({ id: 'C1', runs: 2 })]);
+      expect(report.total.costUsd).toBeCloseTo(1);
+    });
+
+    test('should limit the report to one team\'s runs', () => {
+      recordUsage({ userId: 'U1', channel: 'C1', teamId: 'T1', usage: usage(0.1), now: NOW });
+      recordUsage({ userId: 'U2', channel: 'C2', teamId: 'T2', usage: usage(0.9), now: NOW });
+
+      const report = usageReport({ period: 'day', teamId: 'T1', now: NOW });
+
+      expect(report.users.map(u => u.id)).toEqual(['U1']);
+      expect(report.channels.map(c => c.id)).toEqual(['C1']);
+      expect(report.total.costUsd).toBeCloseTo(0.1);
+      expect(usageReport({ period: 'day', now: NOW }).total.costUsd).toBeCloseTo(1);
+    });
+  });
+
+  describe('checkBudget', () => {
+    test('should allow everything without budgets', () => {
+      recordUsage({ userId: 'U1', channel: 'C1', usage: usage(100), now: NOW });
+
+      expect(checkBudget({ userId: 'U1', channel: 'C1', now: NOW })).toEqual({ allowed: true, exceeded: [], warnings: [] });
+    });
+
+    test('should block once a budget is spent in block mode', () => {
+      process.env.BUDGET_MODE = 'block';
+      process.env.BUDGET_USER_DAILY_USD = '5';
+      recordUsage({ userId: 'U1', channel: 'C1', usage: usage(5), now: NOW });
+
+      const result = checkBudget({ userId: 'U1', channel: 'C1', now: NOW });
+
+      expect(result.allowed).toBe(false);
+      expect(result.exceeded).toEqual(['<@U1> has used $5.00 of the $5.00 daily budget']);
+      expect(checkBudget({ userId: 'U2', channel: 'C1', now: NOW }).allowed).toBe(true);
+    });
+
+    test('should only warn in warn mode and near the limit', () => {
+      process.env.BUDGET_CHANNEL_MONTHLY_USD = '10';
+      recordUsage({ userId: 'U1', channel: 'C1', usage: usage(8.5), now: NOW });
+
+      const near = checkBudget({ userId: 'U1', channel: 'C1', now: NOW });
+      expect(near.allowed).toBe(true);
+      expect(near.warnings).toEqual(['<#C1> has used $8.50 of the $10.00 monthly budget']);
+
+      recordUsage({ userId: 'U1', channel: 'C1', usage: usage(2), now: NOW });
+      const over = checkBudget({ userId: 'U1', channel: 'C1', now: NOW });
+      expect(over.allowed).toBe(true);
+      expect(over.exceeded).toHaveLength(1);
+    });
+  });
+
+  describe('formatUsage', () => {
+    test('should summarise tokens and cost', () => {
+      expect(formatUsage({ inputTokens: 12, cacheCreationTokens: 4500, cacheReadTokens: 120000, outputTokens: 950, costUsd: 0.1234, estimated: false }))
+        .toBe('🪙 Tokens: 4.5k in (+120.0k cached) / 950 out · 💵 $0.123');
+      expect(formatUsage({ ...usage(2.5), estimated: true })).toBe('🪙 Tokens: 1.0k in / 200 out · 💵 $2.50 est.');
+    });
+  });
+});
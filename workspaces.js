@@ -0,0 +1,191 @@
+/**
+ * Per-channel project workspaces for Slack-Claude Bridge
+ * Maps Slack channels to a checkout (cwd), environment, system context, tools and model
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'workspaces.json');
+
+// Used when no workspaces.json exists - matches the original single-project setup
+const BUILTIN_CONFIG = {
+  default: 'sphinx-ai',
+  workspaces: {
+    'sphinx-ai': {
+      cwd: '/opt/devenv/projects/sphinx-ai',
+      env: {
+        HOME: '/home/developer',
+        USER: 'developer'
+      },
+      systemPrompt: [
+        'SYSTEM CONTEXT: Docker-based development environment.',
+        'Backend (Java/Kotlin/Gradle) runs ONLY in Docker containers.',
+        'For backend tests: Use "docker-compose exec backend ./gradlew test"',
+        'NEVER say "Java is not installed" - use Docker!'
+      ].join('\n')
+    }
+  },
+  channels: {}
+};
+
+let config = BUILTIN_CONFIG;
+const teamConfigs = new Map(); // team ID -> config from the team's own workspaces file (see teams.js)
+
+/**
+ * Config that applies to a team (its own file if it has one, else the global config)
+ * @param {string|null} teamId - Slack team ID
+ * @returns {Object} Config
+ */
+function configFor(teamId) {
+  return (teamId && teamConfigs.get(teamId)) || config;
+}
+
+/**
+ * Normalise a workspace entry, filling defaults
+ * @param {string} name - Workspace name
+ * @param {Object} entry - Raw config entry
+ * @returns {Object} Workspace { name, cwd, env, systemPrompt, allowedTools, model, worktrees, worktreeBase }
+ */
+function normaliseWorkspace(name, entry) {
+  return {
+    name,
+    cwd: entry.cwd,
+    env: entry.env || {},
+    systemPrompt: Array.isArray(entry.systemPrompt) ? entry.systemPrompt.join('\n') : (entry.systemPrompt || ''),
+    allowedTools: entry.allowedTools || [],
+    model: entry.model || null,
+    // Per-thread git worktrees (see worktrees.js); null follows THREAD_WORKTREES
+    worktrees: typeof entry.worktrees === 'boolean' ? entry.worktrees : null,
+    worktreeBase: entry.worktreeBase || null
+  };
+}
+
+/**
+ * Load workspace configuration from disk (falls back to the built-in workspace)
+ * @param {string} [filePath] - Config location (defaults to WORKSPACES_CONFIG or workspaces.json)
+ * @param {string|null} [teamId] - Load it as this Slack team's config instead of the global one
+ * @returns {Object} Loaded config
+ */
+function loadWorkspaces(filePath = process.env.WORKSPACES_CONFIG || DEFAULT_CONFIG_PATH, teamId = null) {
+  if (teamId && !fs.existsSync(filePath)) {
+    throw new Error(`Workspaces file ${filePath} for team ${teamId} does not exist`);
+  }
+
+  if (!fs.existsSync(filePath)) {
+    console.log(`[WORKSPACE] No config at ${filePath}, using built-in workspace`);
+    config = BUILTIN_CONFIG;
+    return config;
+  }
+
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const names = Object.keys(raw.workspaces || {});
+
+  if (names.length === 0) {
+    throw new Error(`${filePath} defines no workspaces`);
+  }
+
+  for (const name of names) {
+    if (!raw.workspaces[name].cwd) {
+      throw new Error(`Workspace "${name}" in ${filePath} has no cwd`);
+    }
+  }
+
+  const defaultName = raw.default || names[0];
+  if (!raw.workspaces[defaultName]) {
+    throw new Error(`Default workspace "${defaultName}" is not defined in ${filePath}`);
+  }
+
+  for (const [channel, name] of Object.entries(raw.channels || {})) {
+    if (!raw.workspaces[name]) {
+      throw new Error(`Channel ${channel} is mapped to unknown workspace "${name}"`);
+    }
+  }
+
+  const loaded = {
+    default: defaultName,
+    workspaces: raw.workspaces,
+    channels: raw.channels || {}
+  };
+
+  if (teamId) {
+    teamConfigs.set(teamId, loaded);
+  } else {
+    config = loaded;
+  }
+
+  console.log(`[WORKSPACE] Loaded ${names.length} workspace(s), ${Object.keys(loaded.channels).length} channel mapping(s)${teamId ? ` for team ${teamId}` : ''}`);
+  return loaded;
+}
+
+/**
+ * Get a workspace by name
+ * @param {string} name - Workspace name
+ * @param {string|null} [teamId] - Slack team whose config to use
+ * @returns {Object|null} Workspace, or null if not defined
+ */
+function getWorkspace(name, teamId = null) {
+  const entry = configFor(teamId).workspaces[name];
+  return entry ? normaliseWorkspace(name, entry) : null;
+}
+
+/**
+ * Resolve the workspace for a channel (channel mapping, then default)
+ * @param {string} channel - Slack channel ID
+ * @param {string|null} [teamId] - Slack team the channel belongs to
+ * @returns {Object} Workspace
+ */
+function resolveWorkspace(channel, teamId = null) {
+  const { channels, default: defaultName } = configFor(teamId);
+  return getWorkspace(channels[channel] || defaultName, teamId);
+}
+
+/**
+ * Prefix the workspace's system context to a user request
+ * @param {Object} workspace - Workspace
+ * @param {string} prompt - User request
+ * @returns {string} Prompt sent to the agent
+ */
+function buildWorkspacePrompt(workspace, prompt) {
+  if (!workspace.systemPrompt) {
+    return prompt;
+  }
+
+  return `${workspace.systemPrompt}\n\nUSER REQUEST: ${prompt}`;
+}
+
+/**
+ * Build the process environment for a workspace
+ * Inherits the bridge environment (Docker, PATH, etc.) with workspace overrides on top.
+ * @param {Object} workspace - Workspace
+ * @returns {Object} Environment variables
+ */
+function buildWorkspaceEnv(workspace) {
+  return {
+    ...process.env,
+    ...workspace.env
+  };
+}
+
+/**
+ * List all workspaces with the channels mapped to them (for display)
+ * @param {string|null} [teamId] - Slack team whose config to list
+ * @returns {Array<Object>} Workspaces with a `channels` array and `isDefault` flag
+ */
+function listWorkspaces(teamId = null) {
+  const { workspaces, channels, default: defaultName } = configFor(teamId);
+  return Object.keys(workspaces).map(name => ({
+    ...getWorkspace(name, teamId),
+    isDefault: name === defaultName,
+    channels: Object.keys(channels).filter(channel => channels[channel] === name)
+  }));
+}
+
+module.exports = {
+  loadWorkspaces,
+  getWorkspace,
+  resolveWorkspace,
+  buildWorkspacePrompt,
+  buildWorkspaceEnv,
+  listWorkspaces
+};
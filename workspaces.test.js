@@ -0,0 +1,140 @@
+/**
+ * Test suite for per-channel workspaces
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  loadWorkspaces,
+  getWorkspace,
+  resolveWorkspace,
+  buildWorkspacePrompt,
+  buildWorkspaceEnv,
+  listWorkspaces
+} = require('./workspaces');
+
+describe('Workspaces', () => {
+  let tmpDir;
+
+  function writeConfig(config) {
+    const file = path.join(tmpDir, 'workspaces.json');
+    fs.writeFileSync(file, JSON.stringify(config));
+    return file;
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workspaces-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('loadWorkspaces', () => {
+    test('should use the built-in workspace when no config exists', () => {
+      loadWorkspaces(path.join(tmpDir, 'missing.json'));
+
+      const workspace = resolveWorkspace('C-any');
+      expect(workspace.name).toBe('sphinx-ai');
+      expect(workspace.cwd).toBe('/opt/devenv/projects/sphinx-ai');
+      expect(workspace.env.HOME).toBe('/home/developer');
+      expect(workspace.systemPrompt).toContain('Docker-based development environment');
+    });
+
+    test('should reject channels mapped to unknown workspaces', () => {
+      const file = writeConfig({
+        workspaces: { backend: { cwd: '/srv/backend' } },
+        channels: { C1: 'frontend' }
+      });
+
+      expect(() => loadWorkspaces(file)).toThrow('unknown workspace "frontend"');
+    });
+
+    test('should reject workspaces without a cwd', () => {
+      const file = writeConfig({ workspaces: { backend: {} } });
+
+      expect(() => loadWorkspaces(file)).toThrow('has no cwd');
+    });
+  });
+
+  describe('resolveWorkspace', () => {
+    beforeEach(() => {
+      loadWorkspaces(writeConfig({
+        default: 'backend',
+        workspaces: {
+          backend: { cwd: '/srv/backend', systemPrompt: ['Line 1', 'Line 2'] },
+          frontend: { cwd: '/srv/frontend', allowedTools: ['Read'], model: 'sonnet', env: { NODE_ENV: 'test' } }
+        },
+        channels: { C1: 'frontend' }
+      }));
+    });
+
+    test('should map channels to their workspace', () => {
+      const workspace = resolveWorkspace('C1');
+
+      expect(workspace.name).toBe('frontend');
+      expect(workspace.cwd).toBe('/srv/frontend');
+      expect(workspace.allowedTools).toEqual(['Read']);
+      expect(workspace.model).toBe('sonnet');
+      expect(workspace.worktrees).toBeNull();
+    });
+
+    test('should fall back to the default workspace', () => {
+      expect(resolveWorkspace('C-unmapped').name).toBe('backend');
+    });
+
+    test('should join multi-line system prompts', () => {
+      expect(getWorkspace('backend').systemPrompt).toBe('Line 1\nLine 2');
+    });
+
+    test('should return null for unknown workspaces', () => {
+      expect(getWorkspace('missing')).toBeNull();
+    });
+
+    test('should list workspaces with their channels', () => {
+      const list = listWorkspaces();
+
+      expect(list.map(w => w.name)).toEqual(['backend', 'frontend']);
+      expect(list[0].isDefault).toBe(true);
+      expect(list[1].channels).toEqual(['C1']);
+    });
+
+    test('should use a team\'s own config for that team only', () => {
+      const teamFile = path.join(tmpDir, 'workspaces.acme.json');
+      fs.writeFileSync(teamFile, JSON.stringify({ workspaces: { acme: { cwd: '/srv/acme' } } }));
+      loadWorkspaces(teamFile, 'T-ACME');
+
+      expect(resolveWorkspace('C1', 'T-ACME').name).toBe('acme');
+      expect(getWorkspace('backend', 'T-ACME')).toBeNull();
+      expect(resolveWorkspace('C1', 'T-OTHER').name).toBe('frontend');
+      expect(resolveWorkspace('C1').name).toBe('frontend');
+    });
+
+    test('should require a team\'s workspaces file to exist', () => {
+      expect(() => loadWorkspaces(path.join(tmpDir, 'missing.json'), 'T-ACME')).toThrow('for team T-ACME does not exist');
+    });
+  });
+
+  describe('buildWorkspacePrompt', () => {
+    test('should prefix the system context', () => {
+      const prompt = buildWorkspacePrompt({ systemPrompt: 'CONTEXT' }, 'run tests');
+
+      expect(prompt).toBe('CONTEXT\n\nUSER REQUEST: run tests');
+    });
+
+    test('should pass the request through without a system context', () => {
+      expect(buildWorkspacePrompt({ systemPrompt: '' }, 'run tests')).toBe('run tests');
+    });
+  });
+
+  describe('buildWorkspaceEnv', () => {
+    test('should overlay workspace env on the bridge environment', () => {
+      const env = buildWorkspaceEnv({ env: { HOME: '/home/other' } });
+
+      expect(env.HOME).toBe('/home/other');
+      expect(env.PATH).toBe(process.env.PATH);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Per-thread git worktrees for Slack-Claude Bridge
+ * Opt-in (THREAD_WORKTREES=true, or "worktrees": true on a workspace): each thread gets its own
+ * `git worktree` of the workspace checkout on a branch named after the thread, and every run in
+ * the thread uses it as its cwd. Threads working on different bugs no longer share files or a branch.
+ *
+ * Layout: <WORKTREES_DIR>/<workspace>/<thread>  (default data/worktrees)
+ * Branch: <WORKTREE_BRANCH_PREFIX><thread>      (default slack/1700000000-000100)
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_WORKTREES_DIR = path.join(__dirname, 'data', 'worktrees');
+const GIT_TIMEOUT = 120000;
+
+// Worktree path -> pending creation, so concurrent messages in a new thread share one `worktree add`
+const creating = new Map();
+
+function threadSlug(threadTs) {
+  return threadTs.replace(/\./g, '-');
+}
+
+/**
+ * Run git and resolve with its trimmed stdout
+ * @param {string[]} args - git arguments
+ * @param {string} cwd - Working directory
+ * @returns {Promise<string>}
+ */
+function git(args, cwd) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, timeout: GIT_TIMEOUT, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`git ${args[0]} failed: ${(stderr || error.message).trim()}`));
+      } else {
+        resolve(stdout.trim());
+      }
+    });
+  });
+}
+
+/**
+ * Whether threads in a workspace get their own worktree
+ * @param {Object} workspace - Workspace (its `worktrees` flag wins over THREAD_WORKTREES)
+ * @returns {boolean}
+ */
+function worktreesEnabled(workspace) {
+  if (typeof workspace.worktrees === 'boolean') return workspace.worktrees;
+  return process.env.THREAD_WORKTREES === 'true';
+}
+
+/**
+ * Branch name for a thread
+ * @param {string} threadTs - Thread timestamp
+ * @returns {string}
+ */
+function threadBranch(threadTs) {
+  return `${process.env.WORKTREE_BRANCH_PREFIX ?? 'slack/'}${threadSlug(threadTs)}`;
+}
+
+/**
+ * Worktree directory for a thread
+ * @param {Object} workspace - Workspace
+ * @param {string} threadTs - Thread timestamp
+ * @returns {string}
+ */
+function threadWorktreePath(workspace, threadTs) {
+  return path.join(process.env.WORKTREES_DIR || DEFAULT_WORKTREES_DIR, workspace.name, threadSlug(threadTs));
+}
+
+async function createWorktree(workspace, threadTs, worktreePath) {
+  const branch = threadBranch(threadTs);
+  fs.mkdirSync(path.dirname(worktreePath), { recursive: true });
+
+  // Reuse the branch if it survived an earlier removal, otherwise start it from the base
+  const branchExists = await git(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`], workspace.cwd)
+    .then(() => true, () => false);
+
+  if (branchExists) {
+    await git(['worktree', 'add', worktreePath, branch], workspace.cwd);
+  } else {
+    await git(['worktree', 'add', '-b', branch, worktreePath, workspace.worktreeBase || 'HEAD'], workspace.cwd);
+  }
+
+  console.log(`[WORKTREE] Created ${worktreePath} on ${branch}${branchExists ? ' (existing branch)' : ''}`);
+  return { path: worktreePath, branch, created: true };
+}
+
+/**
+ * Create the thread's worktree if needed
+ * @param {Object} workspace - Workspace whose cwd is a git checkout
+ * @param {string} threadTs - Thread timestamp
+ * @returns {Promise<Object>} { path, branch, created }
+ */
+async function ensureThreadWorktree(workspace, threadTs) {
+  const worktreePath = threadWorktreePath(workspace, threadTs);
+
+  if (fs.existsSync(path.join(worktreePath, '.git'))) {
+    return { path: worktreePath, branch: threadBranch(threadTs), created: false };
+  }
+
+  if (!creating.has(worktreePath)) {
+    creating.set(worktreePath, createWorktree(workspace, threadTs, worktreePath).finally(() => creating.delete(worktreePath)));
+  }
+  return creating.get(worktreePath);
+}
+
+/**
+ * Branch, status and recent commits of the thread's worktree
+ * @param {Object} workspace - Workspace
+ * @param {string} threadTs - Thread timestamp
+ * @returns {Promise<Object|null>} { path, branch, status, commits }, null if the thread has no worktree
+ */
+async function describeThreadWorktree(workspace, threadTs) {
+  const worktreePath = threadWorktreePath(workspace, threadTs);
+  if (!fs.existsSync(path.join(worktreePath, '.git'))) return null;
+
+  const [status, commits] = await Promise.all([
+    git(['status', '--short', '--branch'], worktreePath),
+    git(['log', '--oneline', '-5'], worktreePath)
+  ]);
+
+  return { path: worktreePath, branch: threadBranch(threadTs), status, commits };
+}
+
+/**
+ * Push the thread's branch
+ * @param {Object} workspace - Workspace
+ * @param {string} threadTs - Thread timestamp
+ * @param {string} [remote] - Remote name (WORKTREE_REMOTE, default origin)
+ * @returns {Promise<Object>} { branch, remote, output }
+ */
+async function pushThreadBranch(workspace, threadTs, remote = process.env.WORKTREE_REMOTE || 'origin') {
+  const worktreePath = threadWorktreePath(workspace, threadTs);
+  if (!fs.existsSync(path.join(worktreePath, '.git'))) {
+    throw new Error('this thread has no worktree');
+  }
+
+  const branch = threadBranch(threadTs);
+  const output = await git(['push', '--porcelain', '-u', remote, branch], worktreePath);
+  console.log(`[WORKTREE] Pushed ${branch} to ${remote}`);
+  return { branch, remote, output };
+}
+
+/**
+ * Remove the thread's worktree (uncommitted changes are lost)
+ * @param {Object} workspace - Workspace
+ * @param {string} threadTs - Thread timestamp
+ * @param {Object} [options] - { deleteBranch } - also delete the local branch (discard)
+ * @returns {Promise<boolean>} Whether a worktree was removed
+ */
+async function removeThreadWorktree(workspace, threadTs, { deleteBranch = false } = {}) {
+  const worktreePath = threadWorktreePath(workspace, threadTs);
+  const branch = threadBranch(threadTs);
+  let removed = false;
+
+  if (fs.existsSync(worktreePath)) {
+    await git(['worktree', 'remove', '--force', worktreePath], workspace.cwd)
+      .catch(error => {
+        // Not a registered worktree any more: delete the directory and let git forget it
+        console.error(`[WORKTREE] ${error.message}`);
+        fs.rmSync(worktreePath, { recursive: true, force: true });
+        return git(['worktree', 'prune'], workspace.cwd);
+      });
+    removed = true;
+    console.log(`[WORKTREE] Removed ${worktreePath}`);
+  }
+
+  if (deleteBranch) {
+    await git(['branch', '-D', branch], workspace.cwd).catch(() => {});
+  }
+
+  return removed;
+}
+
+module.exports = {
+  worktreesEnabled,
+  threadBranch,
+  threadWorktreePath,
+  ensureThreadWorktree,
+  describeThreadWorktree,
+  pushThreadBranch,
+  removeThreadWorktree
+};
@@ -0,0 +1,134 @@
+/**
+ * Test suite for per-thread git worktrees
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  worktreesEnabled,
+  threadBranch,
+  threadWorktreePath,
+  ensureThreadWorktree,
+  describeThreadWorktree,
+  pushThreadBranch,
+  removeThreadWorktree
+} = require('./worktrees');
+
+describe('Worktrees', () => {
+  const originalEnv = { ...process.env };
+  const THREAD = '1700000000.000100';
+  let tmpDir;
+  let workspace;
+
+  const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf8', env: process.env }).trim();
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worktrees-'));
+    process.env.WORKTREES_DIR = path.join(tmpDir, 'worktrees');
+
+    const repo = path.join(tmpDir, 'repo');
+    fs.mkdirSync(repo);
+    git(repo, 'init', '-q', '-b', 'main');
+    git(repo, 'config', 'user.name', 'Test');
+    git(repo, 'config', 'user.email', 'test@example.com');
+    fs.writeFileSync(path.join(repo, 'README.md'), 'hello\n');
+    git(repo, 'add', '.');
+    git(repo, 'commit', '-q', '-m', 'initial');
+
+    workspace = { name: 'backend', cwd: repo, worktrees: true, worktreeBase: null };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  describe('worktreesEnabled', () => {
+    test('should follow the workspace flag, then THREAD_WORKTREES', () => {
+      expect(worktreesEnabled({ worktrees: false })).toBe(false);
+      expect(worktreesEnabled({ worktrees: null })).toBe(false);
+
+      process.env.THREAD_WORKTREES = 'true';
+      expect(worktreesEnabled({ worktrees: null })).toBe(true);
+      expect(worktreesEnabled({ worktrees: false })).toBe(false);
+    });
+  });
+
+  test('should name branches and paths after the thread', () => {
+    expect(threadBranch(THREAD)).toBe('slack/1700000000-000100');
+    expect(threadWorktreePath(workspace, THREAD)).toBe(path.join(tmpDir, 'worktrees', 'backend', '1700000000-000100'));
+  });
+
+  describe('ensureThreadWorktree', () => {
+    test('should create the worktree once, even for concurrent calls', async () => {
+      const [first, second] = await Promise.all([
+        ensureThreadWorktree(workspace, THREAD),
+        ensureThreadWorktree(workspace, THREAD)
+      ]);
+
+      expect(first).toEqual({ path: threadWorktreePath(workspace, THREAD), branch: 'slack/1700000000-000100', created: true });
+      expect(second).toBe(first);
+      expect(git(first.path, 'rev-parse', '--abbrev-ref', 'HEAD')).toBe('slack/1700000000-000100');
+      expect(fs.readFileSync(path.join(first.path, 'README.md'), 'utf8')).toBe('hello\n');
+
+      expect((await ensureThreadWorktree(workspace, THREAD)).created).toBe(false);
+    });
+
+    test('should keep edits out of the main checkout', async () => {
+      const { path: worktree } = await ensureThreadWorktree(workspace, THREAD);
+      fs.writeFileSync(path.join(worktree, 'README.md'), 'changed\n');
+
+      expect(fs.readFileSync(path.join(workspace.cwd, 'README.md'), 'utf8')).toBe('hello\n');
+      expect((await describeThreadWorktree(workspace, THREAD)).status).toContain('M README.md');
+    });
+
+    test('should fail clearly outside a git checkout', async () => {
+      const notRepo = { ...workspace, cwd: tmpDir };
+
+      await expect(ensureThreadWorktree(notRepo, THREAD)).rejects.toThrow(/git (rev-parse|worktree) failed/);
+    });
+  });
+
+  describe('removeThreadWorktree', () => {
+    test('should keep the branch with its commits unless discarding', async () => {
+      const { path: worktree } = await ensureThreadWorktree(workspace, THREAD);
+      fs.writeFileSync(path.join(worktree, 'fix.txt'), 'fix\n');
+      git(worktree, 'add', '.');
+      git(worktree, 'commit', '-q', '-m', 'fix');
+
+      expect(await removeThreadWorktree(workspace, THREAD)).toBe(true);
+      expect(fs.existsSync(worktree)).toBe(false);
+      expect(git(workspace.cwd, 'log', '--format=%s', '-1', 'slack/1700000000-000100')).toBe('fix');
+
+      // Recreated from the surviving branch
+      const again = await ensureThreadWorktree(workspace, THREAD);
+      expect(fs.existsSync(path.join(again.path, 'fix.txt'))).toBe(true);
+
+      await removeThreadWorktree(workspace, THREAD, { deleteBranch: true });
+      expect(git(workspace.cwd, 'branch', '--list', 'slack/*')).toBe('');
+      expect(await removeThreadWorktree(workspace, THREAD)).toBe(false);
+    });
+  });
+
+  describe('pushThreadBranch', () => {
+    test('should push the branch to the remote', async () => {
+      const remote = path.join(tmpDir, 'remote.git');
+      git(tmpDir, 'init', '-q', '--bare', remote);
+      git(workspace.cwd, 'remote', 'add', 'origin', remote);
+      await ensureThreadWorktree(workspace, THREAD);
+
+      await expect(pushThreadBranch(workspace, THREAD)).resolves.toMatchObject({ branch: 'slack/1700000000-000100', remote: 'origin' });
+      expect(git(remote, 'branch', '--list')).toContain('slack/1700000000-000100');
+    });
+
+    test('should refuse threads without a worktree', async () => {
+      await expect(pushThreadBranch(workspace, '1.2')).rejects.toThrow('this thread has no worktree');
+    });
+  });
+});